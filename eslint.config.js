@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Local dev servers run in Node
+    files: ['mock-server/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
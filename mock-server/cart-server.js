@@ -0,0 +1,164 @@
+// mock-server/cart-server.js
+/**
+ * Local stand-in for the shop's cart endpoint, so the checkout
+ * (src/utils/order.js) can be developed offline. Plain Node, no dependencies.
+ *
+ *   npm run mock:cart        # http://localhost:8787/api/cart
+ *   npm run dev              # Vite proxies /api to this server
+ *
+ * - POST /api/cart: checks the order (type, version, plates, assets) and
+ *   answers 201 { orderId, cartUrl }, or 400/422 { errors }. The same
+ *   Idempotency-Key gets the first answer again (retries never duplicate).
+ * - GET /api/cart: list of received orders (summary).
+ * - Received orders are written to mock-server/orders/<orderId>.json, with
+ *   the preview as <orderId>.png (orderId must be a UUID, so it is a safe
+ *   file name).
+ * - Listens on 127.0.0.1 only; CORS is allowed for localhost pages only.
+ *
+ * Environment:
+ * - MOCK_CART_PORT (8787)
+ * - MOCK_CART_DELAY_MS: answer delay (test the progress state)
+ * - MOCK_CART_FAIL_RATE: 0…1 share of requests answered with 503 (test
+ *   the retries / error state)
+ */
+import { createServer } from "node:http";
+import { mkdir, writeFile } from "node:fs/promises";
+
+const PORT = Number(process.env.MOCK_CART_PORT) || 8787;
+const DELAY_MS = Number(process.env.MOCK_CART_DELAY_MS) || 0;
+const FAIL_RATE = Number(process.env.MOCK_CART_FAIL_RATE) || 0;
+const MAX_BODY_BYTES = 50 * 1024 * 1024; // uploaded motifs travel inside the order
+const ORDER_TYPE = "r24-order"; // keep in sync with src/utils/order.js
+const ORDER_VERSION = 1;
+const ORDERS_DIR = new URL("./orders/", import.meta.url);
+// orderId is crypto.randomUUID() (utils/order) and becomes a file name
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const orders = []; // summaries, newest last
+const answered = new Map(); // Idempotency-Key -> { status, body }
+
+// Cross-origin calls only from local dev pages (the app itself goes through the Vite proxy)
+const isLocalOrigin = (origin) => /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin || "");
+
+function send(res, status, body) {
+  const origin = res.req.headers.origin;
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    ...(isLocalOrigin(origin)
+      ? {
+          "Access-Control-Allow-Origin": origin,
+          "Access-Control-Allow-Headers": "Content-Type, Idempotency-Key",
+          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+          Vary: "Origin",
+        }
+      : {}),
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Payload too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Problems with an order payload (empty = accepted)
+function validate(order) {
+  const errors = [];
+  if (order?.type !== ORDER_TYPE) errors.push(`type must be "${ORDER_TYPE}"`);
+  if (order?.version !== ORDER_VERSION) errors.push(`unsupported version ${order?.version}`);
+  if (typeof order?.orderId !== "string" || !UUID.test(order.orderId)) errors.push("orderId must be a UUID");
+  if (!Array.isArray(order?.plates) || !order.plates.length) {
+    errors.push("no plates");
+    return errors;
+  }
+  const assetIds = new Set((order.assets || []).map((a) => a.id));
+  order.plates.forEach((p) => {
+    if (!(p.widthMm > 0 && p.heightMm > 0)) errors.push(`plate ${p.index}: invalid size`);
+    if (!p.materialId) errors.push(`plate ${p.index}: material missing`);
+    if (p.motif?.kind === "upload" && !assetIds.has(p.motif.assetId)) {
+      errors.push(`plate ${p.index}: asset ${p.motif.assetId} not included`);
+    }
+  });
+  return errors;
+}
+
+async function store(order) {
+  await mkdir(ORDERS_DIR, { recursive: true });
+  await writeFile(new URL(`${order.orderId}.json`, ORDERS_DIR), JSON.stringify(order, null, 2));
+  const png = order.preview?.dataUrl?.split(",")[1];
+  if (png) await writeFile(new URL(`${order.orderId}.png`, ORDERS_DIR), Buffer.from(png, "base64"));
+}
+
+async function handleOrder(req, res) {
+  const key = req.headers["idempotency-key"];
+  if (key && answered.has(key)) {
+    const { status, body } = answered.get(key);
+    console.log(`  repeated request for ${key} -> ${status}`);
+    return send(res, status, body);
+  }
+  if (Math.random() < FAIL_RATE) {
+    console.log("  simulated failure -> 503");
+    return send(res, 503, { message: "Simulated outage (MOCK_CART_FAIL_RATE)" });
+  }
+
+  let order;
+  try {
+    order = JSON.parse(await readBody(req));
+  } catch (err) {
+    return send(res, err.status || 400, { errors: [err.status ? err.message : "Body is not valid JSON"] });
+  }
+  const errors = validate(order);
+  if (errors.length) {
+    console.log("  rejected:", errors.join("; "));
+    return send(res, 422, { errors });
+  }
+
+  await store(order);
+  const summary = {
+    orderId: order.orderId,
+    receivedAt: new Date().toISOString(),
+    plates: order.plates.map((p) => `${p.widthMm}×${p.heightMm} mm ${p.materialId}`),
+    assets: (order.assets || []).length,
+    total: order.price?.total,
+    currency: order.price?.currency,
+  };
+  orders.push(summary);
+  const body = { orderId: order.orderId, cartUrl: `http://localhost:${PORT}/api/cart` };
+  if (key) answered.set(key, { status: 201, body });
+  console.log(`  accepted ${order.orderId}: ${summary.plates.join(", ")} (${summary.total} ${summary.currency})`);
+  return send(res, 201, body);
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  console.log(`${req.method} ${pathname}`);
+  if (DELAY_MS) await new Promise((resolve) => setTimeout(resolve, DELAY_MS));
+  try {
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (pathname !== "/api/cart") return send(res, 404, { message: "Not found" });
+    if (req.method === "GET") return send(res, 200, { orders });
+    if (req.method === "POST") return await handleOrder(req, res);
+    return send(res, 405, { message: "Method not allowed" });
+  } catch (err) {
+    console.error(err);
+    return send(res, 500, { message: "Mock server error" });
+  }
+});
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`Mock cart listening on http://localhost:${PORT}/api/cart`);
+  if (FAIL_RATE) console.log(`Failing ${Math.round(FAIL_RATE * 100)} % of requests with 503`);
+});
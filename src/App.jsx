@@ -1,148 +1,718 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useHistory } from "./hooks/useHistory.js";
+import { useProjects } from "./hooks/useProjects.js";
+import { useLocale } from "./hooks/useLocale.js";
 import PreviewPanel from "./components/PreviewPanel.jsx";
 import SidebarPanel from "./components/SidebarPanel.jsx";
+import ProjectManager from "./components/ProjectManager.jsx";
 import {
   DEFAULT_PLATE,
   NEW_PLATE,
   DEFAULT_MOTIF_URL,
+  DEFAULT_MOTIF_CROP,
   STORAGE_KEY,
   STORAGE_KEY_PLATES,
+  STORAGE_KEY_MOTIF_MODE,
+  STORAGE_KEY_ADDONS,
+  MOTIF_MODE_SPAN,
+  MOTIF_MODE_INDIVIDUAL,
+  MOTIF_ASSET_PREFIX,
 } from "./constants/config.js";
+import { MAX_PLATES } from "./constants/limits.js";
 import { Logger } from "./utils/logger.js";
+import { message } from "./i18n/index.js";
+import { normalizeCrop } from "./utils/motifCrop.js";
+import { readSharedConfigFromUrl } from "./utils/configTransfer.js";
+import { calculatePrice } from "./utils/pricing.js";
+import { normalizePlateMaterial } from "./utils/materials.js";
+import { duplicatePlates } from "./utils/bulkEdit.js";
+import { EMBED_EVENTS, toHostPlates } from "./utils/embed.js";
+import { computePrintQuality } from "./utils/printQuality.js";
+import {
+  computePlateLayout,
+  flattenPlateRows,
+  groupPlatesByRow,
+  normalizeRow,
+  normalizeSeams,
+  plateRow,
+} from "./utils/plateLayout.js";
+import { locateObstacles, normalizeWall } from "./utils/wallContext.js";
+import { normalizeFill } from "./utils/motifFill.js";
+import { normalizeAdjust } from "./utils/motifAdjust.js";
+import { useImageSizes } from "./hooks/useImageSizes.js";
+import { useMotifAssets } from "./hooks/useMotifAssets.js";
+import {
+  assetIdsOfProjects,
+  createEmbedStore,
+  loadProjectStore,
+  saveProjectStore,
+} from "./utils/projects.js";
+import {
+  collectUnusedAssets,
+  estimateStorage,
+  migrateDataUrlMotifs,
+} from "./utils/assetStore.js";
 import './App.css';
 
 // --- Local helpers (kept close for clarity) ---
-const withId = (p) => ({
-  ...p,
-  id: crypto.randomUUID(),
-  motifUrl: DEFAULT_MOTIF_URL,
-});
+const withId = (p) =>
+  normalizePlateMaterial({
+    ...p,
+    id: crypto.randomUUID(),
+    motifUrl: DEFAULT_MOTIF_URL,
+    motifCrop: { ...DEFAULT_MOTIF_CROP },
+  });
 
+// Also fills in material/thickness for plates saved before the catalog existed
 const ensureMotif = (list) =>
-  (Array.isArray(list) ? list : []).map((p) => ({
-    ...p,
-    motifUrl:
-      typeof p?.motifUrl === "string" &&
-      (p.motifUrl.startsWith("http") || p.motifUrl.startsWith("data:"))
-        ? p.motifUrl
-        : DEFAULT_MOTIF_URL,
+  (Array.isArray(list) ? list : []).map((p) =>
+    normalizePlateMaterial({
+      ...p,
+      motifUrl:
+        typeof p?.motifUrl === "string" &&
+        (p.motifUrl.startsWith("http") ||
+          p.motifUrl.startsWith("data:") ||
+          p.motifUrl.startsWith(MOTIF_ASSET_PREFIX))
+          ? p.motifUrl
+          : DEFAULT_MOTIF_URL,
+      motifCrop: normalizeCrop(p?.motifCrop),
+    })
+  );
+
+// Default plates of a fresh configuration / new project
+const defaultPlates = () => ensureMotif([withId(DEFAULT_PLATE), withId(NEW_PLATE)]);
+
+// The single configuration stored before projects existed (migrated once)
+function hydrateLegacyConfig() {
+  let plates = null;
+  let motifMode = MOTIF_MODE_SPAN;
+  try {
+    const savedArray = localStorage.getItem(STORAGE_KEY_PLATES);
+    if (savedArray) {
+      const list = JSON.parse(savedArray);
+      if (Array.isArray(list) && list.length) {
+        Logger.info("Hydrated plates from STORAGE_KEY_PLATES", {
+          count: list.length,
+        });
+        plates = ensureMotif(list);
+      }
+    }
+    const single = !plates && localStorage.getItem(STORAGE_KEY);
+    if (single) {
+      const p = JSON.parse(single);
+      Logger.warn(
+        "Found legacy single plate storage; migrating to plates array"
+      );
+      plates = ensureMotif([
+        withId({
+          widthCm: Number.isFinite(+p?.widthCm)
+            ? +p.widthCm
+            : DEFAULT_PLATE.widthCm,
+          heightCm: Number.isFinite(+p?.heightCm)
+            ? +p.heightCm
+            : DEFAULT_PLATE.heightCm,
+          motifUrl:
+            typeof p?.motifUrl === "string" ? p.motifUrl : DEFAULT_MOTIF_URL,
+        }),
+      ]);
+    }
+    const savedMode = localStorage.getItem(STORAGE_KEY_MOTIF_MODE);
+    if (savedMode === MOTIF_MODE_SPAN || savedMode === MOTIF_MODE_INDIVIDUAL) motifMode = savedMode;
+  } catch (err) {
+    Logger.error("Failed to hydrate plates from localStorage", err);
+  }
+  if (!plates) {
+    Logger.info("Using default plates");
+    plates = defaultPlates();
+  }
+  return { plates, unit: "cm", motifMode };
+}
+
+/**
+ * App
+ * - `embed` (embedded widget, see src/embed.jsx / utils/embed):
+ *   { config, limits, errors, connected, emit(type, payload) }. The host's
+ *   config is edited in memory only (nothing is saved to or cleaned up in
+ *   this origin's storage, which the standalone app uses), project
+ *   management is hidden and changes are reported to the host page through
+ *   `emit`. `limits.maxPlates` replaces MAX_PLATES for this widget. Without
+ *   a `connected` host the order goes to the cart endpoint as usual.
+ */
+export default function App({ embed }) {
+  const { t, translate } = useLocale();
+  const maxPlates = embed?.limits?.maxPlates ?? MAX_PLATES;
+
+  // A shared link (#config=...) opens as a new project on first load;
+  // embedded, the host's config takes its place
+  const [shared] = useState(() => (embed ? { config: embed.config } : readSharedConfigFromUrl()));
+
+  // Named projects; the editor state below always belongs to the active one.
+  // Embedded, a single in-memory project (see createEmbedStore).
+  const {
+    store: projectStore,
+    projects,
+    activeProject,
+    updateActiveData,
+    setThumbnail,
+    create: createProject,
+    rename: renameProject,
+    duplicate: duplicateProject,
+    remove: removeProject,
+    setActive: setActiveProject,
+  } = useProjects(() =>
+    embed
+      ? createEmbedStore(shared.config, () => ({ plates: defaultPlates(), unit: "cm", motifMode: MOTIF_MODE_SPAN }))
+      : loadProjectStore({ legacy: hydrateLegacyConfig, shared: shared.config })
+  );
+
+  // Global unit state: "cm" | "mm" | "in" | "ft" (see utils/units)
+  const [unit, setUnit] = useState(() => activeProject.data.unit);
+
+  // Plates + per-row settings ({ align }, indexed like plate.row, 0 = bottom
+  // row) of the active project, with undo/redo history. Both live in one
+  // history entry: removing or moving plates renumbers the rows, and undo
+  // must bring back the plates and their rows' settings together.
+  // Plates also carry motif + crop, so motif edits are undoable too.
+  const {
+    present: editor,
+    set: setEditor,
+    rewrite: rewriteEditor,
+    reset: resetEditor,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useHistory(() => ({
+    plates: ensureMotif(activeProject.data.plates),
+    rows: activeProject.data.rows.map(normalizeRow),
   }));
+  const { plates, rows } = editor;
 
-export default function App() {
-  // Global unit state: "cm" | "in"
-  const [unit, setUnit] = useState("cm");
+  // Setters for one part of the history entry (same signature as useHistory's `set`)
+  const setPlates = useCallback(
+    (updater, options) =>
+      setEditor((s) => {
+        const next = typeof updater === "function" ? updater(s.plates) : updater;
+        return next === s.plates ? s : { ...s, plates: next };
+      }, options),
+    [setEditor]
+  );
+  const setRows = useCallback(
+    (updater, options) =>
+      setEditor((s) => {
+        const next = typeof updater === "function" ? updater(s.rows) : updater;
+        return next === s.rows ? s : { ...s, rows: next };
+      }, options),
+    [setEditor]
+  );
+  // Plates and rows as one step (the row layout changed)
+  const setPlatesAndRows = (next) => setEditor((s) => ({ ...s, plates: next.plates, rows: next.rows }));
+  const rewritePlates = useCallback(
+    (fn) => rewriteEditor((s) => ({ ...s, plates: fn(s.plates) })),
+    [rewriteEditor]
+  );
+
+  // Motif mode: one motif spanning all plates, or one motif per plate
+  const [motifMode, setMotifMode] = useState(() => activeProject.data.motifMode);
+
+  // Wall context (wall size + obstacles) of the active project
+  const [wall, setWall] = useState(() => normalizeWall(activeProject.data.wall));
+
+  // Seams between plates ({ widthMm, trimColor, motif }); per-joint widths live on the plates
+  const [seams, setSeams] = useState(() => normalizeSeams(activeProject.data.seams));
 
-  // Plates state (hydrated from localStorage)
-  const [plates, setPlates] = useState(() => {
+  // How the motif fills its area ({ mode, tileWidthCm, tileHeightCm, background })
+  const [motifFill, setMotifFill] = useState(() => normalizeFill(activeProject.data.motifFill));
+
+  // Non-destructive motif adjustments (filters, tint, opacity over a background)
+  const [motifAdjust, setMotifAdjust] = useState(() => normalizeAdjust(activeProject.data.motifAdjust));
+
+  // Selected price add-on ids (see constants/pricing.js); not persisted when embedded
+  const [addOnIds, setAddOnIds] = useState(() => {
+    if (embed) return [];
     try {
-      const savedArray = localStorage.getItem(STORAGE_KEY_PLATES);
-      if (savedArray) {
-        const list = JSON.parse(savedArray);
-        if (Array.isArray(list) && list.length) {
-          Logger.info("Hydrated plates from STORAGE_KEY_PLATES", {
-            count: list.length,
-          });
-          return ensureMotif(list);
-        }
-      }
-      const single = localStorage.getItem(STORAGE_KEY);
-      if (single) {
-        const p = JSON.parse(single);
-        Logger.warn(
-          "Found legacy single plate storage; migrating to plates array"
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_ADDONS) || "[]");
+      return Array.isArray(saved) ? saved.filter((id) => typeof id === "string") : [];
+    } catch (err) {
+      Logger.error("Failed to read price add-ons from localStorage", err);
+      return [];
+    }
+  });
+
+  // Plate that receives motif changes in individual mode (not persisted)
+  const [selectedPlateId, setSelectedPlateId] = useState(null);
+
+  // Plates checked for bulk editing (not persisted; ids of removed plates
+  // are dropped when rendering)
+  const [checkedIds, setCheckedIds] = useState([]);
+
+  // Dismissible banner for import results ({ type: "success" | "danger", message }).
+  // Messages (i18n `message`) are translated when rendering, so they follow
+  // a locale switch.
+  const [notice, setNotice] = useState(() => {
+    if (embed?.errors.length) {
+      Logger.warn("Embed configuration rejected", embed.errors);
+      return { type: "danger", message: embed.errors };
+    }
+    if (shared.error) {
+      Logger.warn("Shared link could not be loaded", shared.error);
+      return {
+        type: "danger",
+        message: message("app.sharedFailed", { message: shared.error.errors ?? shared.error.message }),
+      };
+    }
+    return shared.config && !embed
+      ? { type: "success", message: message("app.sharedOpened") }
+      : null;
+  });
+
+  // Warning banner when browser storage runs low or saving fails (message | null)
+  const [storageWarning, setStorageWarning] = useState(null);
+
+  // Keep the active project in sync with the editor
+  useEffect(() => {
+    updateActiveData({ plates, unit, motifMode, wall, rows, seams, motifFill, motifAdjust });
+  }, [plates, unit, motifMode, wall, rows, seams, motifFill, motifAdjust, updateActiveData]);
+
+  // Persist all projects whenever one changes; the pre-project keys are
+  // dropped after the first successful save (their data is migrated).
+  // The embedded widget never writes (its store is in memory).
+  const legacyClearedRef = useRef(false);
+  useEffect(() => {
+    if (embed) return;
+    try {
+      saveProjectStore(projectStore);
+      if (!legacyClearedRef.current) {
+        [STORAGE_KEY, STORAGE_KEY_PLATES, STORAGE_KEY_MOTIF_MODE].forEach((k) =>
+          localStorage.removeItem(k)
         );
-        return ensureMotif([
-          withId({
-            widthCm: Number.isFinite(+p?.widthCm)
-              ? +p.widthCm
-              : DEFAULT_PLATE.widthCm,
-            heightCm: Number.isFinite(+p?.heightCm)
-              ? +p.heightCm
-              : DEFAULT_PLATE.heightCm,
-            motifUrl:
-              typeof p?.motifUrl === "string" ? p.motifUrl : DEFAULT_MOTIF_URL,
-          }),
-        ]);
+        legacyClearedRef.current = true;
       }
     } catch (err) {
-      Logger.error("Failed to hydrate plates from localStorage", err);
+      Logger.error("Failed to persist projects to localStorage", err);
+      setStorageWarning(message("app.storageFull"));
+      return;
     }
-    Logger.info("Using default plates");
-    return ensureMotif([withId(DEFAULT_PLATE), withId(NEW_PLATE)]);
-  });
+    estimateStorage().then((estimate) => {
+      if (!estimate?.low) return;
+      Logger.warn("Browser storage is running low", estimate);
+      setStorageWarning(message("app.storageLow", { percent: Math.round(estimate.ratio * 100) }));
+    });
+  }, [embed, projectStore]);
+
+  // Uploaded motifs live in IndexedDB. Plates still carrying a data: URL
+  // (saved before the asset store, or from a JSON import) are moved there;
+  // the whole undo stack is rewritten so it never holds the data URLs again.
+  useEffect(() => {
+    if (!plates.some((p) => p.motifUrl?.startsWith("data:"))) return undefined;
+    let cancelled = false;
+    migrateDataUrlMotifs(plates)
+      .then((mapping) => {
+        if (cancelled) return;
+        rewritePlates((list) =>
+          list.map((p) => (mapping[p.motifUrl] ? { ...p, motifUrl: mapping[p.motifUrl] } : p))
+        );
+      })
+      .catch((err) => {
+        Logger.error("Failed to move motifs to IndexedDB", err);
+        setStorageWarning(message("app.motifsNotStored"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [plates, rewritePlates]);
+
+  // Once per load: drop stored motifs that no project references anymore.
+  // Only assets from before this load are considered (see collectUnusedAssets).
+  // Not when embedded: the widget does not know the standalone projects.
+  const startupRef = useRef({ projects, at: Date.now(), embedded: Boolean(embed) });
+  useEffect(() => {
+    const { projects: initial, at, embedded } = startupRef.current;
+    if (embedded) return;
+    collectUnusedAssets(assetIdsOfProjects(initial), { before: at }).catch((err) =>
+      Logger.warn("Motif asset cleanup failed", err)
+    );
+  }, []);
+
+  // Asset references -> displayable object URLs (preview, exports, swatches)
+  const resolveMotif = useMotifAssets(plates.map((p) => p.motifUrl));
+  const displayPlates = useMemo(
+    () => plates.map((p) => {
+      const src = resolveMotif(p.motifUrl);
+      return src === p.motifUrl ? p : { ...p, motifUrl: src };
+    }),
+    [plates, resolveMotif]
+  );
 
-  // Persist to localStorage whenever plates change
   useEffect(() => {
+    if (embed) return;
     try {
-      localStorage.setItem(STORAGE_KEY_PLATES, JSON.stringify(plates));
+      localStorage.setItem(STORAGE_KEY_ADDONS, JSON.stringify(addOnIds));
     } catch (err) {
-      Logger.error("Failed to persist plates to localStorage", err);
+      Logger.error("Failed to persist price add-ons to localStorage", err);
     }
-  }, [plates]);
+  }, [embed, addOnIds]);
 
   // ---- CRUD operations ----
   const addPlate = () => {
     setPlates((prev) => {
-      if (prev.length >= 10) {
+      if (prev.length >= maxPlates) {
         Logger.warn("Attempted to add plate beyond limit", {
           count: prev.length,
         });
         return prev;
       }
-      return [...prev, withId(NEW_PLATE)];
+      // New plates join the top row (the list is ordered row by row)
+      const row = plateRow(prev[prev.length - 1]);
+      return [...prev, { ...withId(NEW_PLATE), row }];
     });
   };
 
-  const removePlate = (id) => {
+  // Start a new row on top with one new plate
+  const addRow = () => {
     setPlates((prev) => {
-      if (prev.length <= 1) {
-        Logger.warn("Attempted to remove last remaining plate");
+      if (prev.length >= maxPlates) {
+        Logger.warn("Attempted to add plate beyond limit", {
+          count: prev.length,
+        });
         return prev;
       }
-      return prev.filter((p) => p.id !== id);
+      const row = groupPlatesByRow(prev).length;
+      return [...prev, { ...withId(NEW_PLATE), row }];
+    });
+  };
+
+  // Replace the list with a fill-wall proposal (utils/wallSplit); undoable.
+  // The new plates keep the first plate's motif and material.
+  const fillWall = (proposed, rowCount) => {
+    if (!proposed.length || proposed.length > maxPlates) {
+      Logger.warn("Rejected fill-wall proposal", { count: proposed.length });
+      return;
+    }
+    const template = plates[0];
+    setPlatesAndRows({
+      plates: proposed.map((p) =>
+        normalizePlateMaterial({ ...template, ...p, id: crypto.randomUUID(), seamRightMm: null })
+      ),
+      rows: Array.from({ length: rowCount }, () => normalizeRow()),
     });
+    setSelectedPlateId(null);
+    Logger.info("Wall filled with plates", { count: proposed.length, rows: rowCount });
   };
 
-  const updatePlate = (id, next) => {
+  const removePlate = (id) => {
+    if (plates.length <= 1) {
+      Logger.warn("Attempted to remove last remaining plate");
+      return;
+    }
+    // Removing the last plate of a row closes the gap (rows are renumbered)
+    setPlatesAndRows(
+      flattenPlateRows(groupPlatesByRow(plates.filter((p) => p.id !== id)), rows)
+    );
+  };
+
+  // Copy a plate right after itself (same row)
+  const duplicatePlate = (id) => {
+    const result = duplicatePlates(plates, [id], maxPlates);
+    if (result.error) {
+      Logger.warn("Attempted to duplicate plate beyond limit", { count: plates.length });
+      return;
+    }
+    setPlates(result.plates);
+  };
+
+  // Batch edits from BulkEditPanel (utils/bulkEdit); one undo step.
+  // Deleting the last plates of a row closes the gap like removePlate.
+  const applyBulkEdit = (nextPlates) => {
+    setPlatesAndRows(flattenPlateRows(groupPlatesByRow(nextPlates), rows));
+  };
+
+  const updatePlate = (id, next, options) => {
     setPlates((prev) => {
-      const exists = prev.some((p) => p.id === id);
-      if (!exists) Logger.warn("updatePlate called with unknown id", { id });
+      const target = prev.find((p) => p.id === id);
+      if (!target) Logger.warn("updatePlate called with unknown id", { id });
+      // Unchanged commits (e.g. blur without edits) must not create history steps
+      if (!target || Object.keys(next).every((k) => target[k] === next[k])) return prev;
       return prev.map((p) => (p.id === id ? { ...p, ...next } : p));
+    }, options);
+  };
+
+  // Drag & drop; moves between rows also renumber the rows (one undo step)
+  const handleReorder = (nextList, nextRows = rows) =>
+    setPlatesAndRows({ plates: nextList, rows: nextRows });
+
+  const setRowAlign = (index, align) =>
+    setRows((prev) => {
+      const next = [...prev];
+      while (next.length <= index) next.push(normalizeRow());
+      next[index] = normalizeRow({ ...next[index], align });
+      return next;
     });
+
+  // Replace the whole configuration (JSON import)
+  // - plates and rows: one undo step
+  // - unit, motif mode, wall, seams and motif settings: replaced, not undoable
+  const applyConfig = (config) => {
+    setPlatesAndRows({ plates: config.plates, rows: config.rows || [] });
+    setUnit(config.unit);
+    setMotifMode(config.motifMode);
+    setWall(config.wall ?? normalizeWall());
+    if (config.seams) setSeams(config.seams);
+    if (config.motifFill) setMotifFill(config.motifFill);
+    if (config.motifAdjust) setMotifAdjust(config.motifAdjust);
+    setSelectedPlateId(null);
+    setNotice({ type: "success", message: message("app.imported") });
+    Logger.info("Configuration imported", { count: config.plates.length });
+  };
+
+  // ---- Projects ----
+  // Load a project into the editor; its history starts fresh
+  const loadProjectData = (project) => {
+    resetEditor({
+      plates: ensureMotif(project.data.plates),
+      rows: project.data.rows.map(normalizeRow),
+    });
+    setUnit(project.data.unit);
+    setMotifMode(project.data.motifMode);
+    setWall(normalizeWall(project.data.wall));
+    setSeams(normalizeSeams(project.data.seams));
+    setMotifFill(normalizeFill(project.data.motifFill));
+    setMotifAdjust(normalizeAdjust(project.data.motifAdjust));
+    setSelectedPlateId(null);
+  };
+
+  const openProject = (id) => {
+    const project = projects.find((p) => p.id === id);
+    if (!project || project.id === activeProject.id) return;
+    setActiveProject(id);
+    loadProjectData(project);
+    Logger.info("Project opened", { id });
+  };
+
+  const newProject = () => {
+    const project = createProject({ plates: defaultPlates(), unit, motifMode: MOTIF_MODE_SPAN });
+    loadProjectData(project);
+    Logger.info("Project created", { id: project.id });
+  };
+
+  const deleteProject = (id) => {
+    if (projects.length <= 1) return;
+    removeProject(id);
+    if (id === activeProject.id) loadProjectData(projects.find((p) => p.id !== id));
+    Logger.info("Project deleted", { id });
+  };
+
+  // Selection falls back to the first plate if the selected one was removed
+  const selectedPlate =
+    plates.find((p) => p.id === selectedPlateId) || plates[0];
+
+  // Motif helpers
+  // - span mode: current motif = from first plate, changes apply to all plates
+  // - individual mode: current motif = from selected plate, changes apply to it only
+  const currentMotif =
+    (motifMode === MOTIF_MODE_INDIVIDUAL
+      ? selectedPlate?.motifUrl
+      : plates[0]?.motifUrl) || DEFAULT_MOTIF_URL;
+  const currentCrop =
+    motifMode === MOTIF_MODE_INDIVIDUAL
+      ? selectedPlate?.motifCrop
+      : plates[0]?.motifCrop;
+
+  // Applies a patch ({ motifUrl } and/or { motifCrop }) to the motif target(s)
+  const patchMotif = (patch, options) => {
+    if (motifMode === MOTIF_MODE_INDIVIDUAL && selectedPlate) {
+      updatePlate(selectedPlate.id, patch, options);
+    } else {
+      setPlates((prev) => prev.map((p) => ({ ...p, ...patch })), options);
+    }
   };
+  // A new image starts with a fresh crop
+  const setMotif = (url) =>
+    patchMotif({ motifUrl: url, motifCrop: { ...DEFAULT_MOTIF_CROP } });
+  // `options.coalesceKey` merges a whole drag / slider move into one undo step
+  const setMotifCrop = (crop, options) =>
+    patchMotif({ motifCrop: normalizeCrop(crop) }, options);
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z or Ctrl+Y = redo.
+  // Text fields keep their native undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const el = e.target;
+      if (el?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [undo, redo]);
+  const resetMotif = () => setMotif(DEFAULT_MOTIF_URL);
 
-  const handleReorder = (nextList) => setPlates(nextList);
+  const toggleAddOn = (id) =>
+    setAddOnIds((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
 
-  // Shared motif helpers (current motif = from first plate)
-  const currentMotif = plates[0]?.motifUrl || DEFAULT_MOTIF_URL;
-  const setMotifForAll = (url) =>
-    setPlates((prev) => prev.map((p) => ({ ...p, motifUrl: url })));
-  const resetMotif = () => setMotifForAll(DEFAULT_MOTIF_URL);
+  // Live price (per plate + total), shown in the sidebar and in exports
+  const price = useMemo(
+    () => calculatePrice(plates, { addOnIds }),
+    [plates, addOnIds]
+  );
+
+  // Physical layout (rows stacked, aligned, seams); shared by the derived values below
+  const layout = useMemo(
+    () => computePlateLayout(plates, rows, seams),
+    [plates, rows, seams]
+  );
+
+  // Wall context: which plate each obstacle falls on + cutouts (empty when off)
+  const obstacles = useMemo(
+    () => (wall.enabled ? locateObstacles(layout, wall) : []),
+    [layout, wall]
+  );
+
+  // Effective DPI per plate from the motifs' natural pixel size
+  const currentMotifSrc = resolveMotif(currentMotif);
+  const motifSizes = useImageSizes(
+    motifMode === MOTIF_MODE_INDIVIDUAL
+      ? displayPlates.map((p) => p.motifUrl)
+      : [currentMotifSrc]
+  );
+  const printQuality = useMemo(
+    () =>
+      computePrintQuality({
+        plates: displayPlates,
+        rows,
+        seams,
+        motifMode,
+        motifUrl: currentMotifSrc,
+        motifCrop: currentCrop,
+        motifFill,
+        imageSizes: motifSizes,
+      }),
+    [displayPlates, rows, seams, motifMode, currentMotifSrc, currentCrop, motifFill, motifSizes]
+  );
 
   // Derived meta (kept for potential future use)
-  const { totalWidthCm, maxHeightCm } = useMemo(
+  const { totalWidthCm, seamsCm, maxHeightCm } = useMemo(
     () => ({
-      totalWidthCm: plates.reduce((s, p) => s + p.widthCm, 0),
+      // widest row incl. seams (the sum of all widths for a single row without seams)
+      totalWidthCm: layout.totalWidthCm,
+      seamsCm: layout.seamsCm,
       maxHeightCm: plates.reduce((m, p) => Math.max(m, p.heightCm), 0),
     }),
-    [plates]
+    [layout, plates]
   );
 
+  // Embedded widget: report changes to the host page (utils/embed)
+  useEffect(() => {
+    embed?.emit(EMBED_EVENTS.PLATES_CHANGED, { plates: toHostPlates(plates), unit, totalWidthCm });
+  }, [embed, plates, unit, totalWidthCm]);
+
+  useEffect(() => {
+    embed?.emit(EMBED_EVENTS.MOTIF_CHANGED, {
+      motifUrl: currentMotif,
+      motifCrop: currentCrop,
+      motifMode,
+      custom: currentMotif.startsWith(MOTIF_ASSET_PREFIX),
+    });
+  }, [embed, currentMotif, currentCrop, motifMode]);
+
+  // Preview container; CheckoutPanel snapshots it for the order
+  const previewRef = useRef(null);
+
+  // Embedded: the checkout hands the order (utils/order) to the host page
+  const addToCart = (order) => {
+    embed.emit(EMBED_EVENTS.ADD_TO_CART, {
+      plates: toHostPlates(plates),
+      unit,
+      motif: { motifUrl: currentMotif, motifCrop: currentCrop, motifMode },
+      price,
+      addOnIds,
+      order,
+    });
+    Logger.info("Add to cart requested", { orderId: order.orderId, count: plates.length, total: price.total });
+  };
+
   return (
     <div className="container py-4">
+      {notice && (
+        <div
+          className={`alert alert-${notice.type} alert-dismissible py-2`}
+          role="alert"
+        >
+          {translate(notice.message)}
+          <button
+            type="button"
+            className="btn-close"
+            aria-label={t("common.close")}
+            onClick={() => setNotice(null)}
+          />
+        </div>
+      )}
+      {storageWarning && (
+        <div className="alert alert-warning alert-dismissible py-2" role="alert">
+          {translate(storageWarning)}
+          <button
+            type="button"
+            className="btn-close"
+            aria-label={t("common.close")}
+            onClick={() => setStorageWarning(null)}
+          />
+        </div>
+      )}
       <div className="row g-4">
         {/* Left: preview + uploader */}
         <div className="col-12 col-lg-8">
           <PreviewPanel
-            plates={plates}
-            motifUrl={currentMotif}
-            onMotifChange={setMotifForAll}
+            plates={displayPlates}
+            rows={rows}
+            seams={seams}
+            unit={unit}
+            price={price}
+            wall={wall}
+            obstacles={obstacles}
+            printQuality={printQuality}
+            motifUrl={currentMotifSrc}
+            motifCrop={currentCrop}
+            onMotifCropChange={setMotifCrop}
+            motifFill={motifFill}
+            onMotifFillChange={setMotifFill}
+            motifAdjust={motifAdjust}
+            onMotifAdjustChange={setMotifAdjust}
+            motifMode={motifMode}
+            onMotifModeChange={setMotifMode}
+            selectedPlateId={selectedPlate?.id}
+            selectedPlateIndex={plates.indexOf(selectedPlate)}
+            onSelectPlate={setSelectedPlateId}
+            onMotifChange={setMotif}
             onMotifReset={resetMotif}
+            thumbnailKey={activeProject.id}
+            onThumbnail={setThumbnail}
+            onPngExported={embed ? (result) => embed.emit(EMBED_EVENTS.EXPORT_READY, result) : undefined}
+            previewNodeRef={previewRef}
           />
         </div>
 
         {/* Right: controls + list */}
         <div className="col-12 col-lg-4">
+          {!embed && (
+            <ProjectManager
+              projects={projects}
+              activeId={activeProject.id}
+              onOpen={openProject}
+              onCreate={newProject}
+              onRename={renameProject}
+              onDuplicate={duplicateProject}
+              onDelete={deleteProject}
+            />
+          )}
           <SidebarPanel
             unit={unit}
             setUnit={setUnit}
@@ -150,9 +720,41 @@ export default function App() {
             onReorder={handleReorder}
             onCommit={(id, next) => updatePlate(id, next)}
             onRemove={(id) => removePlate(id)}
+            onDuplicate={duplicatePlate}
+            checkedIds={checkedIds.filter((id) => plates.some((p) => p.id === id))}
+            onCheckedChange={setCheckedIds}
+            onBulkEdit={applyBulkEdit}
             onAdd={addPlate}
-            canAdd={plates.length < 10}
+            onAddRow={addRow}
+            onFillWall={fillWall}
+            rows={rows}
+            onRowAlign={setRowAlign}
+            canAdd={plates.length < maxPlates}
+            maxPlates={maxPlates}
+            onUndo={undo}
+            onRedo={redo}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            onImportConfig={applyConfig}
+            price={price}
+            addOnIds={addOnIds}
+            onToggleAddOn={toggleAddOn}
             totalWidthCm={totalWidthCm}
+            seamsCm={seamsCm}
+            seams={seams}
+            onSeamsChange={setSeams}
+            motifFill={motifFill}
+            motifAdjust={motifAdjust}
+            motifMode={motifMode}
+            selectedPlateId={selectedPlate?.id}
+            onSelectPlate={setSelectedPlateId}
+            printQuality={printQuality}
+            resolveMotif={resolveMotif}
+            wall={wall}
+            onWallChange={setWall}
+            obstacles={obstacles}
+            onAddToCart={embed?.connected ? addToCart : undefined}
+            previewRef={previewRef}
           />
         </div>
       </div>
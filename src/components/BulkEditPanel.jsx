@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { duplicatePlates, setPlateSize, distributeWidth, removePlates } from "../utils/bulkEdit.js";
+import { evaluateLength } from "../utils/lengthExpression.js";
+import { UNIT_LABELS, isImperial, formatLengthInput } from "../utils/units.js";
+import { Logger } from "../utils/logger.js";
+import { message } from "../i18n/index.js";
+import { useLocale } from "../hooks/useLocale.js";
+import "./BulkEditPanel.css";
+
+/**
+ * BulkEditPanel
+ * Batch actions for the plates checked in the list (checkbox / shift-click
+ * in PlateListDnd); hidden while nothing is checked.
+ * - Set one width or height for all checked plates, or distribute a total
+ *   width evenly over them (fields take lengths and arithmetic like the
+ *   plate fields, see utils/lengthExpression).
+ * - Duplicate (within `maxPlates`) or delete the checked plates; at least
+ *   one plate always remains.
+ * - Validation lives in utils/bulkEdit; valid results go to
+ *   `onApply(nextPlates)` as one undo step, `onCheckedChange(ids)` updates
+ *   the selection.
+ */
+export default function BulkEditPanel({ plates, checkedIds, unit, onCheckedChange, onApply, maxPlates }) {
+  const { t, translate } = useLocale();
+  const [widthText, setWidthText] = useState("");
+  const [heightText, setHeightText] = useState("");
+  const [totalText, setTotalText] = useState("");
+  const [error, setError] = useState(null); // i18n message
+
+  const checked = plates.filter((p) => checkedIds.includes(p.id));
+  if (!checked.length) return null;
+
+  const checkedWidthCm = checked.reduce((sum, p) => sum + p.widthCm, 0);
+  const unitLabel = UNIT_LABELS[unit];
+  const inputMode = isImperial(unit) ? "text" : "decimal";
+
+  // Applies a bulkEdit result or shows its error; true on success
+  function run(result, action) {
+    if (result.error) {
+      setError(result.error);
+      Logger.warn("BulkEditPanel: rejected", { action, error: result.error });
+      return false;
+    }
+    setError(null);
+    onApply(result.plates);
+    Logger.info("Bulk edit applied", { action, count: checkedIds.length });
+    return true;
+  }
+
+  function lengthOf(text) {
+    const cm = evaluateLength(text, unit);
+    if (!Number.isFinite(cm)) setError(message("plate.enterNumber"));
+    return cm;
+  }
+
+  function applySize(key, text, setText) {
+    const cm = lengthOf(text);
+    if (Number.isFinite(cm) && run(setPlateSize(plates, checkedIds, { [key]: cm }), key)) setText("");
+  }
+
+  function applyDistribute() {
+    const cm = totalText.trim() === "" ? checkedWidthCm : lengthOf(totalText);
+    if (Number.isFinite(cm) && run(distributeWidth(plates, checkedIds, cm), "distribute")) setTotalText("");
+  }
+
+  function applyRemove() {
+    if (!window.confirm(t("bulk.confirmDelete", { count: checked.length }))) return;
+    if (run(removePlates(plates, checkedIds), "remove")) onCheckedChange([]);
+  }
+
+  const field = (label, value, setValue, placeholder, onSubmit, buttonLabel) => (
+    <form
+      className="bulk-edit-field"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit();
+      }}
+    >
+      <label>
+        <span>{label}</span>
+        <input
+          inputMode={inputMode}
+          className="form-control form-control-sm"
+          value={value}
+          placeholder={placeholder}
+          onChange={(e) => setValue(e.target.value)}
+        />
+      </label>
+      <button type="submit" className="btn btn-sm btn-outline-dark">
+        {buttonLabel}
+      </button>
+    </form>
+  );
+
+  return (
+    <div className="card border-0 mt-3 bulk-edit" aria-label={t("bulk.title")}>
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <strong className="small">{t("bulk.checked", { count: checked.length, total: plates.length })}</strong>
+          <div className="btn-group btn-group-sm">
+            <button type="button" className="btn btn-outline-dark" onClick={() => onCheckedChange(plates.map((p) => p.id))}>
+              {t("bulk.all")}
+            </button>
+            <button type="button" className="btn btn-outline-dark" onClick={() => onCheckedChange([])}>
+              {t("bulk.none")}
+            </button>
+          </div>
+        </div>
+
+        {field(
+          t("bulk.width", { unit: unitLabel }),
+          widthText,
+          setWidthText,
+          formatLengthInput(checked[0].widthCm, unit),
+          () => applySize("widthCm", widthText, setWidthText),
+          t("bulk.set")
+        )}
+        {field(
+          t("bulk.height", { unit: unitLabel }),
+          heightText,
+          setHeightText,
+          formatLengthInput(checked[0].heightCm, unit),
+          () => applySize("heightCm", heightText, setHeightText),
+          t("bulk.set")
+        )}
+        {checked.length > 1 &&
+          field(
+            t("bulk.total", { unit: unitLabel }),
+            totalText,
+            setTotalText,
+            formatLengthInput(checkedWidthCm, unit),
+            applyDistribute,
+            t("bulk.distribute")
+          )}
+
+        {error && <div className="small text-danger mb-2">{translate(error)}</div>}
+
+        <div className="d-flex gap-2">
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-dark flex-fill"
+            onClick={() => run(duplicatePlates(plates, checkedIds, maxPlates), "duplicate")}
+          >
+            {t("bulk.duplicate")}
+          </button>
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-danger flex-fill"
+            onClick={applyRemove}
+            disabled={checked.length === plates.length}
+            title={checked.length === plates.length ? t("bulk.keepOne") : undefined}
+          >
+            {t("bulk.delete")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { buildOrder, submitOrder } from "../utils/order.js";
+import { exportNodeToPng } from "../utils/exportPng.js";
+import { Logger } from "../utils/logger.js";
+import { useLocale } from "../hooks/useLocale.js";
+import "./CheckoutPanel.css";
+
+/**
+ * CheckoutPanel
+ * "In den Warenkorb": validate the configuration, build the order payload
+ * (utils/order) with a PNG of the preview (`previewRef`) and send it to
+ * the cart endpoint.
+ * - Progress while preparing / sending (with the retry attempt), then the
+ *   shop's order number and cart link.
+ * - Validation problems are listed; failed submissions say why (offline,
+ *   timeout, server, rejected) and can be sent again unchanged (same
+ *   order id, so the shop never gets it twice).
+ * - Embedded in a shop (`onHandOver`), the order goes to the host page
+ *   instead of the endpoint.
+ * - A blurry motif (print quality "poor") is only a warning.
+ */
+export default function CheckoutPanel({
+  plates,
+  rows,
+  seams,
+  motifMode,
+  motifFill,
+  motifAdjust,
+  obstacles,
+  unit,
+  price,
+  addOnIds,
+  printQuality,
+  previewRef,
+  onHandOver,
+  maxPlates,
+}) {
+  const { t, translate } = useLocale();
+  // { phase: "idle" | "preparing" | "sending" | "done" | "failed", ... }
+  const [state, setState] = useState({ phase: "idle" });
+  const busy = state.phase === "preparing" || state.phase === "sending";
+
+  async function send(order) {
+    if (onHandOver) {
+      onHandOver(order);
+      setState({ phase: "done", handedOver: true });
+      return;
+    }
+    try {
+      const result = await submitOrder(order, {
+        onAttempt: (attempt, total) => setState({ phase: "sending", attempt, total }),
+      });
+      setState({ phase: "done", result });
+    } catch (err) {
+      Logger.error("CheckoutPanel: order submission failed", err);
+      setState({ phase: "failed", kind: err?.kind || "network", errors: err?.errors || [], order });
+    }
+  }
+
+  async function handleCheckout() {
+    setState({ phase: "preparing" });
+    let order;
+    try {
+      let previewPng = null;
+      try {
+        previewPng = await exportNodeToPng(previewRef?.current, "Rueckwand-Preview.png", { download: false });
+      } catch (err) {
+        // The order is still valid without a picture (e.g. motif host without CORS)
+        Logger.warn("CheckoutPanel: preview capture failed", err);
+      }
+      order = await buildOrder({
+        plates, rows, seams, motifMode, motifFill, motifAdjust, obstacles, unit, price, addOnIds, previewPng, maxPlates,
+      });
+    } catch (err) {
+      Logger.warn("CheckoutPanel: order not built", err);
+      setState({
+        phase: "failed",
+        kind: err?.kind === "invalid" ? "invalid" : "build",
+        errors: err?.kind === "invalid" ? err.errors : [],
+      });
+      return;
+    }
+    await send(order);
+  }
+
+  const progress =
+    state.phase === "sending" && state.total > 1
+      ? t("checkout.sendingAttempt", { attempt: state.attempt, total: state.total })
+      : t(state.phase === "sending" ? "checkout.sending" : "checkout.preparing");
+
+  return (
+    <div className="checkout-panel mt-2">
+      <button
+        type="button"
+        className="btn-green w-100"
+        onClick={handleCheckout}
+        disabled={busy}
+        title={t("checkout.hint")}
+      >
+        {busy ? progress : t("checkout.submit")}
+      </button>
+
+      {printQuality?.worst === "poor" && state.phase === "idle" && (
+        <small className="text-warning d-block mt-1">{t("checkout.lowQuality")}</small>
+      )}
+
+      {state.phase === "done" && (
+        <div className="checkout-status text-success small mt-2" role="status">
+          {state.handedOver
+            ? t("checkout.handedOver")
+            : t("checkout.done", { orderId: state.result.orderId })}
+          {state.result?.cartUrl && (
+            <a className="ms-1" href={state.result.cartUrl} target="_top">
+              {t("checkout.openCart")}
+            </a>
+          )}
+        </div>
+      )}
+
+      {state.phase === "failed" && (
+        <div className="checkout-status text-danger small mt-2" role="alert">
+          {t(`checkout.error.${state.kind}`)}
+          {state.errors.length > 0 && (
+            <ul className="mb-0 ps-3">
+              {state.errors.map((msg, i) => (
+                <li key={i}>{translate(msg)}</li>
+              ))}
+            </ul>
+          )}
+          {state.order && state.kind !== "rejected" && (
+            <button
+              type="button"
+              className="btn btn-sm btn-outline-danger mt-1"
+              onClick={() => send(state.order)}
+            >
+              {t("checkout.retry")}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useRef, useState } from "react";
+import {
+  buildShareUrl,
+  hasLocalMotifs,
+  parseConfigFile,
+  toConfigFile,
+} from "../utils/configTransfer.js";
+import { downloadBlob } from "../utils/download.js";
+import { inlineMotifAssets } from "../utils/assetStore.js";
+import { downloadDiagnostics } from "../utils/diagnostics.js";
+import { Logger } from "../utils/logger.js";
+import { message } from "../i18n/index.js";
+import { useLocale } from "../hooks/useLocale.js";
+
+/**
+ * ConfigTransferPanel
+ * Share / save / load the configuration.
+ * - "Link kopieren": compact share link (uploaded motifs are not included).
+ * - "JSON speichern" / "JSON laden": full configuration as a file; uploaded
+ *   motifs are embedded as data URLs so the file is self-contained.
+ * - Validation errors from the import are listed inline; valid imports
+ *   are handed to `onImport(config)`.
+ * - "Diagnose herunterladen": JSON bundle for support with recent logs,
+ *   this configuration, browser info and storage usage (utils/diagnostics).
+ */
+export default function ConfigTransferPanel({ plates, rows, seams, motifFill, motifAdjust, unit, motifMode, wall, maxPlates, onImport }) {
+  const { t, translate } = useLocale();
+  const fileRef = useRef(null);
+  const [status, setStatus] = useState(null); // { type: "success" | "danger", message }
+  const [errors, setErrors] = useState([]); // i18n messages, translated when rendering
+
+  const localMotifs = hasLocalMotifs(plates);
+
+  async function handleCopyLink() {
+    setErrors([]);
+    const url = buildShareUrl({ plates, rows, seams, motifFill, motifAdjust, unit, motifMode, wall });
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus({ type: "success", message: message("transfer.linkCopied") });
+    } catch (err) {
+      // Clipboard may be blocked (permissions / insecure context): show the link instead
+      Logger.warn("ConfigTransferPanel: clipboard write failed", err);
+      window.prompt(`${t("transfer.copyLink")}:`, url);
+      setStatus(null);
+    }
+  }
+
+  async function handleDownload() {
+    setErrors([]);
+    try {
+      const portable = await inlineMotifAssets(plates);
+      const json = JSON.stringify(toConfigFile({ plates: portable, rows, seams, motifFill, motifAdjust, unit, motifMode, wall }), null, 2);
+      downloadBlob(new Blob([json], { type: "application/json" }), "Rueckwand-Konfiguration.json");
+      setStatus({ type: "success", message: message("transfer.saved") });
+    } catch (err) {
+      Logger.error("ConfigTransferPanel: saving JSON failed", err);
+      setStatus({
+        type: "danger",
+        message: message("transfer.saveFailed"),
+      });
+    }
+  }
+
+  async function handleDiagnostics() {
+    setErrors([]);
+    try {
+      await downloadDiagnostics({ plates, rows, seams, motifFill, motifAdjust, unit, motifMode, wall });
+      setStatus(null);
+    } catch (err) {
+      Logger.error("ConfigTransferPanel: diagnostics download failed", err);
+      setStatus({ type: "danger", message: message("transfer.diagnosticsFailed") });
+    }
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-selecting the same file
+    if (!file) return;
+    setStatus(null);
+    try {
+      const config = parseConfigFile(await file.text(), { maxPlates });
+      setErrors([]);
+      onImport?.(config);
+    } catch (err) {
+      Logger.warn("ConfigTransferPanel: import rejected", err);
+      setErrors(err?.errors || [err?.message || String(err)]);
+    }
+  }
+
+  return (
+    <div className="card border-0 mt-3 config-transfer">
+      <div className="card-body">
+        <span className="text-muted d-block mb-2">{t("transfer.title")}</span>
+        <div className="d-flex flex-wrap gap-2">
+          <button type="button" className="btn btn-sm btn-outline-dark" onClick={handleCopyLink}>
+            {t("transfer.copyLink")}
+          </button>
+          <button type="button" className="btn btn-sm btn-outline-dark" onClick={handleDownload}>
+            {t("transfer.saveJson")}
+          </button>
+          <button
+            type="button"
+            className="btn btn-sm btn-outline-dark"
+            onClick={() => fileRef.current?.click()}
+          >
+            {t("transfer.loadJson")}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            className="d-none"
+            onChange={handleFile}
+          />
+          <button
+            type="button"
+            className="btn btn-sm btn-link text-muted px-0"
+            onClick={handleDiagnostics}
+            title={t("transfer.diagnosticsHint")}
+          >
+            {t("transfer.diagnostics")}
+          </button>
+        </div>
+
+        {localMotifs && (
+          <small className="text-muted d-block mt-2">
+            {t("transfer.localMotifs")}
+          </small>
+        )}
+        {status && <small className={`text-${status.type} d-block mt-2`}>{translate(status.message)}</small>}
+        {errors.length > 0 && (
+          <div className="text-danger small mt-2">
+            {t("transfer.importFailed")}
+            <ul className="mb-0 ps-3">
+              {errors.map((msg, i) => (
+                <li key={i}>{translate(msg)}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from "react";
+import { cmPerUnit, formatLength } from "../utils/units.js";
+
+// Ruler steps (in the display unit, feet for "ft") and the minimum gap
+// between labelled ticks
+const RULER_STEPS = {
+  cm: [10, 20, 25, 50, 100],
+  mm: [100, 200, 250, 500, 1000],
+  in: [6, 12, 24, 48],
+  ft: [1, 2, 4, 8],
+};
+const MIN_TICK_PX = 48;
+
+/**
+ * DimensionOverlay
+ * Annotations drawn over MultiPlatePreview (same px geometry as the plates):
+ * - a ruler above the frame for the total width, labelled ticks in the
+ *   current unit (cm | mm | in | ft)
+ * - per-plate width label and plate number (matches PlateItem's badge)
+ * - height callouts: on every plate when heights differ, else on the last one
+ * Purely visual (pointer-events: none); whether it is part of the PNG export
+ * is decided by the parent.
+ *
+ * items: [{ index, left, bottom, width, height, widthCm, heightCm }] in px / cm
+ */
+export default function DimensionOverlay({ items, frameW, totalWidthCm, scaleX, unit }) {
+  const perUnitCm = cmPerUnit(unit);
+  const steps = RULER_STEPS[unit] || RULER_STEPS.cm;
+  const step = steps.find((s) => s * perUnitCm * scaleX >= MIN_TICK_PX) ?? steps[steps.length - 1];
+  const ticks = [];
+  for (let v = 0; v * perUnitCm <= totalWidthCm + 1e-6; v += step) ticks.push(v);
+
+  const heightsDiffer = new Set(items.map((it) => it.heightCm)).size > 1;
+
+  return (
+    <div className="dimension-overlay" style={{ width: frameW }}>
+      <div className="dim-ruler">
+        <div className="dim-ruler-line" />
+        {ticks.map((v) => (
+          <div key={v} className="dim-tick" style={{ left: v * perUnitCm * scaleX }}>
+            <span>{unit === "ft" ? `${v}'` : v}</span>
+          </div>
+        ))}
+        <div className="dim-tick dim-tick-end" style={{ left: frameW }} />
+        <span className="dim-total">{formatLength(totalWidthCm, unit)}</span>
+      </div>
+
+      {items.map((it, i) => (
+        <div
+          key={it.index}
+          className="dim-plate"
+          style={{ left: it.left, bottom: it.bottom, width: it.width, height: it.height }}
+        >
+          <span className="dim-number">{it.index + 1}</span>
+          <span className="dim-label dim-width">{formatLength(it.widthCm, unit)}</span>
+          {(heightsDiffer || i === items.length - 1) && (
+            <span className="dim-label dim-height">{formatLength(it.heightCm, unit)}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
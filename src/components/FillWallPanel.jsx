@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { SPLIT_STRATEGIES, splitWall } from "../utils/wallSplit.js";
+import { UNIT_LABELS, isImperial, formatLength, formatLengthInput } from "../utils/units.js";
+import { evaluateLength } from "../utils/lengthExpression.js";
+import { parseLocaleNumber } from "../utils/number.js";
+import { useLocale } from "../hooks/useLocale.js";
+import "./FillWallPanel.css";
+
+/**
+ * FillWallPanel
+ * "Wand füllen" assistant: the user enters the total wall width and height
+ * (in the current unit, prefilled from the wall context) and picks a
+ * strategy; utils/wallSplit proposes plates that fit the material of the
+ * first plate, limits.js and `maxPlates`.
+ * - "Gleich breit" takes an optional plate count, "Fugen vorgeben" a list
+ *   of seam positions from the left edge ("120; 260").
+ * - The proposal is shown live; "Übernehmen" asks for confirmation and
+ *   hands the plates to `onApply(plates, rowCount)` (replaces the list).
+ */
+export default function FillWallPanel({ unit, wall, seams, materialId, plateCount, maxPlates, onApply }) {
+  const { t } = useLocale();
+  const [open, setOpen] = useState(false);
+  const [widthText, setWidthText] = useState(() => formatLengthInput(wall?.widthCm ?? 300, unit));
+  const [heightText, setHeightText] = useState(() => formatLengthInput(wall?.heightCm ?? 65, unit));
+  const [strategy, setStrategy] = useState("equal");
+  const [countText, setCountText] = useState("");
+  const [seamText, setSeamText] = useState("");
+
+  const widthCm = evaluateLength(widthText, unit);
+  const heightCm = evaluateLength(heightText, unit);
+  const count = countText.trim() === "" ? undefined : parseLocaleNumber(countText);
+  // ";" only: lengths like 4' 3 1/2" contain spaces
+  const seamPositionsCm = seamText
+    .split(";")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => evaluateLength(s, unit));
+
+  const proposal =
+    strategy === "seams" && seamPositionsCm.some((p) => !Number.isFinite(p))
+      ? { error: t("fillWall.badSeams") }
+      : splitWall({
+          widthCm,
+          heightCm,
+          strategy,
+          count: strategy === "equal" ? count : undefined,
+          seamPositionsCm: strategy === "seams" ? seamPositionsCm : [],
+          seamWidthMm: seams?.widthMm ?? 0,
+          materialId,
+          maxPlates,
+        });
+
+  function handleApply() {
+    if (proposal.error) return;
+    const ok = window.confirm(
+      t("fillWall.confirm", { current: plateCount, next: proposal.plates.length })
+    );
+    if (ok) {
+      onApply(proposal.plates, proposal.rows);
+      setOpen(false);
+    }
+  }
+
+  if (!open) {
+    return (
+      <div className="btn-side mt-2">
+        <button type="button" className="btn btn-sm btn-outline-dark" onClick={() => setOpen(true)}>
+          {t("fillWall.open")}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card border-0 mt-3 fill-wall">
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <strong className="small">{t("fillWall.title")}</strong>
+          <button type="button" className="btn-close" aria-label={t("common.close")} onClick={() => setOpen(false)} />
+        </div>
+
+        <div className="d-flex gap-2 mb-2">
+          <label className="fill-wall-field">
+            <span>{t("fillWall.width", { unit: UNIT_LABELS[unit] })}</span>
+            <input
+              inputMode={isImperial(unit) ? "text" : "decimal"}
+              className="form-control form-control-sm"
+              value={widthText}
+              onChange={(e) => setWidthText(e.target.value)}
+            />
+          </label>
+          <label className="fill-wall-field">
+            <span>{t("fillWall.height", { unit: UNIT_LABELS[unit] })}</span>
+            <input
+              inputMode={isImperial(unit) ? "text" : "decimal"}
+              className="form-control form-control-sm"
+              value={heightText}
+              onChange={(e) => setHeightText(e.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className="btn-group btn-group-sm w-100 mb-2" role="group" aria-label={t("fillWall.strategy")}>
+          {SPLIT_STRATEGIES.map((s) => (
+            <button
+              key={s}
+              type="button"
+              className={`btn ${strategy === s ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => setStrategy(s)}
+            >
+              {t(`split.${s}`)}
+            </button>
+          ))}
+        </div>
+
+        {strategy === "equal" && (
+          <label className="fill-wall-field mb-2">
+            <span>{t("fillWall.count")}</span>
+            <input
+              inputMode="numeric"
+              className="form-control form-control-sm"
+              value={countText}
+              onChange={(e) => setCountText(e.target.value)}
+            />
+          </label>
+        )}
+        {strategy === "seams" && (
+          <label className="fill-wall-field mb-2">
+            <span>{t("fillWall.seams", { unit: UNIT_LABELS[unit] })}</span>
+            <input
+              className="form-control form-control-sm"
+              value={seamText}
+              onChange={(e) => setSeamText(e.target.value)}
+            />
+          </label>
+        )}
+
+        {proposal.error ? (
+          <div className="small text-danger mb-2">{proposal.error}</div>
+        ) : (
+          <div className="small mb-2 fill-wall-proposal">
+            {t("fillWall.proposal", { count: proposal.plates.length })}
+            {proposal.rows > 1 ? ` ${t("fillWall.inRows", { rows: proposal.rows })}` : ""}:{" "}
+            {proposal.plates
+              .slice(0, proposal.perRow)
+              .map((p) => formatLength(p.widthCm, unit))
+              .join(" · ")}
+            {" × "}
+            {formatLength(proposal.plates[0].heightCm, unit)}
+          </div>
+        )}
+
+        <button
+          type="button"
+          className="btn btn-sm btn-green w-100"
+          onClick={handleApply}
+          disabled={Boolean(proposal.error)}
+        >
+          {t("common.apply")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+import { finishLabel, getMaterial, materialLabel } from "../utils/materials.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { formatNumber } from "../utils/number.js";
+import "./MaterialLegend.css";
+
+/**
+ * MaterialLegend
+ * - Lists the materials used by the plates, with their finish swatch
+ *   and the plate numbers made of each.
+ * - Rendered inside the preview area, so it is part of the PNG export.
+ */
+export default function MaterialLegend({ plates }) {
+  const { t } = useLocale();
+  const groups = [];
+  (plates || []).forEach((p, i) => {
+    const material = getMaterial(p.materialId);
+    const key = `${material.id}-${p.thicknessMm}`;
+    let group = groups.find((g) => g.key === key);
+    if (!group) {
+      group = { key, material, thicknessMm: p.thicknessMm, numbers: [] };
+      groups.push(group);
+    }
+    group.numbers.push(i + 1);
+  });
+
+  if (groups.length === 0) return null;
+
+  return (
+    <ul className="material-legend">
+      {groups.map(({ key, material, thicknessMm, numbers }) => (
+        <li key={key}>
+          <span className={`legend-swatch finish-${material.finish}`} />
+          <span>
+            {materialLabel(material.id)} {formatNumber(thicknessMm)} mm · {finishLabel(material.finish)}
+          </span>
+          <span className="legend-plates">{t("legend.numbers", { list: numbers.join(", ") })}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,131 @@
+import React from "react";
+import { DEFAULT_MOTIF_ADJUST } from "../constants/config.js";
+import { isNeutralAdjust, normalizeAdjust } from "../utils/motifAdjust.js";
+import { useLocale } from "../hooks/useLocale.js";
+import "./MotifAdjustPanel.css";
+
+// Slider rows: key, min, max (amounts shown in %); labels "adjust.<key>"
+const SLIDERS = [
+  ["brightness", 0, 2],
+  ["contrast", 0, 2],
+  ["saturation", 0, 2],
+  ["grayscale", 0, 1],
+  ["sepia", 0, 1],
+];
+
+const DEFAULT_TINT = "#c8a165";
+
+/**
+ * MotifAdjustPanel
+ * Card next to the motif uploader with non-destructive adjustments
+ * (utils/motifAdjust): brightness, contrast, saturation, grayscale, sepia,
+ * a tint colour with its strength, and the motif's opacity over a
+ * background colour.
+ * - Emits onChange(nextAdjust); the image itself is never modified.
+ */
+export default function MotifAdjustPanel({ adjust, onChange }) {
+  const { t } = useLocale();
+  const a = normalizeAdjust(adjust);
+  const patch = (next) => onChange?.({ ...a, ...next });
+
+  return (
+    <div className="card shadow-sm mt-3 motif-adjust">
+      <div className="card-header bg-white d-flex justify-content-between align-items-center">
+        <strong>{t("adjust.title")}</strong>
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary"
+          onClick={() => onChange?.({ ...DEFAULT_MOTIF_ADJUST })}
+          disabled={isNeutralAdjust(a)}
+        >
+          {t("common.reset")}
+        </button>
+      </div>
+      <div className="card-body">
+        <div className="motif-adjust-grid">
+          {SLIDERS.map(([key, min, max]) => (
+            <label key={key} className="motif-adjust-row">
+              <span>{t(`adjust.${key}`)}</span>
+              <input
+                type="range"
+                className="form-range"
+                min={min}
+                max={max}
+                step={0.05}
+                value={a[key]}
+                onChange={(e) => patch({ [key]: Number(e.target.value) })}
+              />
+              <span className="text-muted">{Math.round(a[key] * 100)}%</span>
+            </label>
+          ))}
+
+          <div className="motif-adjust-row">
+            <span className="form-check mb-0">
+              <input
+                id="motif-tint"
+                type="checkbox"
+                className="form-check-input"
+                checked={a.tint !== null}
+                onChange={(e) => patch({ tint: e.target.checked ? DEFAULT_TINT : null })}
+              />
+              <label className="form-check-label" htmlFor="motif-tint">
+                {t("adjust.tint")}
+              </label>
+            </span>
+            {a.tint !== null ? (
+              <span className="d-flex align-items-center gap-2">
+                <input
+                  type="color"
+                  className="form-control form-control-sm form-control-color"
+                  value={a.tint}
+                  onChange={(e) => patch({ tint: e.target.value })}
+                  aria-label={t("adjust.tintColour")}
+                />
+                <input
+                  type="range"
+                  className="form-range"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={a.tintAmount}
+                  onChange={(e) => patch({ tintAmount: Number(e.target.value) })}
+                  aria-label={t("adjust.tintAmount")}
+                />
+              </span>
+            ) : (
+              <span />
+            )}
+            <span className="text-muted">{a.tint !== null ? `${Math.round(a.tintAmount * 100)}%` : ""}</span>
+          </div>
+
+          <label className="motif-adjust-row">
+            <span>{t("adjust.opacity")}</span>
+            <input
+              type="range"
+              className="form-range"
+              min={0.1}
+              max={1}
+              step={0.05}
+              value={a.opacity}
+              onChange={(e) => patch({ opacity: Number(e.target.value) })}
+            />
+            <span className="text-muted">{Math.round(a.opacity * 100)}%</span>
+          </label>
+
+          {a.opacity < 1 && (
+            <label className="motif-adjust-row">
+              <span>{t("fill.background")}</span>
+              <input
+                type="color"
+                className="form-control form-control-sm form-control-color"
+                value={a.background}
+                onChange={(e) => patch({ background: e.target.value })}
+              />
+              <span />
+            </label>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
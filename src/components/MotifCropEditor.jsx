@@ -0,0 +1,90 @@
+import React from "react";
+import { DEFAULT_MOTIF_CROP } from "../constants/config.js";
+import { ZOOM_MIN, ZOOM_MAX, normalizeCrop } from "../utils/motifCrop.js";
+import { useLocale } from "../hooks/useLocale.js";
+
+/**
+ * MotifCropEditor
+ * Toolbar shown above the preview while the crop is being edited.
+ * - Pan/zoom by dragging and scrolling happen in MultiPlatePreview.
+ * - Here: zoom slider, quarter-turn rotation, mirroring, reset, done.
+ * - Emits onChange(nextCrop, options) and onClose(); holds no state itself.
+ *   Slider moves share a coalesce key so they undo as one step.
+ */
+export default function MotifCropEditor({ crop, onChange, onClose }) {
+  const { t } = useLocale();
+  const c = normalizeCrop(crop);
+  const update = (patch, options) => onChange?.({ ...c, ...patch }, options);
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2 px-3 py-2 border-top bg-white crop-editor">
+      <label className="d-flex align-items-center gap-2 mb-0 small">
+        {t("crop.zoom")}
+        <input
+          type="range"
+          className="form-range"
+          style={{ width: 120 }}
+          min={ZOOM_MIN}
+          max={ZOOM_MAX}
+          step={0.05}
+          value={c.zoom}
+          onChange={(e) => update({ zoom: Number(e.target.value) }, { coalesceKey: "crop-zoom-slider" })}
+          aria-label={t("crop.zoom")}
+        />
+        <span className="text-muted">{Math.round(c.zoom * 100)}%</span>
+      </label>
+
+      <div className="btn-group btn-group-sm" role="group" aria-label={t("crop.rotate")}>
+        <button
+          type="button"
+          className="btn btn-outline-dark"
+          onClick={() => update({ rotation: c.rotation + 270 })}
+          title={t("crop.rotateLeft")}
+        >
+          ⟲
+        </button>
+        <button
+          type="button"
+          className="btn btn-outline-dark"
+          onClick={() => update({ rotation: c.rotation + 90 })}
+          title={t("crop.rotateRight")}
+        >
+          ⟳
+        </button>
+      </div>
+
+      <div className="btn-group btn-group-sm" role="group" aria-label={t("crop.flip")}>
+        <button
+          type="button"
+          className={`btn ${c.flipX ? "btn-dark" : "btn-outline-dark"}`}
+          onClick={() => update({ flipX: !c.flipX })}
+          aria-pressed={c.flipX}
+          title={t("crop.flipX")}
+        >
+          ⇋
+        </button>
+        <button
+          type="button"
+          className={`btn ${c.flipY ? "btn-dark" : "btn-outline-dark"}`}
+          onClick={() => update({ flipY: !c.flipY })}
+          aria-pressed={c.flipY}
+          title={t("crop.flipY")}
+        >
+          ⇵
+        </button>
+      </div>
+
+      <button
+        type="button"
+        className="btn btn-sm btn-outline-secondary"
+        onClick={() => onChange?.({ ...DEFAULT_MOTIF_CROP })}
+      >
+        {t("common.reset")}
+      </button>
+
+      <button type="button" className="btn btn-sm btn-green ms-auto" onClick={onClose}>
+        {t("common.done")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import { FILL_TILE_MIN_CM, MOTIF_WIDTH_CM } from "../constants/config.js";
+import { FILL_MODES, normalizeFill } from "../utils/motifFill.js";
+import { parseLocaleNumber, formatNumber } from "../utils/number.js";
+import { useLocale } from "../hooks/useLocale.js";
+
+const show = (cm) => (cm === null || cm === undefined ? "" : formatNumber(cm));
+
+/**
+ * CmInput
+ * Physical size field in cm. Commits on blur / Enter; an empty field
+ * commits `null` (= automatic), invalid input falls back to the last value.
+ */
+function CmInput({ valueCm, onCommit, label, placeholder }) {
+  const [text, setText] = useState(show(valueCm));
+
+  useEffect(() => {
+    setText(show(valueCm));
+  }, [valueCm]);
+
+  function commit() {
+    if (text.trim() === "") {
+      onCommit(null);
+      return;
+    }
+    const n = parseLocaleNumber(text);
+    if (!Number.isFinite(n) || n < FILL_TILE_MIN_CM) {
+      setText(show(valueCm));
+      return;
+    }
+    onCommit(n);
+  }
+
+  return (
+    <label className="d-flex align-items-center gap-1 mb-0 small">
+      {label}
+      <input
+        inputMode="decimal"
+        className="form-control form-control-sm"
+        style={{ width: 80 }}
+        value={text}
+        placeholder={placeholder}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      />
+      cm
+    </label>
+  );
+}
+
+/**
+ * MotifFillPanel
+ * Settings row for how the motif fills its area (see utils/motifFill).
+ * - Füllen / Strecken / Kacheln / Gespiegelt kacheln / Zentriert.
+ * - Tiling modes: tile width and height in cm (empty = 300 cm wide, full height).
+ * - Zentriert: the motif's physical width (empty = as large as fits) and
+ *   the background colour around it.
+ * - Emits onChange(nextFill); holds only the text of the size fields.
+ */
+export default function MotifFillPanel({ fill, onChange }) {
+  const { t } = useLocale();
+  const f = normalizeFill(fill);
+  const patch = (next) => onChange?.({ ...f, ...next });
+  const isTiled = f.mode === "repeat" || f.mode === "mirror";
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2 px-3 py-2 border-top bg-white motif-fill">
+      <div className="btn-group btn-group-sm" role="group" aria-label={t("fill.title")}>
+        {FILL_MODES.map((mode) => (
+          <button
+            key={mode}
+            type="button"
+            className={`btn ${f.mode === mode ? "btn-dark" : "btn-outline-dark"}`}
+            onClick={() => patch({ mode })}
+            aria-pressed={f.mode === mode}
+          >
+            {t(`fill.${mode}`)}
+          </button>
+        ))}
+      </div>
+
+      {isTiled && (
+        <>
+          <CmInput
+            label={t("fill.tileWidth")}
+            valueCm={f.tileWidthCm}
+            placeholder={formatNumber(MOTIF_WIDTH_CM)}
+            onCommit={(v) => patch({ tileWidthCm: v })}
+          />
+          <CmInput
+            label={t("fill.tileHeight")}
+            valueCm={f.tileHeightCm}
+            placeholder={t("common.auto")}
+            onCommit={(v) => patch({ tileHeightCm: v })}
+          />
+        </>
+      )}
+
+      {f.mode === "center" && (
+        <>
+          <CmInput
+            label={t("fill.motifWidth")}
+            valueCm={f.tileWidthCm}
+            placeholder={t("common.auto")}
+            onCommit={(v) => patch({ tileWidthCm: v })}
+          />
+          <label className="d-flex align-items-center gap-1 mb-0 small">
+            {t("fill.background")}
+            <input
+              type="color"
+              className="form-control form-control-sm form-control-color"
+              value={f.background}
+              onChange={(e) => patch({ background: e.target.value })}
+              aria-label={t("fill.backgroundColour")}
+            />
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
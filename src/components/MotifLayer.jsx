@@ -0,0 +1,146 @@
+import React from "react";
+import { useImageSize } from "../hooks/useImageSize.js";
+import { cropTransform } from "../utils/motifCrop.js";
+import { motifTiles, tileImageRect } from "../utils/motifFill.js";
+import { adjustFilterCss, normalizeAdjust } from "../utils/motifAdjust.js";
+
+/**
+ * MotifTile
+ * One tile of the fill (see motifTiles) showing the motif with the given crop.
+ * The content box is centred and rotated/mirrored; the image inside it is
+ * positioned explicitly (no objectFit math in CSS) so exports can reuse it.
+ * `filter` (CSS) and `tint` ({ color, amount }, "color" blend) are the
+ * motif adjustments, matching adjustImage in the canvas exports.
+ */
+function MotifTile({ url, imageSize, tile, crop, filter, tint, alt }) {
+  const { box, rect } = tileImageRect(tile, imageSize, crop);
+  const flip = `scale(${tile.flipX ? -1 : 1}, ${tile.flipY ? -1 : 1})`;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: tile.x,
+        top: tile.y,
+        width: tile.w,
+        height: tile.h,
+        overflow: "hidden",
+        isolation: "isolate", // the tint blends with this tile's image only
+        transform: tile.flipX || tile.flipY ? flip : "none",
+      }}
+    >
+      <div
+        style={{
+          position: "absolute",
+          left: (tile.w - box.width) / 2,
+          top: (tile.h - box.height) / 2,
+          width: box.width,
+          height: box.height,
+          transform: cropTransform(crop),
+        }}
+      >
+        <img
+          crossOrigin="anonymous"
+          src={url}
+          alt={alt}
+          style={{
+            position: "absolute",
+            left: rect.x,
+            top: rect.y,
+            width: rect.width,
+            height: rect.height,
+            maxWidth: "none",
+            objectFit: tile.fit === "stretch" ? "fill" : "cover", // only matters while the natural size is unknown
+            filter,
+            userSelect: "none",
+            pointerEvents: "none",
+          }}
+        />
+      </div>
+      {tint && (
+        <div
+          style={{
+            position: "absolute",
+            inset: 0,
+            background: tint.color,
+            opacity: tint.amount,
+            mixBlendMode: "color",
+            pointerEvents: "none",
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * MotifLayer
+ * Absolutely positioned motif of `width` × `height` px, filled according
+ * to `fill` (utils/motifFill: cover, stretch, repeat, mirror, center).
+ * - `adjust` (utils/motifAdjust): filter + tint per tile, the whole fill
+ *   drawn with its opacity over the adjustment background.
+ * - `scaleX` / `scaleY` are px per cm, for the physical tile sizes.
+ * - `style` is merged into the layer (e.g. left/bottom offsets, opacity).
+ */
+export default function MotifLayer({
+  url,
+  width,
+  height,
+  crop,
+  fill,
+  adjust,
+  scaleX = 1,
+  scaleY = scaleX,
+  alt = "motif",
+  className,
+  style,
+}) {
+  const imageSize = useImageSize(url);
+  const { background, tiles } = motifTiles(fill, {
+    width,
+    height,
+    perCmX: scaleX,
+    perCmY: scaleY,
+    imageSize,
+    crop,
+  });
+  const a = normalizeAdjust(adjust);
+  const filter = adjustFilterCss(a);
+  const tint = a.tint ? { color: a.tint, amount: a.tintAmount } : null;
+
+  return (
+    <div
+      className={className}
+      style={{
+        position: "absolute",
+        width,
+        height,
+        overflow: "hidden",
+        background: a.opacity < 1 ? a.background : undefined,
+        ...style,
+      }}
+    >
+      <div
+        style={{
+          position: "absolute",
+          inset: 0,
+          opacity: a.opacity,
+          background: background || undefined,
+        }}
+      >
+        {tiles.map((tile, idx) => (
+          <MotifTile
+            key={idx}
+            url={url}
+            imageSize={imageSize}
+            tile={tile}
+            crop={crop}
+            filter={filter}
+            tint={tint}
+            alt={tiles.length > 1 ? `motif-tile-${idx}` : alt}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
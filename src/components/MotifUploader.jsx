@@ -1,22 +1,42 @@
 // File: src/components/MotifUploader.jsx
 import React, { useRef, useState } from "react";
 import { Logger } from "../utils/logger.js";
+import { MOTIF_MODE_SPAN, MOTIF_MODE_INDIVIDUAL } from "../constants/config.js";
+import { putMotifAsset } from "../utils/assetStore.js";
+import { useLocale } from "../hooks/useLocale.js";
+import QualityBadge from "./QualityBadge.jsx";
 import './MotifUploader.css';
 
 
 /**
  * MotifUploader
- * - Lets the user upload an image (stored as DataURL) or paste an image URL.
- * - Calls `onChange(newUrl)` with the chosen URL/DataURL.
+ * - Lets the user upload an image (stored in IndexedDB, see utils/assetStore)
+ *   or paste an image URL.
+ * - Calls `onChange(newUrl)` with the chosen URL or asset reference.
  * - `onReset()` resets to `defaultUrl`.
+ * - `mode` / `onModeChange(nextMode)` switch between one motif spanning all
+ *   plates and one motif per plate; `targetLabel` names who receives changes.
+ * - `quality` ({ dpi, level }) is the print quality of the current motif on
+ *   its target, shown as a traffic light with a hint when it is too low.
  *
  * Notes for devs:
  * - We keep UX identical to the original: no blocking validations or alerts.
  * - Errors are logged to console via Logger for future debugging.
  */
-export default function MotifUploader({ value, onChange, onReset, defaultUrl }) {
+export default function MotifUploader({
+  value,
+  onChange,
+  onReset,
+  defaultUrl,
+  mode = MOTIF_MODE_SPAN,
+  onModeChange,
+  targetLabel,
+  quality,
+}) {
+  const { t } = useLocale();
   const fileRef = useRef(null);
   const [urlInput, setUrlInput] = useState("");
+  const [uploadError, setUploadError] = useState(""); // message key
 
   // --- Helpers ---------------------------------------------------------------
 
@@ -41,33 +61,23 @@ export default function MotifUploader({ value, onChange, onReset, defaultUrl })
 
   // --- Handlers --------------------------------------------------------------
 
-  function handleFile(e) {
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    // Reset input so selecting the same file again still triggers change
+    e.target.value = "";
+    if (!file) return;
+    setUploadError("");
     try {
-      const file = e.target.files?.[0];
-      if (!file) return;
-
-      // Keep UX: Convert to DataURL and pass upwards.
-      const reader = new FileReader();
-
-      reader.onload = () => {
-        const dataUrl = reader.result; // "data:image/...;base64,..."
-        if (typeof dataUrl === "string") {
-          safeOnChange(dataUrl, { source: "file", fileName: file.name, fileSize: file.size });
-        } else {
-          Logger.warn("MotifUploader: FileReader returned non-string result");
-        }
-      };
-
-      reader.onerror = (err) => {
-        Logger.error("MotifUploader: FileReader error", err);
-      };
-
-      reader.readAsDataURL(file);
-
-      // Reset input so selecting the same file again still triggers change
-      e.target.value = "";
+      // Store the image once in IndexedDB; plates only keep the reference
+      const ref = await putMotifAsset(file);
+      safeOnChange(ref, { source: "file", fileName: file.name, fileSize: file.size });
     } catch (err) {
-      Logger.error("MotifUploader: handleFile failed", err);
+      Logger.error("MotifUploader: storing upload failed", err);
+      setUploadError(
+        err?.name === "QuotaExceededError"
+          ? "motif.storageFull"
+          : "motif.storeFailed"
+      );
     }
   }
 
@@ -101,16 +111,41 @@ export default function MotifUploader({ value, onChange, onReset, defaultUrl })
 
   // --- Render ----------------------------------------------------------------
 
-  const isCustom = value?.startsWith("data:");
-  const currentLabel = isCustom ? "Benutzerdefiniertes Bild (hochgeladen)" : value;
+  const isCustom = value?.startsWith("data:") || value?.startsWith("blob:");
+  const currentLabel = isCustom ? t("motif.custom") : value;
 
   return (
     <div className="card shadow-sm motif-uploader">
-      <div className="card-header bg-white">
-        <strong>Motiv (Bild)</strong>
+      <div className="card-header bg-white d-flex justify-content-between align-items-center">
+        <strong>{t("motif.title")}</strong>
+        {typeof onModeChange === "function" && (
+          <div className="btn-group btn-group-sm" role="group" aria-label={t("motif.mode")}>
+            <button
+              type="button"
+              className={`btn ${mode === MOTIF_MODE_SPAN ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => onModeChange(MOTIF_MODE_SPAN)}
+            >
+              {t("motif.span")}
+            </button>
+            <button
+              type="button"
+              className={`btn ${mode === MOTIF_MODE_INDIVIDUAL ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => onModeChange(MOTIF_MODE_INDIVIDUAL)}
+            >
+              {t("motif.individual")}
+            </button>
+          </div>
+        )}
       </div>
 
       <div className="card-body d-flex flex-column gap-2">
+        {targetLabel && (
+          <small className="text-muted">
+            {t("motif.appliesTo")} <strong>{targetLabel}</strong>
+            {mode === MOTIF_MODE_INDIVIDUAL && ` ${t("motif.selectHint")}`}
+          </small>
+        )}
+
         {/* Current preview */}
         <div className="d-flex align-items-center gap-3">
           <div
@@ -123,13 +158,26 @@ export default function MotifUploader({ value, onChange, onReset, defaultUrl })
               backgroundSize: "cover",
               backgroundPosition: "center",
             }}
-            aria-label="Aktuelles Motiv"
-            title="Aktuelles Motiv"
+            aria-label={t("motif.current")}
+            title={t("motif.current")}
           />
-          <small className="text-muted text-truncate" style={{ maxWidth: "220px" }}>
-            {currentLabel}
-          </small>
+          <div className="d-flex flex-column gap-1" style={{ minWidth: 0 }}>
+            <small className="text-muted text-truncate" style={{ maxWidth: "220px" }}>
+              {currentLabel}
+            </small>
+            <QualityBadge quality={quality} />
+          </div>
         </div>
+        {quality?.level === "poor" && (
+          <small className="text-danger">
+            {t("motif.poorHint")}
+          </small>
+        )}
+        {quality?.level === "fair" && (
+          <small className="text-warning-emphasis">
+            {t("motif.fairHint")}
+          </small>
+        )}
 
         {/* Upload from device */}
         <div className="d-flex gap-2">
@@ -139,34 +187,35 @@ export default function MotifUploader({ value, onChange, onReset, defaultUrl })
             accept="image/*"
             onChange={handleFile}
             className="form-control"
-            aria-label="Bild vom Gerät hochladen"
+            aria-label={t("motif.upload")}
           />
         </div>
+        {uploadError && <small className="text-danger">{t(uploadError)}</small>}
 
         {/* Or paste image URL */}
         <div className="input-group">
           <input
             type="url"
             className="form-control"
-            placeholder="https://example.com/bild.jpg"
+            placeholder={t("motif.urlPlaceholder")}
             value={urlInput}
             onChange={(e) => setUrlInput(e.target.value)}
-            aria-label="Bild-URL einfügen"
+            aria-label={t("motif.url")}
           />
           <button className="btn btn-outline-secondary" onClick={applyUrl}>
-            Übernehmen
+            {t("common.apply")}
           </button>
         </div>
 
         {/* Reset to default */}
         <div>
           <button className="px-3 py-1 btn-green" onClick={handleReset}>
-            Auf Standardmotiv zurücksetzen
+            {t("motif.reset")}
           </button>
         </div>
 
         <small className="text-muted">
-          Du kannst ein Bild hochladen (bleibt gespeichert) oder eine Bild-URL einfügen.
+          {t("motif.help")}
         </small>
       </div>
     </div>
@@ -1,17 +1,79 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
-import { HEIGHT_MAX } from "../constants/limits.js";
 import { Logger } from "../utils/logger.js";
+import { MOTIF_MODE_INDIVIDUAL } from "../constants/config.js";
+import { computePlateLayout } from "../utils/plateLayout.js";
+import { motifTiles } from "../utils/motifFill.js";
+import { useImageSize } from "../hooks/useImageSize.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { getMaterial } from "../utils/materials.js";
+import {
+  ZOOM_MIN,
+  ZOOM_MAX,
+  clampCropToBox,
+  computeMotifRect,
+  contentBoxSize,
+  normalizeCrop,
+  panCrop,
+} from "../utils/motifCrop.js";
+import MotifLayer from "./MotifLayer.jsx";
+import DimensionOverlay from "./DimensionOverlay.jsx";
+import WallObstacles from "./WallObstacles.jsx";
 import './MultiPlatePreview.css';
 
 
 /**
  * MultiPlatePreview
- * Renders a horizontal set of plates scaled to fit the preview frame.
- * The motif image spans across all plates; if the total width exceeds
- * the motif's natural width (in cm), it mirrors tiles to avoid seams.
+ * Renders the plates scaled to fit the preview frame: one horizontal row,
+ * or several rows stacked from the bottom (`plate.row`, aligned per `rows`,
+ * see computePlateLayout). The motif image spans across all plates and rows,
+ * filled according to `motifFill` (cover, stretch, repeat, mirror, center;
+ * see utils/motifFill) and adjusted per `motifAdjust` (filters, tint,
+ * opacity; see utils/motifAdjust). In individual motif mode each plate shows its own
+ * `motifUrl` instead (same fill, per plate), and clicking a plate selects it via `onSelectPlate(id)`.
+ *
+ * Crop: `motifCrop` (span mode) or each plate's `motifCrop` (individual
+ * mode) positions the motif. While `cropEditing` is on, dragging pans and
+ * the mouse wheel zooms the active crop, reported via
+ * `onCropChange(crop, { coalesceKey })` — one key per drag/wheel gesture so
+ * the parent can record it as a single undo step.
+ *
+ * Each plate gets a light overlay for its material's finish
+ * (gloss / satin / matte), see MultiPlatePreview.css.
+ *
+ * `showDimensions` adds the DimensionOverlay (ruler, sizes, plate numbers)
+ * in the current `unit`; the ruler sits just above the frame.
+ *
+ * Seams: plates are placed with the joint gaps of `seams` (global width,
+ * per-joint `plate.seamRightMm`); a trim colour fills the gaps. The span
+ * motif runs on behind the gaps or is shifted past them (`seams.motif`).
+ *
+ * Wall context: with an enabled `wall` the view is scaled to fit the whole
+ * wall (drawn behind the plates) and `obstacles` (utils/wallContext
+ * locateObstacles result) are drawn on top, labelled with their plate.
  */
-export default function MultiPlatePreview({ plates, motifUrl }) {
+export default function MultiPlatePreview({
+  plates,
+  rows,
+  seams,
+  motifUrl,
+  motifCrop,
+  motifMode,
+  motifFill,
+  motifAdjust,
+  selectedPlateId,
+  onSelectPlate,
+  cropEditing = false,
+  onCropChange,
+  showDimensions = false,
+  unit = "cm",
+  wall,
+  obstacles = [],
+}) {
+  const { t } = useLocale();
+  const showWall = wall?.enabled === true;
+  const isIndividual = motifMode === MOTIF_MODE_INDIVIDUAL;
+
   const boxRef = useRef(null);
 
   // Scale factors from cm -> px (X and Y can differ due to aspect constraints)
@@ -19,22 +81,33 @@ export default function MultiPlatePreview({ plates, motifUrl }) {
   const [scaleY, setScaleY] = useState(1);
 
   // --- Derived values (recomputed when inputs change) ---
-  const totalWidthCm = useMemo(
-    () =>
-      (Array.isArray(plates) ? plates : []).reduce(
-        (s, p) => s + (Number(p?.widthCm) || 0),
-        0
-      ) || 1,
-    [plates]
-  );
+  // Physical layout (cm) shared with the exports
+  const layout = useMemo(() => computePlateLayout(plates, rows, seams), [plates, rows, seams]);
+  const trimColor = seams?.trimColor || null;
+  const totalWidthCm = layout.totalWidthCm || 1;
+
+  // Area the box has to show (cm): the plate frame, or the wall if larger
+  const viewWidthCm = showWall ? Math.max(totalWidthCm, wall.widthCm) : totalWidthCm;
+  const viewHeightCm = showWall
+    ? Math.max(layout.frameHeightCm, wall.heightCm)
+    : layout.frameHeightCm;
 
   // Compute frame (preview) width/height in pixels for current scale
   const frameDims = useMemo(() => {
-    const el = boxRef.current;
-    const frameH = el ? el.clientHeight : 360;
+    const frameH = Math.max(1, Math.round(layout.frameHeightCm * scaleY));
     const frameW = Math.max(1, Math.round(totalWidthCm * scaleX));
     return { frameW, frameH };
-  }, [totalWidthCm, scaleX]);
+  }, [totalWidthCm, layout.frameHeightCm, scaleX, scaleY]);
+
+  // Area the spanning motif covers (px): the frame, or the frame without
+  // the seam gaps when the motif is shifted (see computePlateLayout)
+  const motifDims = useMemo(
+    () => ({
+      motifW: Math.max(1, Math.round(layout.motifWidthCm * scaleX)),
+      motifH: Math.max(1, Math.round(layout.motifHeightCm * scaleY)),
+    }),
+    [layout.motifWidthCm, layout.motifHeightCm, scaleX, scaleY]
+  );
 
   // --- Layout computation: fit all plates into the preview box ---
   useEffect(() => {
@@ -48,11 +121,11 @@ export default function MultiPlatePreview({ plates, motifUrl }) {
         const boxW = Math.max(1, el.clientWidth);
         const boxH = Math.max(1, el.clientHeight);
 
-        // Vertical scale: map HEIGHT_MAX cm to available height (px)
-        const vScale = boxH / HEIGHT_MAX;
+        // Vertical scale: map the view height (frame or wall) to available height (px)
+        const vScale = boxH / viewHeightCm;
 
-        // Horizontal scale: map total width cm to available width (px)
-        const hScale = boxW / Math.max(1, totalWidthCm);
+        // Horizontal scale: map total width (or wall width) cm to available width (px)
+        const hScale = boxW / Math.max(1, viewWidthCm);
 
         // Use the smaller so nothing overflows horizontally,
         // but keep Y consistent so bottoms align.
@@ -80,19 +153,7 @@ export default function MultiPlatePreview({ plates, motifUrl }) {
       window.removeEventListener("resize", onResize);
       cancelAnimationFrame(rafId);
     };
-  }, [totalWidthCm]);
-
-  // --- Motif tiling / mirroring logic ---
-  // Assumption: the source motif image represents ~300 cm of width visually.
-  // If we need more than that, mirror-tile to fill the remainder.
-  const MOTIF_WIDTH_CM = 300;
-  const needMirror = totalWidthCm > MOTIF_WIDTH_CM;
-
-  const tile = useMemo(() => {
-    const tileW = Math.max(1, Math.round(MOTIF_WIDTH_CM * scaleX));
-    const tileCount = Math.max(1, Math.ceil(frameDims.frameW / tileW));
-    return { tileW, tileCount };
-  }, [scaleX, frameDims.frameW]);
+  }, [viewWidthCm, viewHeightCm]);
 
   // Basic sanity check to help future developers debugging odd inputs
   useEffect(() => {
@@ -104,87 +165,234 @@ export default function MultiPlatePreview({ plates, motifUrl }) {
     }
   }, [plates, motifUrl]);
 
+  // --- Crop editing (drag = pan, wheel = zoom) ---
+  // The "crop area" is what one crop applies to: the first tile of the fill
+  // over the motif frame (span mode) or the selected plate (individual mode).
+  const selectedPlate = plates.find((p) => p.id === selectedPlateId);
+  const activeCrop = normalizeCrop(
+    isIndividual ? selectedPlate?.motifCrop : motifCrop
+  );
+  const activeUrl = isIndividual ? selectedPlate?.motifUrl || motifUrl : motifUrl;
+  const activeSize = useImageSize(cropEditing ? activeUrl : null);
+  const fillArea = isIndividual
+    ? {
+        width: Math.max(1, Math.round((Number(selectedPlate?.widthCm) || 0) * scaleX)),
+        height: Math.max(1, Math.round((Number(selectedPlate?.heightCm) || 0) * scaleY)),
+      }
+    : { width: motifDims.motifW, height: motifDims.motifH };
+  const [firstTile] = motifTiles(motifFill, {
+    ...fillArea,
+    perCmX: scaleX,
+    perCmY: scaleY,
+    imageSize: activeSize,
+    crop: activeCrop,
+  }).tiles;
+  const cropArea = { w: Math.max(1, firstTile.w), h: Math.max(1, firstTile.h) };
+
+  const dragRef = useRef(null);
+
+  // Keep the latest values for the native wheel listener below
+  const cropStateRef = useRef(null);
+  cropStateRef.current = { activeCrop, activeSize, cropArea, onCropChange };
+
+  const clampedCrop = () => {
+    const { activeCrop: crop, activeSize: size, cropArea: area } = cropStateRef.current;
+    if (!size) return crop;
+    const box = contentBoxSize(area.w, area.h, crop);
+    return clampCropToBox(size.width, size.height, box.width, box.height, crop);
+  };
+
+  function handlePointerDown(e) {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = {
+      x: e.clientX,
+      y: e.clientY,
+      crop: clampedCrop(),
+      coalesceKey: `crop-drag-${e.pointerId}-${e.timeStamp}`,
+    };
+  }
+
+  function handlePointerMove(e) {
+    const drag = dragRef.current;
+    if (!drag || typeof onCropChange !== "function") return;
+    const { activeSize: size, cropArea: area } = cropStateRef.current;
+    const box = contentBoxSize(area.w, area.h, drag.crop);
+    const rect = computeMotifRect(size?.width, size?.height, box.width, box.height, drag.crop);
+    const next = panCrop(
+      drag.crop,
+      e.clientX - drag.x,
+      e.clientY - drag.y,
+      rect.width,
+      rect.height
+    );
+    onCropChange(next, { coalesceKey: drag.coalesceKey });
+  }
+
+  function handlePointerUp(e) {
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+    dragRef.current = null;
+  }
+
+  // Wheel zoom needs a non-passive listener to prevent page scrolling
+  useEffect(() => {
+    const el = boxRef.current;
+    if (!el || !cropEditing) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const { onCropChange: emit } = cropStateRef.current;
+      if (typeof emit !== "function") return;
+      const crop = clampedCrop();
+      const zoom = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, crop.zoom * Math.exp(-e.deltaY * 0.0015)));
+      emit({ ...crop, zoom }, { coalesceKey: "crop-wheel" });
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, [cropEditing]);
+
   // Render
-  let xCm = 0; // running offset across plates (cm)
   return (
-    <div ref={boxRef} className="w-100 position-relative preview-box">
-      {plates.map((p, i) => {
-        const widthCm = Number(p?.widthCm) || 0;
-        const heightCm = Number(p?.heightCm) || 0;
-
-        // Convert to px using current scales
-        const w = Math.max(1, Math.round(widthCm * scaleX));
-        const h = Math.max(1, Math.round(heightCm * scaleY));
-        const leftPx = Math.round(xCm * scaleX);
-        xCm += widthCm;
-
-        return (
-          <motion.div
-            key={p.id}
-            className="position-absolute"
-            initial={{ opacity: 0, scale: 0.95 }}
-            animate={{ opacity: 1, scale: 1, width: w, height: h, left: leftPx }}
-            exit={{ opacity: 0, scale: 0.9 }}
-            transition={{ duration: 0.3 }}
+    <div className="preview-wrap">
+      <div ref={boxRef} className="w-100 position-relative preview-box">
+        {/* Wall behind the plates (wall context mode) */}
+        {showWall && (
+          <div
+            className="wall-area"
             style={{
-              bottom: 0,
-              overflow: "hidden",
-              boxShadow: "0 2px 6px rgba(0,0,0,.06)",
+              width: Math.round(wall.widthCm * scaleX),
+              height: Math.round(wall.heightCm * scaleY),
             }}
-          >
-            {!needMirror ? (
-              // Single stretched image spanning the whole frame width
-              <img
-                crossOrigin="anonymous"
-                src={motifUrl}
-                alt={`plate-${i + 1}`}
-                style={{
-                  position: "absolute",
-                  left: -leftPx,
-                  bottom: 0,
-                  width: frameDims.frameW,
-                  height: frameDims.frameH,
-                  objectFit: "cover",
-                  objectPosition: "center center",
-                  userSelect: "none",
-                  pointerEvents: "none",
-                }}
-              />
-            ) : (
-              // Mirror-tiling to cover > MOTIF_WIDTH_CM
-              <div
-                style={{
-                  position: "absolute",
-                  left: -leftPx,
-                  bottom: 0,
-                  width: frameDims.frameW,
-                  height: frameDims.frameH,
-                  display: "flex",
-                }}
-                className="plate-image"
-              >
-                {Array.from({ length: tile.tileCount }).map((_, idx) => (
-                  <img
-                    crossOrigin="anonymous"
-                    key={idx}
-                    src={motifUrl}
-                    alt={`motif-tile-${idx}`}
-                    style={{
-                      width: tile.tileW,
-                      height: frameDims.frameH,
-                      objectFit: "cover",
-                      objectPosition: "center center",
-                      transform: idx % 2 === 1 ? "scaleX(-1)" : "none",
-                      userSelect: "none",
-                      pointerEvents: "none",
-                    }}
-                  />
-                ))}
-              </div>
-            )}
-          </motion.div>
-        );
-      })}
+          />
+        )}
+
+        {/* Ghost of the full motif behind the plate outlines while editing */}
+        {cropEditing && !isIndividual && (
+          <MotifLayer
+            className="crop-ghost export-ignore"
+            url={motifUrl}
+            width={motifDims.motifW}
+            height={motifDims.motifH}
+            crop={motifCrop}
+            fill={motifFill}
+            adjust={motifAdjust}
+            scaleX={scaleX}
+            scaleY={scaleY}
+            style={{ left: 0, bottom: 0 }}
+          />
+        )}
+
+        {/* Trim profiles in the seam gaps (only with a trim colour) */}
+        {trimColor &&
+          layout.joints.map((j) => (
+            <div
+              key={j.horizontal ? `row-${j.row}` : `joint-${j.leftIndex}`}
+              className="plate-seam"
+              style={{
+                left: Math.round(j.xCm * scaleX),
+                bottom: Math.round(j.bottomCm * scaleY),
+                width: Math.max(1, Math.round(j.widthCm * scaleX)),
+                height: Math.max(1, Math.round(j.heightCm * scaleY)),
+                background: trimColor,
+              }}
+            />
+          ))}
+
+        {layout.items.map(({ plate: p, index: i, xCm, bottomCm, widthCm, heightCm, motifXCm, motifYCm }) => {
+          // Convert to px using current scales
+          const w = Math.max(1, Math.round(widthCm * scaleX));
+          const h = Math.max(1, Math.round(heightCm * scaleY));
+          const leftPx = Math.round(xCm * scaleX);
+          const bottomPx = Math.round(bottomCm * scaleY);
+          // Where this plate sits on the spanning motif
+          const motifLeftPx = Math.round(motifXCm * scaleX);
+          const motifBottomPx = Math.round((layout.motifHeightCm - motifYCm - heightCm) * scaleY);
+
+          const isSelected = isIndividual && p.id === selectedPlateId;
+
+          return (
+            <motion.div
+              key={p.id}
+              className={`position-absolute ${isIndividual ? "plate-selectable" : ""}`}
+              onClick={isIndividual ? () => onSelectPlate?.(p.id) : undefined}
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1, width: w, height: h, left: leftPx, bottom: bottomPx }}
+              exit={{ opacity: 0, scale: 0.9 }}
+              transition={{ duration: 0.3 }}
+              style={{
+                overflow: "hidden",
+                boxShadow: "0 2px 6px rgba(0,0,0,.06)",
+              }}
+            >
+              {isIndividual ? (
+                // Plate's own motif, fitted to this plate only
+                <MotifLayer
+                  url={p.motifUrl || motifUrl}
+                  width={w}
+                  height={h}
+                  crop={p.motifCrop}
+                  fill={motifFill}
+                  adjust={motifAdjust}
+                  scaleX={scaleX}
+                  scaleY={scaleY}
+                  alt={`plate-${i + 1}`}
+                  style={{ left: 0, top: 0 }}
+                />
+              ) : (
+                // One motif spanning the whole frame (all rows), shifted per plate
+                <MotifLayer
+                  url={motifUrl}
+                  width={motifDims.motifW}
+                  height={motifDims.motifH}
+                  crop={motifCrop}
+                  fill={motifFill}
+                  adjust={motifAdjust}
+                  scaleX={scaleX}
+                  scaleY={scaleY}
+                  alt={`plate-${i + 1}`}
+                  style={{ left: -motifLeftPx, bottom: -motifBottomPx }}
+                />
+              )}
+              {/* Material finish (part of the PNG export) */}
+              <div className={`plate-finish finish-${getMaterial(p.materialId).finish}`} />
+              {/* Selection ring (skipped by PNG export) */}
+              {isSelected && <div className="plate-selected-ring export-ignore" />}
+            </motion.div>
+          );
+        })}
+
+        {showWall && (
+          <WallObstacles located={obstacles} scaleX={scaleX} scaleY={scaleY} />
+        )}
+
+        {/* Drag surface for crop editing (above plates, skipped by export) */}
+        {cropEditing && (
+          <div
+            className="crop-drag-surface export-ignore"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            title={t("preview.dragHint")}
+          />
+        )}
+      </div>
+
+      {showDimensions && (
+        <DimensionOverlay
+          items={layout.items.map(({ index, xCm, bottomCm, widthCm, heightCm }) => ({
+            index,
+            left: Math.round(xCm * scaleX),
+            bottom: Math.round(bottomCm * scaleY),
+            width: Math.max(1, Math.round(widthCm * scaleX)),
+            height: Math.max(1, Math.round(heightCm * scaleY)),
+            widthCm,
+            heightCm,
+          }))}
+          frameW={frameDims.frameW}
+          totalWidthCm={layout.totalWidthCm}
+          scaleX={scaleX}
+          unit={unit}
+        />
+      )}
     </div>
   );
 }
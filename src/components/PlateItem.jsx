@@ -1,117 +1,177 @@
 import React, { useEffect, useState } from "react";
-import { WIDTH_MIN, WIDTH_MAX, HEIGHT_MIN, HEIGHT_MAX } from "../constants/limits.js";
-import { parseLocaleNumber, formatNumber } from "../utils/number.js";
+import { MATERIALS } from "../constants/materials.js";
+import { getMaterial, applyMaterial, materialLabel } from "../utils/materials.js";
+import { formatNumber } from "../utils/number.js";
+import { UNIT_LABELS, formatLength, formatLengthInput } from "../utils/units.js";
+import { evaluateLength, isLengthExpression, parseLengthInput } from "../utils/lengthExpression.js";
 import { Logger } from "../utils/logger.js";
+import { useLocale } from "../hooks/useLocale.js";
+import QualityBadge from "./QualityBadge.jsx";
 import './PlateItem.css';
 
-const CM_PER_IN = 2.54;
-
-// Convert cm -> current unit (cm|in)
-const cmToUnit = (cm, unit) =>
-  unit === "in" ? parseFloat((cm / CM_PER_IN).toFixed(2)) : parseFloat(cm.toFixed(2));
-
-// Convert current unit -> cm
-const unitToCm = (val, unit) =>
-  unit === "in" ? parseFloat((val * CM_PER_IN).toFixed(2)) : parseFloat(val.toFixed(2));
-
-// Build a display range in the chosen unit
+// Display range in the chosen unit, rounded inwards (see utils/units)
 function formatRange(minCm, maxCm, unit) {
-  const toUnit = (cm) => (unit === "in" ? (cm / CM_PER_IN).toFixed(2) : cm);
-  return `${toUnit(minCm)}–${toUnit(maxCm)} ${unit}`;
+  return `${formatLength(minCm, unit, { round: "up" })} – ${formatLength(maxCm, unit, { round: "down" })}`;
+}
+
+// Live result of an expression being typed ("300/3" -> "= 100 cm"); null
+// for plain or untouched input. `ok` is false if it won't commit.
+function expressionPreview(text, unit, currentCm, minCm, maxCm) {
+  if (!isLengthExpression(text) || text.trim() === formatLengthInput(currentCm, unit)) return null;
+  const cm = evaluateLength(text, unit);
+  if (!Number.isFinite(cm)) return { ok: false, cm };
+  return { ok: cm >= minCm && cm <= maxCm, cm };
 }
 
 /**
  * PlateItem
  * Single list row for entering width/height for a plate.
  * - Keeps string inputs locally, commits validated numbers on blur.
+ * - Accepts mixed units and fractions (`4' 3 1/2"`, `51 1/2in`, `1295mm`,
+ *   see utils/units); untouched fields keep their exact cm value.
+ * - Accepts arithmetic ("300/3", "2*64,5", utils/lengthExpression) and
+ *   previews its result below the field until the value is committed.
  * - Shows helpful ranges & mm hints and light inline errors.
+ * - Ranges/validation follow the plate's material (constants/materials.js);
+ *   switching material clamps the size into the new range.
+ * - If `onSelect` is given (individual motif mode), shows the plate's motif
+ *   swatch; clicking it makes this plate the motif target.
+ * - `quality` ({ dpi, level }) shows a print-quality warning when the
+ *   motif's resolution is too low for this plate.
+ * - If `onCheck` is given, a checkbox marks the plate for bulk editing;
+ *   `onCheck(shiftKey)` lets the list select ranges. `onDuplicate` adds a
+ *   copy button (disabled unless `canDuplicate`).
  */
 export default function PlateItem({
   index,
   plate,
-  unit,                 // "cm" | "in" (global toggle)
+  unit,                 // "cm" | "mm" | "in" | "ft" (global toggle)
   onCommit,             // fn(nextPlate)
   onRemove,             // fn()
   canRemove,
   dragHandleProps = {},
   isLast,
+  isSelected = false,
+  onSelect,           // fn() | undefined
+  quality,            // { dpi, level } | undefined
+  motifSrc = plate.motifUrl, // displayable motif URL for the swatch
+  checked = false,    // marked for bulk editing
+  onCheck,            // fn(shiftKey) | undefined
+  onDuplicate,        // fn() | undefined
+  canDuplicate = false,
 }) {
-  const [wInput, setWInput] = useState(formatNumber(cmToUnit(plate.widthCm, unit)));
-  const [hInput, setHInput] = useState(formatNumber(cmToUnit(plate.heightCm, unit)));
+  const { locale, t } = useLocale();
+  const [wInput, setWInput] = useState(formatLengthInput(plate.widthCm, unit));
+  const [hInput, setHInput] = useState(formatLengthInput(plate.heightCm, unit));
 
   const [wErr, setWErr] = useState("");
   const [hErr, setHErr] = useState("");
+  const [materialNote, setMaterialNote] = useState("");
 
-  // Refresh inputs when backing cm values or unit change
+  const material = getMaterial(plate.materialId);
+
+  // Refresh inputs when backing cm values, unit or locale (decimal
+  // separator) change
   useEffect(() => {
-    setWInput(formatNumber(cmToUnit(plate.widthCm, unit)));
+    setWInput(formatLengthInput(plate.widthCm, unit));
     setWErr("");
-  }, [plate.widthCm, unit]);
+  }, [plate.widthCm, unit, locale]);
 
   useEffect(() => {
-    setHInput(formatNumber(cmToUnit(plate.heightCm, unit)));
+    setHInput(formatLengthInput(plate.heightCm, unit));
     setHErr("");
-  }, [plate.heightCm, unit]);
+  }, [plate.heightCm, unit, locale]);
 
   function commitWidth() {
-    const nUnit = parseLocaleNumber(wInput);
-    if (!Number.isFinite(nUnit)) {
-      setWErr("Bitte Zahl eingeben.");
-      setWInput(formatNumber(cmToUnit(plate.widthCm, unit)));
+    const nCm = parseLengthInput(wInput, unit, plate.widthCm);
+    if (!Number.isFinite(nCm)) {
+      setWErr(t("plate.enterNumber"));
+      setWInput(formatLengthInput(plate.widthCm, unit));
       Logger.warn("PlateItem: non-numeric width", { wInput });
       return;
     }
-    const nCm = unitToCm(nUnit, unit);
-    if (nCm < WIDTH_MIN || nCm > WIDTH_MAX) {
-      setWErr(`Erlaubt ${formatRange(WIDTH_MIN, WIDTH_MAX, unit)}`);
-      setWInput(formatNumber(cmToUnit(plate.widthCm, unit)));
-      Logger.warn("PlateItem: width out of range", { nCm, unit });
+    if (nCm < material.widthMin || nCm > material.widthMax) {
+      setWErr(t("plate.allowed", { range: formatRange(material.widthMin, material.widthMax, unit) }));
+      setWInput(formatLengthInput(plate.widthCm, unit));
+      Logger.warn("PlateItem: width out of range", { nCm, unit, material: material.id });
       return;
     }
     setWErr("");
-    onCommit({ ...plate, widthCm: nCm });
+    setWInput(formatLengthInput(nCm, unit));
+    if (nCm !== plate.widthCm) onCommit({ ...plate, widthCm: nCm });
   }
 
   function commitHeight() {
-    const nUnit = parseLocaleNumber(hInput);
-    if (!Number.isFinite(nUnit)) {
-      setHErr("Bitte Zahl eingeben.");
-      setHInput(formatNumber(cmToUnit(plate.heightCm, unit)));
+    const nCm = parseLengthInput(hInput, unit, plate.heightCm);
+    if (!Number.isFinite(nCm)) {
+      setHErr(t("plate.enterNumber"));
+      setHInput(formatLengthInput(plate.heightCm, unit));
       Logger.warn("PlateItem: non-numeric height", { hInput });
       return;
     }
-    const nCm = unitToCm(nUnit, unit);
-    if (nCm < HEIGHT_MIN || nCm > HEIGHT_MAX) {
-      setHErr(`Erlaubt ${formatRange(HEIGHT_MIN, HEIGHT_MAX, unit)}`);
-      setHInput(formatNumber(cmToUnit(plate.heightCm, unit)));
-      Logger.warn("PlateItem: height out of range", { nCm, unit });
+    if (nCm < material.heightMin || nCm > material.heightMax) {
+      setHErr(t("plate.allowed", { range: formatRange(material.heightMin, material.heightMax, unit) }));
+      setHInput(formatLengthInput(plate.heightCm, unit));
+      Logger.warn("PlateItem: height out of range", { nCm, unit, material: material.id });
       return;
     }
     setHErr("");
-    onCommit({ ...plate, heightCm: nCm });
+    setHInput(formatLengthInput(nCm, unit));
+    if (nCm !== plate.heightCm) onCommit({ ...plate, heightCm: nCm });
+  }
+
+  function changeMaterial(materialId) {
+    const { plate: next, adjusted } = applyMaterial(plate, materialId);
+    setMaterialNote(adjusted ? t("plate.materialAdjusted") : "");
+    setWErr("");
+    setHErr("");
+    onCommit(next);
   }
 
   const widthMm  = Math.round((plate.widthCm ?? 0) * 10);
   const heightMm = Math.round((plate.heightCm ?? 0) * 10);
+  const wPreview = expressionPreview(wInput, unit, plate.widthCm, material.widthMin, material.widthMax);
+  const hPreview = expressionPreview(hInput, unit, plate.heightCm, material.heightMin, material.heightMax);
+
+  const hint = (preview, mm) =>
+    preview ? (
+      <div className={`mm-hint expr-preview ${preview.ok ? "" : "expr-preview--invalid"}`} aria-live="polite">
+        {Number.isFinite(preview.cm) ? `= ${formatLength(preview.cm, unit)}` : t("plate.invalidExpression")}
+      </div>
+    ) : (
+      <div className="mm-hint">{mm} mm</div>
+    );
 
   return (
-    <div className="plate-row plate-row--corners">
+    <div className={`plate-row plate-row--corners ${isSelected ? "plate-row--selected" : ""}`}>
       {/* Drag handle / index */}
       <span
         className={`plate-corner-badge plate-index ${isLast ? "plate-index-dark" : ""}`}
         {...dragHandleProps}
-        title="Ziehen zum Neuordnen"
+        title={t("plate.dragToReorder")}
       >
         {index + 1}
       </span>
 
+      {typeof onCheck === "function" && (
+        <input
+          type="checkbox"
+          className="form-check-input plate-check"
+          checked={checked}
+          onChange={(e) => onCheck(e.nativeEvent.shiftKey)}
+          aria-label={t("plate.check", { nr: index + 1 })}
+          title={t("plate.check", { nr: index + 1 })}
+        />
+      )}
+
+      <div className="plate-body">
       {/* Inline width × height inputs */}
       <div className="plate-inline-inputs">
         {/* WIDTH */}
         <div className="plate-field">
           <div className="field-head">
-            <span className="plate-label">Breite</span>
-            <span className="plate-range">{formatRange(WIDTH_MIN, WIDTH_MAX, unit)}</span>
+            <span className="plate-label">{t("plate.width")}</span>
+            <span className="plate-range">{formatRange(material.widthMin, material.widthMax, unit)}</span>
           </div>
 
           <div className={`input-wrap input-wrap--underline ${wErr ? "error" : ""}`}>
@@ -121,15 +181,11 @@ export default function PlateItem({
               onChange={(e) => setWInput(e.target.value)}
               onBlur={commitWidth}
               aria-invalid={!!wErr}
-              placeholder={unit === "cm" ? "250" : "98.43"}
+              placeholder={formatLengthInput(250, unit)}
             />
-            <span className="unit">{unit}</span>
+            <span className="unit">{UNIT_LABELS[unit]}</span>
           </div>
-          {wErr ? (
-            <div className="error-text">{wErr}</div>
-          ) : (
-            <div className="mm-hint">{widthMm} mm</div>
-          )}
+          {wErr ? <div className="error-text">{wErr}</div> : hint(wPreview, widthMm)}
         </div>
 
         <span className="times">×</span>
@@ -137,8 +193,8 @@ export default function PlateItem({
         {/* HEIGHT */}
         <div className="plate-field">
           <div className="field-head">
-            <span className="plate-label">Höhe</span>
-            <span className="plate-range">{formatRange(HEIGHT_MIN, HEIGHT_MAX, unit)}</span>
+            <span className="plate-label">{t("plate.height")}</span>
+            <span className="plate-range">{formatRange(material.heightMin, material.heightMax, unit)}</span>
           </div>
 
           <div className={`input-wrap input-wrap--underline ${hErr ? "error" : ""}`}>
@@ -148,24 +204,79 @@ export default function PlateItem({
               onChange={(e) => setHInput(e.target.value)}
               onBlur={commitHeight}
               aria-invalid={!!hErr}
-              placeholder={unit === "cm" ? "128" : "50.39"}
+              placeholder={formatLengthInput(128, unit)}
             />
-            <span className="unit">{unit}</span>
+            <span className="unit">{UNIT_LABELS[unit]}</span>
           </div>
-          {hErr ? (
-            <div className="error-text">{hErr}</div>
-          ) : (
-            <div className="mm-hint">{heightMm} mm</div>
-          )}
+          {hErr ? <div className="error-text">{hErr}</div> : hint(hPreview, heightMm)}
         </div>
       </div>
 
+      {/* Material + thickness */}
+      <div className="plate-material">
+        <select
+          className="form-select form-select-sm"
+          value={material.id}
+          onChange={(e) => changeMaterial(e.target.value)}
+          aria-label={t("plate.materialOf", { nr: index + 1 })}
+        >
+          {MATERIALS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {materialLabel(m.id)}
+            </option>
+          ))}
+        </select>
+        <select
+          className="form-select form-select-sm plate-thickness"
+          value={plate.thicknessMm}
+          onChange={(e) => onCommit({ ...plate, thicknessMm: Number(e.target.value) })}
+          disabled={material.thicknessesMm.length < 2}
+          aria-label={t("plate.thicknessOf", { nr: index + 1 })}
+        >
+          {material.thicknessesMm.map((t) => (
+            <option key={t} value={t}>
+              {formatNumber(t)} mm
+            </option>
+          ))}
+        </select>
+      </div>
+      {materialNote && <div className="mm-hint text-start">{materialNote}</div>}
+      {quality && quality.level !== "good" && <QualityBadge quality={quality} />}
+      </div>
+
+      {/* Motif swatch / select as motif target */}
+      {typeof onSelect === "function" && (
+        <button
+          type="button"
+          className={`plate-motif-swatch ${isSelected ? "active" : ""}`}
+          onClick={onSelect}
+          style={{ backgroundImage: `url(${motifSrc})` }}
+          title={t("plate.chooseMotif")}
+          aria-label={t("plate.selectForMotif", { nr: index + 1 })}
+          aria-pressed={isSelected}
+        />
+      )}
+
+      {/* Duplicate plate */}
+      {typeof onDuplicate === "function" && (
+        <button
+          type="button"
+          className="btn-duplicate"
+          onClick={onDuplicate}
+          disabled={!canDuplicate}
+          title={t("plate.duplicate")}
+          aria-label={t("plate.duplicate")}
+        >
+          ⧉
+        </button>
+      )}
+
       {/* Remove plate */}
       <button
         className={`btn-remove btn-remove-fab ${!canRemove ? "disabled" : ""}`}
         onClick={onRemove}
         disabled={!canRemove}
-        aria-label="Rückwand entfernen"
+        aria-label={t("plate.remove")}
       >
         –
       </button>
@@ -1,7 +1,16 @@
-import React from "react";
+import React, { useRef } from "react";
 import { DragDropContext, Droppable, Draggable } from "@hello-pangea/dnd";
 import PlateItem from "./PlateItem.jsx";
 import { Logger } from "../utils/logger.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { MOTIF_MODE_INDIVIDUAL } from "../constants/config.js";
+import {
+  ROW_ALIGNS,
+  flattenPlateRows,
+  groupPlatesByRow,
+  normalizeRow,
+} from "../utils/plateLayout.js";
+import "./PlateListDnd.css";
 
 // Stable helper: reorder items after drag
 function reorder(list, startIndex, endIndex) {
@@ -11,55 +20,175 @@ function reorder(list, startIndex, endIndex) {
   return result;
 }
 
+// Droppable ids: one per row, plus a drop zone that opens a new row on top
+const NEW_ROW_ID = "plates-row-new";
+const rowDroppableId = (row) => `plates-row-${row}`;
+const rowOfDroppable = (id) => Number(String(id).replace("plates-row-", ""));
+
 /**
  * PlateListDnd
- * Draggable list of plates.
+ * Draggable list of plates, grouped by row (bottom row first).
  * - Purely presentational; state lives in parent.
- * - Emits onReorder(nextList), onCommit(id, next), onRemove(id).
+ * - Emits onReorder(nextList, nextRows), onCommit(id, next), onRemove(id), onSelectPlate(id).
+ * - Plates can be dragged within a row, into another row or onto the
+ *   "neue Reihe" zone; emptied rows are closed, `nextRows` are the
+ *   renumbered per-row settings (one call, so it is one undo step).
+ * - With more than one row each row gets a header with its alignment
+ *   (`onRowAlign(rowIndex, align)`).
+ * - `printQuality` (utils/printQuality) is passed on per plate.
+ * - `resolveMotif(url)` turns stored motif references into image URLs
+ *   for the swatches (see useMotifAssets).
+ * - Checkboxes mark plates for bulk editing (`checkedIds`,
+ *   `onCheckedChange(ids)` in list order); shift-click applies the new
+ *   state to the whole range from the last clicked plate.
+ * - `onDuplicate(id)` copies a plate (up to `maxPlates`).
  */
-export default function PlateListDnd({ plates, onReorder, onCommit, onRemove, unit }) {
+export default function PlateListDnd({
+  plates,
+  rows = [],
+  onReorder,
+  onRowAlign,
+  onCommit,
+  onRemove,
+  unit,
+  motifMode,
+  selectedPlateId,
+  onSelectPlate,
+  printQuality,
+  resolveMotif = (url) => url,
+  checkedIds = [],
+  onCheckedChange,
+  onDuplicate,
+  maxPlates,
+}) {
+  const { t } = useLocale();
+  const anchorRef = useRef(null); // last clicked checkbox (shift-click range start)
+  const isIndividual = motifMode === MOTIF_MODE_INDIVIDUAL;
+  const groups = groupPlatesByRow(plates);
+  const multiRow = groups.length > 1;
+
   function onDragEnd(result) {
     const { destination, source } = result || {};
     if (!destination) return;
-    if (destination.index === source.index) return;
+    if (destination.droppableId === source.droppableId && destination.index === source.index) return;
     try {
-      const next = reorder(plates, source.index, destination.index);
-      onReorder(next);
+      const next = groupPlatesByRow(plates);
+      const from = rowOfDroppable(source.droppableId);
+      if (destination.droppableId === source.droppableId) {
+        next[from] = reorder(next[from], source.index, destination.index);
+      } else {
+        const to = destination.droppableId === NEW_ROW_ID ? next.length : rowOfDroppable(destination.droppableId);
+        if (to === next.length) next.push([]);
+        const [moved] = next[from].splice(source.index, 1);
+        next[to].splice(destination.index, 0, moved);
+      }
+      const flat = flattenPlateRows(next, rows);
+      onReorder(flat.plates, flat.rows);
     } catch (err) {
       Logger.error("PlateListDnd: onDragEnd failed", err);
     }
   }
 
+  function toggleChecked(id, shiftKey) {
+    const ids = plates.map((p) => p.id);
+    const next = new Set(checkedIds);
+    const on = !next.has(id);
+    const from = shiftKey ? ids.indexOf(anchorRef.current) : -1;
+    const to = ids.indexOf(id);
+    const range = from < 0 ? [id] : ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+    range.forEach((r) => (on ? next.add(r) : next.delete(r)));
+    anchorRef.current = id;
+    onCheckedChange(ids.filter((r) => next.has(r)));
+  }
+
+  let offset = 0; // index of a row's first plate in `plates`
+
   return (
     <DragDropContext onDragEnd={onDragEnd}>
-      <Droppable droppableId="plates-droppable">
-        {(provided) => (
-          <div ref={provided.innerRef} {...provided.droppableProps}>
-            {plates.map((p, idx) => (
-              <Draggable draggableId={p.id} index={idx} key={p.id}>
-                {(draggableProvided, snapshot) => (
-                  <div
-                    ref={draggableProvided.innerRef}
-                    {...draggableProvided.draggableProps}
-                    style={{
-                      ...draggableProvided.draggableProps.style,
-                      opacity: snapshot.isDragging ? 0.9 : 1,
-                    }}
-                  >
-                    <PlateItem
-                      index={idx}
-                      plate={p}
-                      unit={unit}
-                      onCommit={(next) => onCommit(p.id, next)}
-                      onRemove={() => onRemove(p.id)}
-                      canRemove={plates.length > 1}
-                      dragHandleProps={draggableProvided.dragHandleProps}
-                      isLast={idx === plates.length - 1}
-                    />
-                  </div>
-                )}
-              </Draggable>
-            ))}
+      {groups.map((group, row) => {
+        const first = offset;
+        offset += group.length;
+        const align = normalizeRow(rows[row]).align;
+        return (
+          <div key={row} className={multiRow ? "plate-row" : undefined}>
+            {multiRow && (
+              <div className="plate-row-header">
+                <span>
+                  {t("rows.row", { nr: row + 1 })}
+                  {row === 0 ? ` · ${t("rows.bottom")}` : row === groups.length - 1 ? ` · ${t("rows.top")}` : ""}
+                </span>
+                <div className="btn-group btn-group-sm" role="group" aria-label={t("rows.align", { nr: row + 1 })}>
+                  {ROW_ALIGNS.map((a) => (
+                    <button
+                      key={a}
+                      type="button"
+                      className={`btn ${align === a ? "btn-dark" : "btn-outline-dark"}`}
+                      onClick={() => onRowAlign?.(row, a)}
+                    >
+                      {t(`rows.align.${a}`)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            <Droppable droppableId={rowDroppableId(row)}>
+              {(provided) => (
+                <div ref={provided.innerRef} {...provided.droppableProps}>
+                  {group.map((p, i) => {
+                    const idx = first + i;
+                    return (
+                      <Draggable draggableId={p.id} index={i} key={p.id}>
+                        {(draggableProvided, snapshot) => (
+                          <div
+                            ref={draggableProvided.innerRef}
+                            {...draggableProvided.draggableProps}
+                            style={{
+                              ...draggableProvided.draggableProps.style,
+                              opacity: snapshot.isDragging ? 0.9 : 1,
+                            }}
+                          >
+                            <PlateItem
+                              index={idx}
+                              plate={p}
+                              unit={unit}
+                              onCommit={(next) => onCommit(p.id, next)}
+                              onRemove={() => onRemove(p.id)}
+                              canRemove={plates.length > 1}
+                              dragHandleProps={draggableProvided.dragHandleProps}
+                              isLast={idx === plates.length - 1}
+                              isSelected={isIndividual && p.id === selectedPlateId}
+                              onSelect={isIndividual ? () => onSelectPlate?.(p.id) : undefined}
+                              quality={printQuality?.plates.find((q) => q.id === p.id)}
+                              motifSrc={resolveMotif(p.motifUrl)}
+                              checked={checkedIds.includes(p.id)}
+                              onCheck={onCheckedChange ? (shiftKey) => toggleChecked(p.id, shiftKey) : undefined}
+                              onDuplicate={onDuplicate ? () => onDuplicate(p.id) : undefined}
+                              canDuplicate={plates.length < maxPlates}
+                            />
+                          </div>
+                        )}
+                      </Draggable>
+                    );
+                  })}
+                  {provided.placeholder}
+                </div>
+              )}
+            </Droppable>
+          </div>
+        );
+      })}
+
+      {multiRow && <small className="text-muted d-block mb-2">{t("rows.limit")}</small>}
+
+      {/* Dropping a plate here starts a new row on top */}
+      <Droppable droppableId={NEW_ROW_ID}>
+        {(provided, snapshot) => (
+          <div
+            ref={provided.innerRef}
+            {...provided.droppableProps}
+            className={`plate-row-new ${snapshot.isDraggingOver ? "is-over" : ""}`}
+          >
+            {!snapshot.isDraggingOver && <span>{t("rows.dropNew")}</span>}
             {provided.placeholder}
           </div>
         )}
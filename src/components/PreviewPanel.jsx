@@ -1,47 +1,262 @@
-import React, { useRef, useCallback } from "react";
+import React, { useRef, useCallback, useEffect, useState } from "react";
+import { flushSync } from "react-dom";
 import MultiPlatePreview from "./MultiPlatePreview.jsx";
+import MaterialLegend from "./MaterialLegend.jsx";
 import MotifUploader from "./MotifUploader.jsx";
-import { exportNodeToPng } from "../utils/exportPng.js";
-import { DEFAULT_MOTIF_URL } from "../constants/config.js";
+import MotifCropEditor from "./MotifCropEditor.jsx";
+import MotifFillPanel from "./MotifFillPanel.jsx";
+import MotifAdjustPanel from "./MotifAdjustPanel.jsx";
+import ProductionExportPanel from "./ProductionExportPanel.jsx";
+import SpecSheetPanel from "./SpecSheetPanel.jsx";
+import { captureThumbnail, exportNodeToPng } from "../utils/exportPng.js";
+import {
+  DEFAULT_MOTIF_URL,
+  MOTIF_MODE_INDIVIDUAL,
+  STORAGE_KEY_DIMENSIONS,
+} from "../constants/config.js";
 import { Logger } from "../utils/logger.js";
+import { useLocale } from "../hooks/useLocale.js";
+
+// Quiet time after the last edit before the project thumbnail is refreshed
+const THUMBNAIL_DELAY_MS = 2000;
 
 /**
  * PreviewPanel
  * - Renders the preview card with PNG export button
  * - Hosts the motif uploader below the preview on mobile/desktop as in original UX
+ * - In individual motif mode, clicking a plate selects it as the motif target
+ * - "Ausschnitt anpassen" toggles the crop editor (pan/zoom/rotate/flip)
+ * - "Füllart" toggles the fill settings (`motifFill`: cover, stretch,
+ *   repeat, mirror, center), used by the preview and every export
+ * - "Druckdaten" toggles the print-ready production export settings
+ * - "Zeichnung" toggles the technical drawing export (SVG / PDF)
+ * - The motif uploader shows the print quality (effective DPI) of its target
+ * - Below it, `motifAdjust` (brightness, contrast, … opacity) is edited;
+ *   like the fill it goes to the preview and every export
+ * - `rows` (per-row alignment of stacked plates) and `seams` (joint gaps)
+ *   go to the preview and every export together with `plates`
+ * - Wall context: `wall` + located `obstacles` are drawn in the preview and
+ *   their cutouts go into the production manifest and the drawing
+ * - A thumbnail of the preview is captured shortly after edits settle and
+ *   reported as `onThumbnail(thumbnailKey, dataUrl)` (project list)
+ * - "Maße" toggles the dimension overlay in the live view; "Maße im PNG"
+ *   decides separately whether the PNG export shows it (both persisted)
+ * - A finished PNG export is also reported as `onPngExported({ filename,
+ *   dataUrl })` (embedded widget)
+ * - `previewNodeRef` (optional) receives the preview container, e.g. for
+ *   the order's preview PNG (CheckoutPanel)
  */
 export default function PreviewPanel({
   plates,
+  rows,
+  seams,
+  unit,
+  price,
+  wall,
+  obstacles,
+  printQuality,
   motifUrl,
+  motifCrop,
+  onMotifCropChange,
+  motifFill,
+  onMotifFillChange,
+  motifAdjust,
+  onMotifAdjustChange,
+  motifMode,
+  onMotifModeChange,
+  selectedPlateId,
+  selectedPlateIndex,
+  onSelectPlate,
   onMotifChange,
   onMotifReset,
+  thumbnailKey,
+  onThumbnail,
+  onPngExported,
+  previewNodeRef,
 }) {
-  const previewRef = useRef(null);
+  const { t } = useLocale();
+  const ownPreviewRef = useRef(null);
+  const previewRef = previewNodeRef || ownPreviewRef;
+  const [cropEditing, setCropEditing] = useState(false);
+  const [showFill, setShowFill] = useState(false);
+  const [showProduction, setShowProduction] = useState(false);
+  const [showSpecSheet, setShowSpecSheet] = useState(false);
+
+  // Dimension overlay: { live, png }
+  const [dimensions, setDimensions] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_DIMENSIONS) || "null");
+      return { live: saved?.live === true, png: saved?.png === true };
+    } catch (err) {
+      Logger.error("Failed to read dimension overlay settings from localStorage", err);
+      return { live: false, png: false };
+    }
+  });
+  // True only while the PNG snapshot is taken
+  const [exportingPng, setExportingPng] = useState(false);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY_DIMENSIONS, JSON.stringify(dimensions));
+    } catch (err) {
+      Logger.error("Failed to persist dimension overlay settings to localStorage", err);
+    }
+  }, [dimensions]);
+
+  // Project thumbnail, captured once the preview has been still for a moment
+  useEffect(() => {
+    if (typeof onThumbnail !== "function" || cropEditing) return undefined;
+    const key = thumbnailKey;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const dataUrl = await captureThumbnail(previewRef.current);
+        if (!cancelled && dataUrl) onThumbnail(key, dataUrl);
+      } catch (err) {
+        Logger.warn("Project thumbnail capture failed", err);
+      }
+    }, THUMBNAIL_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [plates, rows, seams, motifUrl, motifCrop, motifFill, motifAdjust, motifMode, obstacles, thumbnailKey, onThumbnail, cropEditing, previewRef]);
+
+  const toggleDimensions = (key) => setDimensions((d) => ({ ...d, [key]: !d[key] }));
 
   const handleExportPng = useCallback(async () => {
     try {
       if (!previewRef.current) throw new Error("Preview container not ready");
-      await exportNodeToPng(previewRef.current, "Rueckwand-Preview.png");
-      Logger.info("PNG export completed");
+      // Render the overlay as the export wants it before the snapshot
+      flushSync(() => setExportingPng(true));
+      const filename = "Rueckwand-Preview.png";
+      const dataUrl = await exportNodeToPng(previewRef.current, filename);
+      Logger.info("PNG export completed", { dimensions: dimensions.png });
+      onPngExported?.({ filename, dataUrl });
     } catch (err) {
       Logger.error("PNG export failed", err);
       // Note: intentionally no alert — UX remains unchanged; devs see console
+    } finally {
+      setExportingPng(false);
     }
-  }, []);
+  }, [dimensions.png, onPngExported, previewRef]);
 
   return (
     <>
       <div className="card shadow-sm preview-card preview-sticky-card border-0 h-auto">
         <div className="card-header d-flex justify-content-between align-items-center border-0">
-          <button className="btn btn-sm btn-green" onClick={handleExportPng}>
-            PNG exportieren
-          </button>
+          <div className="d-flex gap-2">
+            <button className="btn btn-sm btn-green" onClick={handleExportPng}>
+              {t("preview.exportPng")}
+            </button>
+            <button
+              className={`btn btn-sm ${showProduction ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => setShowProduction((v) => !v)}
+              aria-pressed={showProduction}
+            >
+              {t("preview.production")}
+            </button>
+            <button
+              className={`btn btn-sm ${showSpecSheet ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => setShowSpecSheet((v) => !v)}
+              aria-pressed={showSpecSheet}
+            >
+              {t("preview.specSheet")}
+            </button>
+            <button
+              className={`btn btn-sm ${dimensions.live ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => toggleDimensions("live")}
+              aria-pressed={dimensions.live}
+            >
+              {t("preview.dimensions")}
+            </button>
+            <div className="form-check form-check-inline small mb-0 ms-1 align-self-center">
+              <input
+                id="dimensions-png"
+                type="checkbox"
+                className="form-check-input"
+                checked={dimensions.png}
+                onChange={() => toggleDimensions("png")}
+              />
+              <label className="form-check-label" htmlFor="dimensions-png">
+                {t("preview.dimensionsPng")}
+              </label>
+            </div>
+          </div>
+          <div className="d-flex gap-2">
+            <button
+              className={`btn btn-sm ${showFill ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => setShowFill((v) => !v)}
+              aria-pressed={showFill}
+            >
+              {t("fill.title")}
+            </button>
+            <button
+              className={`btn btn-sm ${cropEditing ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => setCropEditing((v) => !v)}
+              aria-pressed={cropEditing}
+            >
+              {t("preview.crop")}
+            </button>
+          </div>
         </div>
+        {showProduction && (
+          <ProductionExportPanel
+            plates={plates}
+            rows={rows}
+            seams={seams}
+            price={price}
+            obstacles={obstacles}
+            motifMode={motifMode}
+            motifUrl={motifUrl || DEFAULT_MOTIF_URL}
+            motifCrop={motifCrop}
+            motifFill={motifFill}
+            motifAdjust={motifAdjust}
+          />
+        )}
+        {showSpecSheet && (
+          <SpecSheetPanel
+            plates={plates}
+            rows={rows}
+            seams={seams}
+            price={price}
+            obstacles={obstacles}
+            unit={unit}
+            motifMode={motifMode}
+            motifUrl={motifUrl || DEFAULT_MOTIF_URL}
+            motifCrop={motifCrop}
+            motifFill={motifFill}
+            motifAdjust={motifAdjust}
+          />
+        )}
+        {showFill && <MotifFillPanel fill={motifFill} onChange={onMotifFillChange} />}
+        {cropEditing && (
+          <MotifCropEditor
+            crop={motifCrop}
+            onChange={onMotifCropChange}
+            onClose={() => setCropEditing(false)}
+          />
+        )}
         <div className="card-body bg-light pt-5 pb-5" ref={previewRef}>
           <MultiPlatePreview
             plates={plates}
+            rows={rows}
+            seams={seams}
             motifUrl={motifUrl || DEFAULT_MOTIF_URL}
+            motifCrop={motifCrop}
+            motifFill={motifFill}
+            motifAdjust={motifAdjust}
+            motifMode={motifMode}
+            selectedPlateId={selectedPlateId}
+            onSelectPlate={onSelectPlate}
+            cropEditing={cropEditing}
+            onCropChange={onMotifCropChange}
+            showDimensions={exportingPng ? dimensions.png : dimensions.live}
+            unit={unit}
+            wall={wall}
+            obstacles={obstacles}
           />
+          <MaterialLegend plates={plates} />
         </div>
       </div>
 
@@ -54,7 +269,20 @@ export default function PreviewPanel({
         onChange={onMotifChange}
         onReset={onMotifReset}
         defaultUrl={DEFAULT_MOTIF_URL}
+        mode={motifMode}
+        onModeChange={onMotifModeChange}
+        targetLabel={
+          motifMode === MOTIF_MODE_INDIVIDUAL
+            ? t("common.plateNr", { nr: selectedPlateIndex + 1 })
+            : t("preview.allPlates")
+        }
+        quality={
+          motifMode === MOTIF_MODE_INDIVIDUAL
+            ? printQuality?.plates.find((q) => q.id === selectedPlateId)
+            : printQuality?.plates[0]
+        }
       />
+      <MotifAdjustPanel adjust={motifAdjust} onChange={onMotifAdjustChange} />
     </>
   );
 }
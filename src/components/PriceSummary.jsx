@@ -0,0 +1,83 @@
+import React from "react";
+import { PRICING } from "../constants/pricing.js";
+import { formatPrice } from "../utils/pricing.js";
+import { intlLocale } from "../i18n/index.js";
+import { useLocale } from "../hooks/useLocale.js";
+
+/**
+ * PriceSummary
+ * Live price card: per-plate prices, custom motif surcharge, add-ons, total.
+ * - `price` comes from utils/pricing.calculatePrice (computed in App).
+ * - Add-on checkboxes call onToggleAddOn(id); selection lives in App.
+ */
+export default function PriceSummary({ price, addOnIds = [], onToggleAddOn }) {
+  const { t } = useLocale();
+  if (!price) return null;
+  const fmt = (n) => formatPrice(n, price.currency);
+
+  return (
+    <div className="card border-0 mt-3 price-summary">
+      <div className="card-body">
+        <span className="text-muted d-block mb-2">{t("price.title")}</span>
+
+        <ul className="list-unstyled small mb-2">
+          {price.plates.map((p) => (
+            <li key={p.index} className="d-flex justify-content-between">
+              <span>
+                {t("common.plateNr", { nr: p.index + 1 })}{" "}
+                <span className="text-muted">
+                  ({p.areaSqm.toLocaleString(intlLocale())} m²
+                  {p.minApplied ? `, ${t("price.minimum")}` : ""})
+                </span>
+              </span>
+              <span>{fmt(p.base)}</span>
+            </li>
+          ))}
+          {price.customMotifs.count > 0 && (
+            <li className="d-flex justify-content-between">
+              <span>
+                {t("price.customMotif")}{" "}
+                <span className="text-muted">× {price.customMotifs.count}</span>
+              </span>
+              <span>{fmt(price.customMotifs.total)}</span>
+            </li>
+          )}
+          {price.addOns.map((a) => (
+            <li key={a.id} className="d-flex justify-content-between">
+              <span>{t(`addon.${a.id}`)}</span>
+              <span>{fmt(a.total)}</span>
+            </li>
+          ))}
+        </ul>
+
+        {/* Optional add-ons */}
+        <div className="mb-2">
+          {PRICING.addOns.map((a) => (
+            <div className="form-check" key={a.id}>
+              <input
+                id={`addon-${a.id}`}
+                type="checkbox"
+                className="form-check-input"
+                checked={addOnIds.includes(a.id)}
+                onChange={() => onToggleAddOn?.(a.id)}
+              />
+              <label className="form-check-label small" htmlFor={`addon-${a.id}`}>
+                {t(`addon.${a.id}`)}{" "}
+                <span className="text-muted">
+                  ({fmt(a.price)}
+                  {a.type === "perPlate" ? ` / ${t("price.perPlate")}` : a.type === "perSqm" ? " / m²" : ""})
+                </span>
+              </label>
+            </div>
+          ))}
+        </div>
+
+        <div className="d-flex align-items-baseline justify-content-between border-top pt-2">
+          <span className="text-muted">{t("price.total")}</span>
+          <strong className="h5 mb-0">{fmt(price.total)}</strong>
+        </div>
+        <small className="text-muted">{t("price.vat", { amount: fmt(price.vat) })}</small>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import {
+  PRODUCTION_DPI_OPTIONS,
+  DEFAULT_PRODUCTION_DPI,
+  DEFAULT_BLEED_MM,
+} from "../constants/config.js";
+import { exportProductionZip } from "../utils/exportProduction.js";
+import { formatNumber, parseLocaleNumber } from "../utils/number.js";
+import { useLocale } from "../hooks/useLocale.js";
+import { Logger } from "../utils/logger.js";
+
+/**
+ * ProductionExportPanel
+ * Settings row for the print-ready export (one PNG per plate in a ZIP).
+ * - DPI and bleed (mm) are local UI state; plates/motif come from props.
+ * - Shows progress while rendering and a short error if it fails.
+ */
+export default function ProductionExportPanel({ plates, rows, seams, price, obstacles, motifMode, motifUrl, motifCrop, motifFill, motifAdjust }) {
+  const { t } = useLocale();
+  const [dpi, setDpi] = useState(DEFAULT_PRODUCTION_DPI);
+  const [bleedInput, setBleedInput] = useState(formatNumber(DEFAULT_BLEED_MM));
+  const [progress, setProgress] = useState(null); // { done, total } while busy
+  const [error, setError] = useState("");
+
+  async function handleExport() {
+    const bleedMm = parseLocaleNumber(bleedInput);
+    if (!Number.isFinite(bleedMm) || bleedMm < 0 || bleedMm > 50) {
+      setError(t("production.badBleed"));
+      return;
+    }
+    setError("");
+    setProgress({ done: 0, total: plates.length });
+    try {
+      await exportProductionZip({
+        plates,
+        rows,
+        seams,
+        price,
+        obstacles,
+        motifMode,
+        motifUrl,
+        motifCrop,
+        motifFill,
+        motifAdjust,
+        dpi,
+        bleedMm,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+    } catch (err) {
+      Logger.error("Production export failed", err);
+      setError(t("common.exportFailed", { message: err?.message || err }));
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  const busy = progress !== null;
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2 px-3 py-2 border-top bg-white production-export">
+      <label className="d-flex align-items-center gap-1 mb-0 small">
+        DPI
+        <select
+          className="form-select form-select-sm"
+          value={dpi}
+          onChange={(e) => setDpi(Number(e.target.value))}
+          disabled={busy}
+        >
+          {PRODUCTION_DPI_OPTIONS.map((d) => (
+            <option key={d} value={d}>
+              {d}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="d-flex align-items-center gap-1 mb-0 small">
+        {t("production.bleed")}
+        <input
+          type="text"
+          className="form-control form-control-sm"
+          style={{ width: 60 }}
+          value={bleedInput}
+          onChange={(e) => setBleedInput(e.target.value)}
+          disabled={busy}
+        />
+        mm
+      </label>
+
+      <button type="button" className="btn btn-sm btn-green" onClick={handleExport} disabled={busy}>
+        {busy ? t("production.rendering", progress) : t("production.export")}
+      </button>
+
+      {error && <small className="text-danger w-100">{error}</small>}
+    </div>
+  );
+}
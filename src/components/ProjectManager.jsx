@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import { intlLocale } from "../i18n/index.js";
+import { useLocale } from "../hooks/useLocale.js";
+import "./ProjectManager.css";
+
+const formatDate = (date) =>
+  new Intl.DateTimeFormat(intlLocale(), { dateStyle: "medium", timeStyle: "short" }).format(date);
+
+/**
+ * ProjectManager
+ * - Shows the active project and a collapsible list of all projects with
+ *   preview thumbnail and last-modified date.
+ * - Actions: new, open, rename (inline), duplicate, delete (with
+ *   confirmation; the last project cannot be deleted).
+ * - Stateless apart from UI state — projects live in App (useProjects).
+ */
+export default function ProjectManager({
+  projects,
+  activeId,
+  onOpen,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+}) {
+  const { t } = useLocale();
+  const [open, setOpen] = useState(false);
+  const [renaming, setRenaming] = useState(null); // { id, name }
+
+  const active = projects.find((p) => p.id === activeId);
+
+  function commitRename() {
+    if (renaming) onRename(renaming.id, renaming.name);
+    setRenaming(null);
+  }
+
+  function handleDelete(project) {
+    if (window.confirm(t("projects.confirmDelete", { name: project.name }))) onDelete(project.id);
+  }
+
+  return (
+    <div className="card border-0 mb-3 project-manager">
+      <div className="card-body">
+        <div className="d-flex align-items-center justify-content-between gap-2">
+          <div className="text-truncate">
+            <span className="text-muted small d-block">{t("projects.project")}</span>
+            <strong>{active?.name}</strong>
+          </div>
+          <div className="d-flex gap-2 flex-shrink-0">
+            <button type="button" className="btn btn-sm btn-outline-dark" onClick={onCreate}>
+              {t("projects.new")}
+            </button>
+            <button
+              type="button"
+              className={`btn btn-sm ${open ? "btn-dark" : "btn-outline-dark"}`}
+              onClick={() => setOpen((v) => !v)}
+              aria-expanded={open}
+            >
+              {t("projects.list", { count: projects.length })}
+            </button>
+          </div>
+        </div>
+
+        {open && (
+          <ul className="list-unstyled mb-0 mt-3 project-list">
+            {projects.map((p) => {
+              const isActive = p.id === activeId;
+              return (
+                <li key={p.id} className={`project-row ${isActive ? "active" : ""}`}>
+                  <button
+                    type="button"
+                    className="project-thumb"
+                    onClick={() => onOpen(p.id)}
+                    disabled={isActive}
+                    aria-label={t("projects.openNamed", { name: p.name })}
+                  >
+                    {p.thumbnail ? <img src={p.thumbnail} alt="" /> : <span>{t("projects.noPreview")}</span>}
+                  </button>
+
+                  <div className="project-info">
+                    {renaming?.id === p.id ? (
+                      <input
+                        className="form-control form-control-sm"
+                        value={renaming.name}
+                        autoFocus
+                        onChange={(e) => setRenaming({ id: p.id, name: e.target.value })}
+                        onBlur={commitRename}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") commitRename();
+                          if (e.key === "Escape") setRenaming(null);
+                        }}
+                        aria-label={t("projects.name")}
+                      />
+                    ) : (
+                      <strong className="text-truncate d-block">{p.name}</strong>
+                    )}
+                    <small className="text-muted d-block">
+                      {t("projects.changed", { date: formatDate(new Date(p.updatedAt)) })}
+                    </small>
+                    <div className="d-flex flex-wrap gap-1 mt-1">
+                      {isActive ? (
+                        <span className="badge text-bg-success align-self-center">{t("projects.opened")}</span>
+                      ) : (
+                        <button type="button" className="btn btn-link btn-sm p-0" onClick={() => onOpen(p.id)}>
+                          {t("projects.open")}
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className="btn btn-link btn-sm p-0"
+                        onClick={() => setRenaming({ id: p.id, name: p.name })}
+                      >
+                        {t("projects.rename")}
+                      </button>
+                      <button type="button" className="btn btn-link btn-sm p-0" onClick={() => onDuplicate(p.id)}>
+                        {t("projects.duplicate")}
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-link btn-sm p-0 text-danger"
+                        onClick={() => handleDelete(p)}
+                        disabled={projects.length <= 1}
+                      >
+                        {t("projects.delete")}
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
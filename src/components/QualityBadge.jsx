@@ -0,0 +1,27 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+import "./QualityBadge.css";
+
+/**
+ * QualityBadge
+ * - Traffic light for a motif's print quality: { dpi, level } from
+ *   utils/printQuality (green = good, yellow = fair, red = poor).
+ * - `compact` shows just the dot + DPI (plate rows); the full label is
+ *   always available as tooltip.
+ * - Renders nothing while the image size is still unknown.
+ */
+export default function QualityBadge({ quality, compact = false }) {
+  const { t } = useLocale();
+  if (!quality?.level) return null;
+  const label = t(`quality.${quality.level}`);
+  return (
+    <span
+      className={`quality-badge quality-${quality.level}`}
+      title={`${label} (${t("quality.dpi", { dpi: quality.dpi })})`}
+      role="status"
+    >
+      <span className="quality-dot" />
+      {compact ? `${quality.dpi} DPI` : `${label} · ${t("quality.dpi", { dpi: quality.dpi })}`}
+    </span>
+  );
+}
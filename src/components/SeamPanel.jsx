@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import {
+  DEFAULT_TRIM_COLOR,
+  SEAM_MAX_MM,
+  SEAM_MOTIF_CONTINUOUS,
+  SEAM_MOTIF_SHIFTED,
+} from "../constants/config.js";
+import { groupPlatesByRow } from "../utils/plateLayout.js";
+import { parseLocaleNumber, formatNumber } from "../utils/number.js";
+import { useLocale } from "../hooks/useLocale.js";
+import "./SeamPanel.css";
+
+const show = (mm) => (mm === null || mm === undefined ? "" : formatNumber(mm));
+
+/**
+ * MmInput
+ * Seam width field in mm. Commits on blur / Enter; an empty field commits
+ * `null` when `allowEmpty` (= "use the global width"), invalid input
+ * falls back to the last value.
+ */
+function MmInput({ valueMm, onCommit, label, placeholder, allowEmpty = false }) {
+  const [text, setText] = useState(show(valueMm));
+
+  useEffect(() => {
+    setText(show(valueMm));
+  }, [valueMm]);
+
+  function commit() {
+    if (allowEmpty && text.trim() === "") {
+      onCommit(null);
+      return;
+    }
+    const n = parseLocaleNumber(text);
+    if (!Number.isFinite(n) || n < 0 || n > SEAM_MAX_MM) {
+      setText(show(valueMm));
+      return;
+    }
+    onCommit(n);
+  }
+
+  return (
+    <label className="seam-field">
+      <span>{label}</span>
+      <input
+        inputMode="decimal"
+        className="form-control form-control-sm"
+        value={text}
+        placeholder={placeholder}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      />
+    </label>
+  );
+}
+
+/**
+ * SeamPanel
+ * - Global seam (joint gap) width in mm, 0 = plates butted together.
+ * - Optional trim profile colour drawn in the gaps.
+ * - Motif at the seams: continuous (a gap hides a strip of the motif) or
+ *   shifted (the plates continue the motif where the neighbour ends).
+ * - Single joints can override the width; the value belongs to the plate
+ *   left of the joint (`onPlateCommit(id, { seamRightMm })`, undoable),
+ *   an empty field falls back to the global width.
+ * Seams are always entered in mm, independent of the cm/in toggle.
+ */
+export default function SeamPanel({ seams, plates, onChange, onPlateCommit }) {
+  const { t } = useLocale();
+  const patch = (next) => onChange({ ...seams, ...next });
+
+  // Neighbouring plates per row: one joint each
+  const joints = [];
+  let offset = 0;
+  groupPlatesByRow(plates).forEach((group) => {
+    group.slice(0, -1).forEach((plate, i) => {
+      joints.push({ plate, leftNr: offset + i + 1, rightNr: offset + i + 2 });
+    });
+    offset += group.length;
+  });
+
+  return (
+    <div className="card border-0 mt-3 seam-panel">
+      <div className="card-body">
+        <div className="d-flex align-items-end gap-2 mb-2">
+          <MmInput
+            label={t("seams.width")}
+            valueMm={seams.widthMm}
+            onCommit={(v) => patch({ widthMm: v })}
+          />
+          <div className="form-check mb-1">
+            <input
+              id="seam-trim"
+              type="checkbox"
+              className="form-check-input"
+              checked={seams.trimColor !== null}
+              onChange={(e) => patch({ trimColor: e.target.checked ? DEFAULT_TRIM_COLOR : null })}
+            />
+            <label className="form-check-label small text-muted" htmlFor="seam-trim">
+              {t("seams.trim")}
+            </label>
+          </div>
+          {seams.trimColor !== null && (
+            <input
+              type="color"
+              className="form-control form-control-sm form-control-color"
+              value={seams.trimColor}
+              onChange={(e) => patch({ trimColor: e.target.value })}
+              title={t("seams.trimColour")}
+              aria-label={t("seams.trimColour")}
+            />
+          )}
+        </div>
+
+        <div className="small text-muted mb-1">{t("seams.motif")}</div>
+        <div className="btn-group btn-group-sm w-100 mb-1" role="group" aria-label={t("seams.motif")}>
+          <button
+            type="button"
+            className={`btn ${seams.motif === SEAM_MOTIF_CONTINUOUS ? "btn-dark" : "btn-outline-dark"}`}
+            onClick={() => patch({ motif: SEAM_MOTIF_CONTINUOUS })}
+          >
+            {t("seams.continuous")}
+          </button>
+          <button
+            type="button"
+            className={`btn ${seams.motif === SEAM_MOTIF_SHIFTED ? "btn-dark" : "btn-outline-dark"}`}
+            onClick={() => patch({ motif: SEAM_MOTIF_SHIFTED })}
+          >
+            {t("seams.shifted")}
+          </button>
+        </div>
+        <small className="text-muted d-block mb-2">
+          {seams.motif === SEAM_MOTIF_SHIFTED
+            ? t("seams.shiftedHint")
+            : t("seams.continuousHint")}
+        </small>
+
+        {joints.length > 0 && (
+          <div className="seam-joints">
+            {joints.map(({ plate, leftNr, rightNr }) => (
+              <MmInput
+                key={plate.id}
+                label={t("seams.joint", { left: leftNr, right: rightNr })}
+                valueMm={plate.seamRightMm ?? null}
+                placeholder={formatNumber(seams.widthMm)}
+                allowEmpty
+                onCommit={(v) => onPlateCommit(plate.id, { seamRightMm: v })}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,37 @@
 import React from 'react';
 import PlateListDnd from './PlateListDnd.jsx';
 import PlatesSummary from './PlatesSummary.jsx';
+import ConfigTransferPanel from './ConfigTransferPanel.jsx';
+import PriceSummary from './PriceSummary.jsx';
+import CheckoutPanel from './CheckoutPanel.jsx';
+import WallContextPanel from './WallContextPanel.jsx';
+import SeamPanel from './SeamPanel.jsx';
+import FillWallPanel from './FillWallPanel.jsx';
+import BulkEditPanel from './BulkEditPanel.jsx';
+import { UNITS, UNIT_LABELS } from '../utils/units.js';
+import { LOCALES, LOCALE_NAMES } from '../i18n/index.js';
+import { useLocale } from '../hooks/useLocale.js';
 
 /**
  * SidebarPanel
  * - Right column: unit toggle + plates list with DnD + add/remove controls
- * - Read-only summary card showing total width
+ * - Language select (de / en / fr, persisted by the i18n module)
+ * - Rows: "Neue Reihe +" stacks a new row on top; rows and their alignment
+ *   are handled in PlateListDnd
+ * - Plates can be checked in the list; BulkEditPanel applies batch edits
+ *   (`onBulkEdit(nextPlates)`), `onDuplicate(id)` copies a single plate
+ * - "Wand füllen …" assistant proposes plates for a whole wall and
+ *   replaces the list via `onFillWall(plates, rowCount)`
+ * - `maxPlates`: plate limit (MAX_PLATES, or lower in an embedding shop),
+ *   passed on to the panels that add plates
+ * - Undo/redo buttons (history lives in App)
+ * - Share link + JSON import/export card
+ * - Read-only summary card showing total width (incl. seams)
+ * - Seam card (joint width, trim colour, motif at the seams)
+ * - Live price card with add-on selection and checkout ("In den
+ *   Warenkorb", CheckoutPanel; the order includes a PNG of `previewRef`).
+ *   Embedded in a shop, the order is handed to the host (`onAddToCart`)
+ * - Wall context card (wall size, obstacles, cutouts)
  * - Stateless container — all state lives in App
  */
 export default function SidebarPanel({
@@ -15,32 +41,98 @@ export default function SidebarPanel({
   onReorder,
   onCommit,
   onRemove,
+  onDuplicate,
+  checkedIds,
+  onCheckedChange,
+  onBulkEdit,
   onAdd,
+  onAddRow,
+  onFillWall,
+  rows,
+  onRowAlign,
   canAdd,
+  maxPlates,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
   totalWidthCm, // <-- NEW
+  seamsCm,
+  seams,
+  onSeamsChange,
+  motifFill,
+  motifAdjust,
+  motifMode,
+  selectedPlateId,
+  onSelectPlate,
+  onImportConfig,
+  price,
+  addOnIds,
+  onToggleAddOn,
+  printQuality,
+  resolveMotif,
+  wall,
+  onWallChange,
+  obstacles,
+  onAddToCart,
+  previewRef,
 }) {
+  const { locale, setLocale, t } = useLocale();
+
   return (
     <div className="right-panel">
       {/* Header with global unit toggle */}
       <div className="d-flex align-items-center justify-content-between mb-2">
         <p className="h4 mb-0">
-          <strong>Maße. </strong>Eingeben.
+          <strong>{t('sidebar.titleStrong')} </strong>{t('sidebar.title')}
         </p>
-        <div className="btn-group btn-group-sm" role="group" aria-label="Einheiten">
-          <button
-            type="button"
-            className={`btn ${unit === 'cm' ? 'btn-dark' : 'btn-outline-dark'}`}
-            onClick={() => setUnit('cm')}
-          >
-            cm
-          </button>
-          <button
-            type="button"
-            className={`btn ${unit === 'in' ? 'btn-dark' : 'btn-outline-dark'}`}
-            onClick={() => setUnit('in')}
+        <div className="d-flex gap-2">
+          <select
+            className="form-select form-select-sm w-auto"
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            aria-label={t('sidebar.language')}
           >
-            in
-          </button>
+            {LOCALES.map((l) => (
+              <option key={l} value={l}>
+                {LOCALE_NAMES[l]}
+              </option>
+            ))}
+          </select>
+          <div className="btn-group btn-group-sm" role="group" aria-label={t('sidebar.history')}>
+            <button
+              type="button"
+              className="btn btn-outline-dark"
+              onClick={onUndo}
+              disabled={!canUndo}
+              title={t('sidebar.undoHint')}
+              aria-label={t('sidebar.undo')}
+            >
+              ↶
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline-dark"
+              onClick={onRedo}
+              disabled={!canRedo}
+              title={t('sidebar.redoHint')}
+              aria-label={t('sidebar.redo')}
+            >
+              ↷
+            </button>
+          </div>
+          <div className="btn-group btn-group-sm" role="group" aria-label={t('sidebar.units')}>
+            {UNITS.map((u) => (
+              <button
+                key={u}
+                type="button"
+                className={`btn ${unit === u ? 'btn-dark' : 'btn-outline-dark'}`}
+                onClick={() => setUnit(u)}
+              >
+                {UNIT_LABELS[u]}
+              </button>
+            ))}
+          </div>
         </div>
       </div>
 
@@ -48,25 +140,104 @@ export default function SidebarPanel({
       <div className="plate-list-scroll">
         <PlateListDnd
           plates={plates}
+          rows={rows}
           onReorder={onReorder}
+          onRowAlign={onRowAlign}
           onCommit={(id, next) => onCommit(id, next)}
           onRemove={(id) => onRemove(id)}
           unit={unit}
+          motifMode={motifMode}
+          selectedPlateId={selectedPlateId}
+          onSelectPlate={onSelectPlate}
+          printQuality={printQuality}
+          resolveMotif={resolveMotif}
+          checkedIds={checkedIds}
+          onCheckedChange={onCheckedChange}
+          onDuplicate={onDuplicate}
+          maxPlates={maxPlates}
         />
 
-        <div className="btn-side">
+        <div className="btn-side gap-2">
+          <button className="btn-green" onClick={onAddRow} disabled={!canAdd}>
+            {t('sidebar.addRow')}
+          </button>
           <button className="btn-green" onClick={onAdd} disabled={!canAdd}>
-            Rückwand hinzufügen +
+            {t('sidebar.addPlate')}
           </button>
         </div>
         {!canAdd && (
           <small className="text-muted d-block text-end">
-            Maximal 10 Rückwände. Entferne eine, um eine neue hinzuzufügen.
+            {t('sidebar.maxPlates', { max: maxPlates })}
           </small>
         )}
 
+        {/* Batch edits for the checked plates */}
+        <BulkEditPanel
+          plates={plates}
+          checkedIds={checkedIds}
+          unit={unit}
+          onCheckedChange={onCheckedChange}
+          onApply={onBulkEdit}
+          maxPlates={maxPlates}
+        />
+
+        {/* Split a whole wall into plates (replaces the list) */}
+        <FillWallPanel
+          unit={unit}
+          wall={wall}
+          seams={seams}
+          materialId={plates[0]?.materialId}
+          plateCount={plates.length}
+          maxPlates={maxPlates}
+          onApply={onFillWall}
+        />
+
         {/* Read-only total width summary */}
-        <PlatesSummary totalWidthCm={totalWidthCm} unit={unit} />
+        <PlatesSummary totalWidthCm={totalWidthCm} seamsCm={seamsCm} unit={unit} />
+
+        {/* Seams between plates (joint gaps, trim profile) */}
+        <SeamPanel
+          seams={seams}
+          plates={plates}
+          onChange={onSeamsChange}
+          onPlateCommit={(id, next) => onCommit(id, next)}
+        />
+
+        {/* Wall context: obstacles -> cutouts per plate */}
+        <WallContextPanel wall={wall} unit={unit} located={obstacles} onChange={onWallChange} />
+
+        {/* Live price breakdown */}
+        <PriceSummary price={price} addOnIds={addOnIds} onToggleAddOn={onToggleAddOn} />
+        <CheckoutPanel
+          plates={plates}
+          rows={rows}
+          seams={seams}
+          motifMode={motifMode}
+          motifFill={motifFill}
+          motifAdjust={motifAdjust}
+          obstacles={obstacles}
+          unit={unit}
+          price={price}
+          addOnIds={addOnIds}
+          printQuality={printQuality}
+          previewRef={previewRef}
+          onHandOver={onAddToCart}
+          maxPlates={maxPlates}
+        />
+
+        {/* Share link + JSON import/export */}
+        <ConfigTransferPanel
+          plates={plates}
+          rows={rows}
+          seams={seams}
+          motifFill={motifFill}
+          motifAdjust={motifAdjust}
+          unit={unit}
+          motifMode={motifMode}
+          wall={wall}
+          maxPlates={maxPlates}
+          onImport={onImportConfig}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import { SPEC_UNITS, exportSpecSheet } from "../utils/specSheet.js";
+import { UNIT_LABELS, isImperial } from "../utils/units.js";
+import { Logger } from "../utils/logger.js";
+import { useLocale } from "../hooks/useLocale.js";
+
+/**
+ * SpecSheetPanel
+ * Settings row for the technical drawing (SVG / PDF).
+ * - Callout unit: the global unit when imperial, else mm; can be mm, cm,
+ *   in or ft/in.
+ * - Plates/motif come from props; only UI state lives here.
+ */
+export default function SpecSheetPanel({ plates, rows, seams, price, obstacles, unit, motifMode, motifUrl, motifCrop, motifFill, motifAdjust }) {
+  const { t } = useLocale();
+  const [specUnit, setSpecUnit] = useState(isImperial(unit) ? unit : "mm");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function handleExport(format) {
+    setBusy(true);
+    setError("");
+    try {
+      await exportSpecSheet({ format, plates, rows, seams, price, obstacles, unit: specUnit, motifMode, motifUrl, motifCrop, motifFill, motifAdjust });
+    } catch (err) {
+      Logger.error("Spec sheet export failed", err);
+      setError(t("common.exportFailed", { message: err?.message || err }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2 px-3 py-2 border-top bg-white spec-sheet-export">
+      <span className="small">{t("specPanel.title")}</span>
+      <div className="btn-group btn-group-sm" role="group" aria-label={t("specPanel.unit")}>
+        {SPEC_UNITS.map((u) => (
+          <button
+            key={u}
+            type="button"
+            className={`btn ${specUnit === u ? "btn-dark" : "btn-outline-dark"}`}
+            onClick={() => setSpecUnit(u)}
+            disabled={busy}
+          >
+            {UNIT_LABELS[u]}
+          </button>
+        ))}
+      </div>
+      <button type="button" className="btn btn-sm btn-green" onClick={() => handleExport("pdf")} disabled={busy}>
+        PDF
+      </button>
+      <button type="button" className="btn btn-sm btn-green" onClick={() => handleExport("svg")} disabled={busy}>
+        SVG
+      </button>
+      {error && <small className="text-danger w-100">{error}</small>}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import { NEW_OBSTACLE } from "../constants/config.js";
+import { UNIT_LABELS, isImperial, formatLength, formatLengthInput } from "../utils/units.js";
+import { parseLengthInput } from "../utils/lengthExpression.js";
+import { useLocale } from "../hooks/useLocale.js";
+import "./WallContextPanel.css";
+
+/**
+ * LengthInput
+ * Small length field in the current unit (mixed units, fractions and
+ * arithmetic, see utils/lengthExpression); commits a positive number (cm) on blur / Enter and falls
+ * back to the last value on invalid input.
+ */
+function LengthInput({ valueCm, unit, onCommit, label, allowNegative = false }) {
+  const { locale } = useLocale();
+  const [text, setText] = useState(formatLengthInput(valueCm, unit));
+
+  // The locale sets the decimal separator
+  useEffect(() => {
+    setText(formatLengthInput(valueCm, unit));
+  }, [valueCm, unit, locale]);
+
+  function commit() {
+    const cm = parseLengthInput(text, unit, valueCm);
+    if (!Number.isFinite(cm) || (!allowNegative && cm <= 0)) {
+      setText(formatLengthInput(valueCm, unit));
+      return;
+    }
+    if (cm !== valueCm) onCommit(cm);
+  }
+
+  return (
+    <label className="wall-field">
+      <span>{label}</span>
+      <input
+        inputMode={isImperial(unit) ? "text" : "decimal"}
+        className="form-control form-control-sm"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      />
+    </label>
+  );
+}
+
+/**
+ * WallContextPanel
+ * - Turns the wall context mode on/off and edits the wall size.
+ * - Obstacles (rectangular or round) are placed by their centre, measured
+ *   from the wall's left edge and from the bottom edge of the plates.
+ * - Below each obstacle: the plate it falls on with the cutout position
+ *   relative to that plate, or a warning (seam / too close to the edge).
+ * - `located` comes from utils/wallContext.locateObstacles (computed in App).
+ */
+export default function WallContextPanel({ wall, unit, located = [], onChange }) {
+  const { t, translate } = useLocale();
+  const patch = (next) => onChange({ ...wall, ...next });
+  const patchObstacle = (id, next) =>
+    patch({ obstacles: wall.obstacles.map((o) => (o.id === id ? { ...o, ...next } : o)) });
+
+  function addObstacle(shape) {
+    const template = NEW_OBSTACLE[shape];
+    patch({
+      obstacles: [
+        ...wall.obstacles,
+        {
+          ...template,
+          label: t(`wall.obstacle.${shape}`),
+          id: crypto.randomUUID(),
+          xCm: Math.round(wall.widthCm / 2),
+          yCm: 20,
+        },
+      ],
+    });
+  }
+
+  return (
+    <div className="card border-0 mt-3 wall-context">
+      <div className="card-body">
+        <div className="form-check form-switch mb-2">
+          <input
+            id="wall-context-enabled"
+            type="checkbox"
+            className="form-check-input"
+            checked={wall.enabled}
+            onChange={(e) => patch({ enabled: e.target.checked })}
+          />
+          <label className="form-check-label text-muted" htmlFor="wall-context-enabled">
+            {t("wall.title")}
+          </label>
+        </div>
+
+        {wall.enabled && (
+          <>
+            <div className="d-flex gap-2 mb-3">
+              <LengthInput label={t("wall.width", { unit: UNIT_LABELS[unit] })} valueCm={wall.widthCm} unit={unit} onCommit={(v) => patch({ widthCm: v })} />
+              <LengthInput label={t("wall.height", { unit: UNIT_LABELS[unit] })} valueCm={wall.heightCm} unit={unit} onCommit={(v) => patch({ heightCm: v })} />
+            </div>
+
+            {wall.obstacles.length === 0 && (
+              <small className="text-muted d-block mb-2">
+                {t("wall.empty")}
+              </small>
+            )}
+
+            <ul className="list-unstyled mb-2">
+              {wall.obstacles.map((o) => {
+                const info = located.find((l) => l.obstacle.id === o.id);
+                const cutout = info?.cutouts.length === 1 ? info.cutouts[0] : null;
+                return (
+                  <li key={o.id} className="wall-obstacle-row">
+                    <div className="d-flex gap-2 align-items-end">
+                      <select
+                        className="form-select form-select-sm"
+                        value={o.shape}
+                        onChange={(e) => patchObstacle(o.id, { shape: e.target.value, heightCm: o.widthCm })}
+                        aria-label={t("wall.shape")}
+                      >
+                        <option value="rect">{t("wall.shape.rect")}</option>
+                        <option value="round">{t("wall.shape.round")}</option>
+                      </select>
+                      <input
+                        className="form-control form-control-sm"
+                        value={o.label}
+                        onChange={(e) => patchObstacle(o.id, { label: e.target.value })}
+                        placeholder={t("wall.label")}
+                        aria-label={t("wall.label")}
+                      />
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => patch({ obstacles: wall.obstacles.filter((x) => x.id !== o.id) })}
+                        aria-label={t("wall.remove")}
+                      >
+                        –
+                      </button>
+                    </div>
+                    <div className="d-flex gap-2 mt-1">
+                      <LengthInput label={t("wall.fromLeft")} valueCm={o.xCm} unit={unit} allowNegative onCommit={(v) => patchObstacle(o.id, { xCm: v })} />
+                      <LengthInput label={t("wall.fromBottom")} valueCm={o.yCm} unit={unit} allowNegative onCommit={(v) => patchObstacle(o.id, { yCm: v })} />
+                      <LengthInput
+                        label={o.shape === "round" ? "Ø" : t("wall.obstacleWidth")}
+                        valueCm={o.widthCm}
+                        unit={unit}
+                        onCommit={(v) =>
+                          patchObstacle(o.id, o.shape === "round" ? { widthCm: v, heightCm: v } : { widthCm: v })
+                        }
+                      />
+                      {o.shape === "rect" && (
+                        <LengthInput label={t("wall.obstacleHeight")} valueCm={o.heightCm} unit={unit} onCommit={(v) => patchObstacle(o.id, { heightCm: v })} />
+                      )}
+                    </div>
+                    {info && info.cutouts.length === 0 && (
+                      <small className="text-muted d-block mt-1">{t("wall.noPlate")}</small>
+                    )}
+                    {cutout && (
+                      <small className="text-muted d-block mt-1">
+                        {t("wall.cutout", {
+                          nr: cutout.plateIndex + 1,
+                          x: formatLength(cutout.xCm, unit),
+                          y: formatLength(cutout.yCm, unit),
+                        })}
+                      </small>
+                    )}
+                    {info?.warnings.map((w) => (
+                      <small key={w.key} className="text-warning-emphasis d-block">
+                        ⚠ {translate(w)}
+                      </small>
+                    ))}
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div className="d-flex gap-2">
+              <button type="button" className="btn btn-sm btn-outline-dark" onClick={() => addObstacle("rect")}>
+                + {t("wall.shape.rect")}
+              </button>
+              <button type="button" className="btn btn-sm btn-outline-dark" onClick={() => addObstacle("round")}>
+                + {t("wall.shape.round")}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+import { useLocale } from "../hooks/useLocale.js";
+
+/**
+ * WallObstacles
+ * - Draws the wall obstacles over the plates (wall context mode), scaled
+ *   like the plates (`scaleX` / `scaleY` px per cm, bottom-left origin).
+ * - `located` comes from utils/wallContext.locateObstacles; each obstacle is
+ *   labelled with the plate(s) it falls on and highlighted on warnings.
+ * - Part of the PNG export, so the exported preview shows the cutouts.
+ */
+export default function WallObstacles({ located, scaleX, scaleY }) {
+  const { t, translate } = useLocale();
+  return (
+    <>
+      {located.map(({ obstacle: o, plateIndexes, warnings }) => {
+        const w = Math.max(2, Math.round(o.widthCm * scaleX));
+        const h = Math.max(2, Math.round(o.heightCm * scaleY));
+        const target = plateIndexes.length
+          ? t("wall.onPlates", { plates: plateIndexes.map((i) => i + 1).join("/") })
+          : t("wall.onNoPlate");
+        return (
+          <div
+            key={o.id}
+            className={`wall-obstacle ${o.shape === "round" ? "round" : ""} ${warnings.length ? "warn" : ""}`}
+            style={{
+              left: Math.round((o.xCm - o.widthCm / 2) * scaleX),
+              bottom: Math.round((o.yCm - o.heightCm / 2) * scaleY),
+              width: w,
+              height: h,
+            }}
+            title={[o.label, ...warnings.map(translate)].filter(Boolean).join(" – ")}
+          >
+            <span className="wall-obstacle-label">
+              {o.label ? `${o.label} → ` : "→ "}
+              {target}
+            </span>
+          </div>
+        );
+      })}
+    </>
+  );
+}
@@ -1,10 +1,97 @@
 export const STORAGE_KEY = "plate-gen-step1@2"; // kept for backward compat (single plate)
 export const STORAGE_KEY_PLATES = "plates-step3@1";
+export const STORAGE_KEY_MOTIF_MODE = "motif-mode@1";
+export const STORAGE_KEY_ADDONS = "price-addons@1";
+export const STORAGE_KEY_DIMENSIONS = "dimension-overlay@1";
+// Named projects ({ activeId, projects }); STORAGE_KEY_PLATES / _MOTIF_MODE
+// are only read once to migrate the old single configuration
+export const STORAGE_KEY_PROJECTS = "projects@1";
+// UI language ("de" | "en" | "fr", see src/i18n)
+export const STORAGE_KEY_LOCALE = "locale@1";
 
 
 export const DEFAULT_MOTIF_URL =
 "https://rueckwand24.com/cdn/shop/files/Kuechenrueckwand-Kuechenrueckwand-Gruene-frische-Kraeuter-KR-000018-HB.jpg?v=1695288356&width=1200";
 
 
+// Motif crop: focal point (0..1 of the image), zoom on top of "cover",
+// quarter-turn rotation in degrees and mirroring
+export const DEFAULT_MOTIF_CROP = { focusX: 0.5, focusY: 0.5, zoom: 1, rotation: 0, flipX: false, flipY: false };
+
+
 export const DEFAULT_PLATE = { widthCm: 250, heightCm: 128, motifUrl: DEFAULT_MOTIF_URL };
-export const NEW_PLATE     = { widthCm: 30,  heightCm: 30,  motifUrl: DEFAULT_MOTIF_URL };
\ No newline at end of file
+export const NEW_PLATE     = { widthCm: 30,  heightCm: 30,  motifUrl: DEFAULT_MOTIF_URL };
+
+// Uploaded motifs live in IndexedDB (utils/assetStore.js); plates reference
+// them as `${MOTIF_ASSET_PREFIX}<id>` instead of carrying the image data
+export const MOTIF_ASSET_PREFIX = "asset:";
+// Warn when the browser storage for this site is fuller than this share
+export const STORAGE_WARN_RATIO = 0.8;
+
+// Motif modes: one image spanning all plates, or one image per plate
+export const MOTIF_MODE_SPAN = "span";
+export const MOTIF_MODE_INDIVIDUAL = "individual";
+
+// Default physical tile width (cm) of the repeat / mirror fill modes
+// (before fill modes existed, the span motif was mirror-tiled beyond it)
+export const MOTIF_WIDTH_CM = 300;
+
+// Motif fill (utils/motifFill.js): mode, tile / image size in cm
+// (null = automatic) and the background colour of the "center" mode
+export const DEFAULT_MOTIF_FILL = { mode: "cover", tileWidthCm: null, tileHeightCm: null, background: "#ffffff" };
+export const FILL_TILE_MIN_CM = 10;
+
+// Motif adjustments (utils/motifAdjust.js): CSS-filter amounts (1 / 0 =
+// unchanged), optional tint colour with its strength, and the opacity of
+// the motif over `background`
+export const DEFAULT_MOTIF_ADJUST = {
+  brightness: 1,
+  contrast: 1,
+  saturation: 1,
+  grayscale: 0,
+  sepia: 0,
+  tint: null,
+  tintAmount: 0.5,
+  opacity: 1,
+  background: "#ffffff",
+};
+
+// Seams (joint gaps) between plates, in mm: one global width that single
+// joints can override (plate.seamRightMm = joint to the plate's right).
+// The motif either runs on behind the gaps ("continuous": a gap hides a
+// strip of it) or is shifted so no image content is lost ("shifted").
+export const SEAM_MOTIF_CONTINUOUS = "continuous";
+export const SEAM_MOTIF_SHIFTED = "shifted";
+export const DEFAULT_SEAMS = { widthMm: 0, trimColor: null, motif: SEAM_MOTIF_CONTINUOUS };
+export const SEAM_MAX_MM = 50;
+export const DEFAULT_TRIM_COLOR = "#9ca3af";
+
+// Print-ready production export
+export const PRODUCTION_DPI_OPTIONS = [150, 300];
+export const DEFAULT_PRODUCTION_DPI = 150;
+export const DEFAULT_BLEED_MM = 3;
+
+// Motif print quality: effective DPI on the wall (traffic light)
+// >= good: fine up close; >= fair: OK from a normal viewing distance; below: blurry
+export const PRINT_QUALITY_DPI = { good: 100, fair: 60 };
+
+// Wall context mode: wall size + obstacles (sockets, switches, ...) in cm.
+// Obstacle positions are centres, measured from the wall's left edge and
+// from the bottom edge (= the plates' bottom line).
+export const DEFAULT_WALL = { enabled: false, widthCm: 300, heightCm: 150, obstacles: [] };
+// New obstacles get their default label from "wall.obstacle.<shape>" (i18n)
+export const NEW_OBSTACLE = {
+  rect: { shape: "rect", widthCm: 8, heightCm: 8 },
+  round: { shape: "round", widthCm: 6, heightCm: 6 },
+};
+// Cutouts closer than this to a plate edge/seam are flagged
+export const CUTOUT_MIN_EDGE_CM = 3;
+
+// Checkout (utils/order): the cart endpoint is VITE_CART_ENDPOINT, in dev
+// "/api/cart" is proxied to the mock server (npm run mock:cart).
+// Failed attempts are retried CHECKOUT_RETRIES times, waiting
+// CHECKOUT_RETRY_DELAY_MS, doubled per attempt.
+export const DEFAULT_CART_ENDPOINT = "/api/cart";
+export const CHECKOUT_RETRIES = 2;
+export const CHECKOUT_RETRY_DELAY_MS = 1000;
+export const CHECKOUT_TIMEOUT_MS = 30000;
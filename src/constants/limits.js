@@ -1,4 +1,8 @@
 export const WIDTH_MIN = 20;
 export const WIDTH_MAX = 300;
 export const HEIGHT_MIN = 30;
-export const HEIGHT_MAX = 128;
\ No newline at end of file
+export const HEIGHT_MAX = 128;
+
+// Plate count limit. An embedding shop may lower it for its widget (embed
+// config `limits.maxPlates`, passed down from App as `maxPlates`).
+export const MAX_PLATES = 10;
@@ -0,0 +1,38 @@
+// Product catalog: materials a plate can be made of.
+// Each material has its own size range (cm) and available thicknesses (mm).
+// Ranges must stay within the global envelope in limits.js.
+// Names are translated by id ("material.<id>", "material.<id>.short" in
+// src/i18n/messages), finishes by "finish.<finish>".
+// finish: "gloss" | "satin" | "matte" (drives the preview rendering + legend)
+
+export const MATERIALS = [
+  {
+    id: "alu-composite",
+    finish: "matte",
+    widthMin: 20,
+    widthMax: 300,
+    heightMin: 30,
+    heightMax: 128,
+    thicknessesMm: [3, 4],
+  },
+  {
+    id: "acrylic",
+    finish: "gloss",
+    widthMin: 20,
+    widthMax: 250,
+    heightMin: 30,
+    heightMax: 100,
+    thicknessesMm: [4, 6],
+  },
+  {
+    id: "pvc-foil",
+    finish: "satin",
+    widthMin: 20,
+    widthMax: 300,
+    heightMin: 30,
+    heightMax: 120,
+    thicknessesMm: [0.3],
+  },
+];
+
+export const DEFAULT_MATERIAL_ID = "alu-composite";
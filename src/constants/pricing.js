@@ -0,0 +1,32 @@
+// Price list for the live price calculation (utils/pricing.js).
+// Edit the numbers here — components never hard-code prices.
+// All amounts are gross (incl. VAT) in `currency`.
+
+export const PRICING = {
+  currency: "EUR", // formatted in the UI locale (i18n intlLocale)
+  vatRate: 0.19, // only used to show the VAT share
+
+  // Base price per plate: area × rate, but never below the minimum
+  pricePerSqm: 89.9,
+  minChargePerPlate: 39.9,
+
+  // Per-material rate (by id from constants/materials.js); falls back to pricePerSqm
+  materialPricePerSqm: {
+    "alu-composite": 89.9,
+    acrylic: 119.9,
+    "pvc-foil": 49.9,
+  },
+
+  // Motifs not from the shop catalog (uploads / foreign URLs)
+  catalogMotifPrefix: "https://rueckwand24.com/",
+  customMotifSurcharge: 19.9, // once per distinct custom motif
+
+  // Optional add-ons. type: "perPlate" | "perSqm" | "flat"
+  // (names are translated by id: "addon.<id>" in src/i18n/messages)
+  addOns: [
+    { id: "mounting-kit", type: "perPlate", price: 14.9 },
+    { id: "protective-film", type: "perSqm", price: 6.5 },
+    { id: "drill-holes", type: "perPlate", price: 9.9 },
+    { id: "express", type: "flat", price: 29.0 },
+  ],
+};
@@ -0,0 +1,61 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import './index.css'
+import App from './App.jsx'
+import { Logger, createHttpSink } from './utils/logger.js'
+import { EMBED_EVENTS, HOST_MESSAGES, applyEmbedConfig, createHostChannel } from './utils/embed.js'
+import { translate } from './i18n/index.js'
+
+// Entry of embed.html: the configurator as an iframe widget (utils/embed).
+// The config comes from `?config=<json>` or, usually, from the host's
+// "init" message after we announce "ready"; without an answer (or without
+// a valid `?parentOrigin=`, see createHostChannel) the app starts with its
+// defaults.
+const INIT_TIMEOUT_MS = 3000
+
+// Optional remote log collection, as in main.jsx
+if (import.meta.env.VITE_LOG_ENDPOINT) {
+  Logger.addSink(createHttpSink({ url: import.meta.env.VITE_LOG_ENDPOINT }))
+}
+
+const params = new URLSearchParams(window.location.search)
+const host = createHostChannel(params.get('parentOrigin'))
+
+function mount(raw) {
+  const { config, limits, errors } = applyEmbedConfig(raw)
+  if (errors.length) host.emit(EMBED_EVENTS.ERROR, { errors: errors.map(translate) })
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App embed={{ config, limits, errors, connected: host.connected, emit: host.emit }} />
+    </StrictMode>,
+  )
+  // Let the host size the iframe to the content
+  new ResizeObserver(() => {
+    host.emit(EMBED_EVENTS.RESIZE, { height: document.documentElement.scrollHeight })
+  }).observe(document.body)
+}
+
+if (params.has('config')) {
+  let raw = {}
+  try {
+    raw = JSON.parse(params.get('config'))
+  } catch (err) {
+    Logger.error('Embed config in the URL is not valid JSON', err)
+  }
+  mount(raw)
+} else {
+  let mounted = false
+  const once = (raw) => {
+    if (mounted) return
+    mounted = true
+    stop()
+    clearTimeout(timer)
+    mount(raw)
+  }
+  const stop = host.on(HOST_MESSAGES.INIT, (payload) => once(payload.config ?? {}))
+  const timer = setTimeout(() => {
+    if (host.connected) Logger.warn('No init message from the host page; starting with defaults')
+    once({})
+  }, host.connected ? INIT_TIMEOUT_MS : 0)
+  host.emit(EMBED_EVENTS.READY)
+}
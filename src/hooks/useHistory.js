@@ -0,0 +1,95 @@
+import { useCallback, useState } from "react";
+
+const HISTORY_LIMIT = 100;
+// Consecutive updates with the same coalesce key within this window merge
+const COALESCE_MS = 1000;
+
+/**
+ * useHistory
+ * useState with an undo/redo stack.
+ * - `set(updater, { coalesceKey })` works like a state setter; updates that
+ *   return the same value are ignored (no empty steps).
+ * - Updates sharing a `coalesceKey` in quick succession (e.g. one drag or
+ *   one slider move) are merged into a single history step.
+ * - `undo()` / `redo()` move through the stack; `canUndo` / `canRedo` for UI.
+ * - `rewrite(fn)` maps every state in the stack (past, present, future)
+ *   without recording a step — for pure representation changes such as a
+ *   storage migration, so undo never brings the old form back.
+ * - `reset(state)` starts a fresh history (e.g. after switching projects).
+ */
+export function useHistory(initial) {
+  const [hist, setHist] = useState(() => ({
+    past: [],
+    present: typeof initial === "function" ? initial() : initial,
+    future: [],
+    lastKey: null,
+    lastAt: 0,
+  }));
+
+  const set = useCallback((updater, { coalesceKey } = {}) => {
+    setHist((h) => {
+      const next = typeof updater === "function" ? updater(h.present) : updater;
+      if (next === h.present) return h;
+      const now = Date.now();
+      const merge =
+        coalesceKey != null && coalesceKey === h.lastKey && now - h.lastAt < COALESCE_MS;
+      return {
+        past: merge ? h.past : [...h.past, h.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastKey: coalesceKey ?? null,
+        lastAt: now,
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHist((h) => {
+      if (!h.past.length) return h;
+      return {
+        past: h.past.slice(0, -1),
+        present: h.past[h.past.length - 1],
+        future: [h.present, ...h.future],
+        lastKey: null,
+        lastAt: 0,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHist((h) => {
+      if (!h.future.length) return h;
+      return {
+        past: [...h.past, h.present],
+        present: h.future[0],
+        future: h.future.slice(1),
+        lastKey: null,
+        lastAt: 0,
+      };
+    });
+  }, []);
+
+  const rewrite = useCallback((fn) => {
+    setHist((h) => ({
+      ...h,
+      past: h.past.map(fn),
+      present: fn(h.present),
+      future: h.future.map(fn),
+    }));
+  }, []);
+
+  const reset = useCallback((state) => {
+    setHist({ past: [], present: state, future: [], lastKey: null, lastAt: 0 });
+  }, []);
+
+  return {
+    present: hist.present,
+    rewrite,
+    reset,
+    set,
+    undo,
+    redo,
+    canUndo: hist.past.length > 0,
+    canRedo: hist.future.length > 0,
+  };
+}
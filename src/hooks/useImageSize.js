@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+import { Logger } from "../utils/logger.js";
+
+/**
+ * useImageSize
+ * Loads `url` off-DOM and returns its natural size `{ width, height }`,
+ * or `null` while loading / on error.
+ */
+export function useImageSize(url) {
+  const [size, setSize] = useState(null);
+
+  useEffect(() => {
+    if (!url) return undefined;
+    let cancelled = false;
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => {
+      if (!cancelled) setSize({ width: img.naturalWidth, height: img.naturalHeight, url });
+    };
+    img.onerror = (err) => {
+      if (!cancelled) setSize(null);
+      Logger.warn("useImageSize: failed to load image", { url: url.slice(0, 120), err });
+    };
+    img.src = url;
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  // Ignore a stale size from the previous URL
+  return size && size.url === url ? size : null;
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { Logger } from "../utils/logger.js";
+
+/**
+ * useImageSizes
+ * Like useImageSize, for several URLs at once. Returns an object
+ * url -> { width, height } with the sizes loaded so far; each URL is
+ * loaded once and failures are simply left out.
+ */
+export function useImageSizes(urls) {
+  const [sizes, setSizes] = useState({});
+  const key = [...new Set((urls || []).filter(Boolean))].sort().join("\n");
+
+  useEffect(() => {
+    const wanted = key ? key.split("\n") : [];
+    let cancelled = false;
+    wanted.forEach((url) => {
+      const img = new Image();
+      img.crossOrigin = "anonymous";
+      img.onload = () => {
+        if (cancelled) return;
+        setSizes((prev) =>
+          prev[url] ? prev : { ...prev, [url]: { width: img.naturalWidth, height: img.naturalHeight } }
+        );
+      };
+      img.onerror = (err) => {
+        Logger.warn("useImageSizes: failed to load image", { url: url.slice(0, 120), err });
+      };
+      img.src = url;
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  return sizes;
+}
@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from "react";
+import { getLocale, setLocale, subscribeLocale, t, translate } from "../i18n/index.js";
+
+/**
+ * useLocale
+ * Current UI locale plus `t` (translate a key), `translate` (messages
+ * from utils) and `setLocale`; the calling component re-renders when the
+ * locale changes.
+ */
+export function useLocale() {
+  const locale = useSyncExternalStore(subscribeLocale, getLocale);
+  return { locale, setLocale, t, translate };
+}
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { DEFAULT_MOTIF_URL } from "../constants/config.js";
+import { assetIdOf, getMotifAsset } from "../utils/assetStore.js";
+import { Logger } from "../utils/logger.js";
+
+// Transparent 1×1 GIF shown while an asset is still loading
+const BLANK_IMAGE = "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";
+
+/**
+ * useMotifAssets
+ * Resolves `asset:<id>` motif references (utils/assetStore) to object URLs.
+ * - Loads every referenced asset from IndexedDB once; object URLs of assets
+ *   no longer referenced are revoked.
+ * - `resolve(url)` returns a displayable URL: other URLs pass through, a
+ *   loading asset gives a blank image, a missing one the default motif.
+ */
+export function useMotifAssets(urls) {
+  const [objectUrls, setObjectUrls] = useState({}); // id -> object URL | null (missing)
+  const loadedRef = useRef(objectUrls);
+  loadedRef.current = objectUrls;
+
+  const key = [...new Set((urls || []).map(assetIdOf).filter(Boolean))].sort().join(",");
+
+  useEffect(() => {
+    const ids = key ? key.split(",") : [];
+    let cancelled = false;
+
+    ids
+      .filter((id) => !(id in loadedRef.current))
+      .forEach((id) => {
+        getMotifAsset(id)
+          .then((blob) => {
+            if (cancelled) return;
+            if (!blob) Logger.warn("Motif asset missing; showing default motif", { id });
+            setObjectUrls((prev) =>
+              id in prev ? prev : { ...prev, [id]: blob ? URL.createObjectURL(blob) : null }
+            );
+          })
+          .catch((err) => Logger.error("Failed to load motif asset", { id, err }));
+      });
+
+    // Drop object URLs that are no longer referenced
+    setObjectUrls((prev) => {
+      const stale = Object.keys(prev).filter((id) => !ids.includes(id));
+      if (!stale.length) return prev;
+      const next = { ...prev };
+      stale.forEach((id) => {
+        if (next[id]) URL.revokeObjectURL(next[id]);
+        delete next[id];
+      });
+      return next;
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  return useCallback(
+    (url) => {
+      const id = assetIdOf(url);
+      if (!id) return url;
+      if (!(id in objectUrls)) return BLANK_IMAGE;
+      return objectUrls[id] || DEFAULT_MOTIF_URL;
+    },
+    [objectUrls]
+  );
+}
@@ -0,0 +1,85 @@
+import { useCallback, useState } from "react";
+import { copyName, createProject, nextProjectName } from "../utils/projects.js";
+
+/**
+ * useProjects
+ * State for the named projects (see utils/projects.js). Persistence is left
+ * to the caller (App), which also loads the active project's data into the
+ * editor when switching.
+ * - `updateActiveData(data)` syncs the editor state into the active project
+ *   (updatedAt only moves when something actually changed)
+ * - `create(data, name?)` adds and activates a project; returns it
+ * - `rename`, `duplicate` (returns the copy), `remove` (never the last one),
+ *   `setActive`, `setThumbnail`
+ */
+export function useProjects(init) {
+  const [store, setStore] = useState(init);
+
+  const patchProject = (id, fn) =>
+    setStore((s) => ({
+      ...s,
+      projects: s.projects.map((p) => (p.id === id ? fn(p) : p)),
+    }));
+
+  const updateActiveData = useCallback((data) => {
+    setStore((s) => {
+      const active = s.projects.find((p) => p.id === s.activeId);
+      if (!active || JSON.stringify(active.data) === JSON.stringify(data)) return s;
+      return {
+        ...s,
+        projects: s.projects.map((p) =>
+          p.id === s.activeId ? { ...p, data, updatedAt: Date.now() } : p
+        ),
+      };
+    });
+  }, []);
+
+  const setThumbnail = useCallback((id, thumbnail) => {
+    patchProject(id, (p) => ({ ...p, thumbnail }));
+  }, []);
+
+  const create = (data, name) => {
+    const project = createProject(name || nextProjectName(store.projects), data);
+    setStore((s) => ({ activeId: project.id, projects: [...s.projects, project] }));
+    return project;
+  };
+
+  const rename = (id, name) => {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) return;
+    patchProject(id, (p) => ({ ...p, name: trimmed, updatedAt: Date.now() }));
+  };
+
+  const duplicate = (id) => {
+    const source = store.projects.find((p) => p.id === id);
+    if (!source) return null;
+    const copy = {
+      ...createProject(copyName(store.projects, source.name), source.data),
+      thumbnail: source.thumbnail,
+    };
+    setStore((s) => ({ ...s, projects: [...s.projects, copy] }));
+    return copy;
+  };
+
+  const remove = (id) =>
+    setStore((s) => {
+      if (s.projects.length <= 1) return s;
+      const projects = s.projects.filter((p) => p.id !== id);
+      return { activeId: s.activeId === id ? projects[0].id : s.activeId, projects };
+    });
+
+  const setActive = (id) => setStore((s) => ({ ...s, activeId: id }));
+
+  return {
+    store,
+    projects: store.projects,
+    activeProject: store.projects.find((p) => p.id === store.activeId) || store.projects[0],
+    updateActiveData,
+    setThumbnail,
+    create,
+    rename,
+    duplicate,
+    remove,
+    setActive,
+  };
+}
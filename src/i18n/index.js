@@ -0,0 +1,118 @@
+// src/i18n/index.js
+import { STORAGE_KEY_LOCALE } from "../constants/config.js";
+import { Logger } from "../utils/logger.js";
+import { formatNumber } from "../utils/number.js";
+import de from "./messages/de.js";
+import en from "./messages/en.js";
+import fr from "./messages/fr.js";
+
+/**
+ * Minimal i18n layer.
+ * - Message catalogs are flat objects per locale (`src/i18n/messages/*.js`),
+ *   keyed like "plate.width"; German is the reference catalog and the
+ *   fallback for missing keys.
+ * - `t(key, params)` fills `{name}` placeholders from `params`.
+ * - Utils whose results end up in state or memos return messages
+ *   (`message(key, params)`) instead of text; components `translate` them
+ *   when rendering, so the text follows a locale switch.
+ * - The locale lives in this module (so utils can translate too) and is
+ *   persisted in localStorage; components re-render through useLocale.
+ */
+
+export const LOCALES = ["de", "en", "fr"];
+export const DEFAULT_LOCALE = "de";
+
+/** Name of each locale in its own language (for the switcher). */
+export const LOCALE_NAMES = { de: "Deutsch", en: "English", fr: "Français" };
+
+// BCP 47 tags for Intl formatting (prices, areas)
+const INTL_LOCALES = { de: "de-DE", en: "en-GB", fr: "fr-FR" };
+
+const CATALOGS = { de, en, fr };
+
+function initialLocale() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY_LOCALE);
+    if (LOCALES.includes(saved)) return saved;
+    const browser = (navigator.language || "").slice(0, 2).toLowerCase();
+    return LOCALES.includes(browser) ? browser : DEFAULT_LOCALE;
+  } catch (err) {
+    Logger.error("Failed to read locale from localStorage", err);
+    return DEFAULT_LOCALE;
+  }
+}
+
+let current = typeof window === "undefined" ? DEFAULT_LOCALE : initialLocale();
+const listeners = new Set();
+
+if (typeof document !== "undefined") document.documentElement.lang = current;
+
+/** Current locale ("de" | "en" | "fr"). */
+export function getLocale() {
+  return current;
+}
+
+/** Intl locale tag of the current locale, e.g. "de-DE". */
+export function intlLocale() {
+  return INTL_LOCALES[current];
+}
+
+/**
+ * Switch the locale, persist it and notify subscribers. `persist: false`
+ * keeps the saved choice (embedded widget, the host picks the language).
+ */
+export function setLocale(locale, { persist = true } = {}) {
+  if (!LOCALES.includes(locale) || locale === current) return;
+  current = locale;
+  try {
+    if (persist) localStorage.setItem(STORAGE_KEY_LOCALE, locale);
+  } catch (err) {
+    Logger.error("Failed to persist locale to localStorage", err);
+  }
+  if (typeof document !== "undefined") document.documentElement.lang = locale;
+  listeners.forEach((fn) => fn());
+}
+
+/** Subscribe to locale changes; returns the unsubscribe function. */
+export function subscribeLocale(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** A message to translate later: { key, params } (see `t` for the params). */
+export function message(key, params) {
+  return params ? { key, params } : { key };
+}
+
+const isMessage = (value) => typeof value?.key === "string";
+
+/** "1, 3 und 4" as a message (a single item as is). */
+export function listMessage(items) {
+  return items.length > 1
+    ? message("common.list", { items: items.slice(0, -1).join(", "), last: items[items.length - 1] })
+    : String(items[0] ?? "");
+}
+
+// Param values: messages are translated, arrays joined with spaces and
+// numbers written with the locale's decimal separator
+function paramText(value) {
+  if (isMessage(value)) return t(value.key, value.params);
+  if (Array.isArray(value)) return value.map(paramText).join(" ");
+  if (typeof value === "number") return formatNumber(value, current);
+  return String(value);
+}
+
+/** Text of a message, an array of them (joined) or a plain string. */
+export function translate(value) {
+  return value === null || value === undefined ? "" : paramText(value);
+}
+
+/** Translate `key` into the current locale, filling `{name}` placeholders. */
+export function t(key, params) {
+  const msg = CATALOGS[current]?.[key] ?? de[key];
+  if (msg === undefined) {
+    Logger.warn("i18n: missing message", { key, locale: current });
+    return key;
+  }
+  return params ? msg.replace(/\{(\w+)\}/g, (m, name) => (name in params ? paramText(params[name]) : m)) : msg;
+}
@@ -0,0 +1,329 @@
+// src/i18n/messages/de.js
+// German messages (reference catalog and fallback for missing keys).
+const messages = {
+  "plate.enterNumber": "Bitte gültige Länge eingeben.",
+  "plate.invalidExpression": "Ausdruck ungültig",
+  "plate.allowed": "Erlaubt {range}",
+  "plate.materialAdjusted": "Maße an das Material angepasst.",
+  "plate.dragToReorder": "Ziehen zum Neuordnen",
+  "plate.width": "Breite",
+  "plate.height": "Höhe",
+  "plate.materialOf": "Material Rückwand {nr}",
+  "plate.thicknessOf": "Stärke Rückwand {nr}",
+  "plate.chooseMotif": "Motiv für diese Rückwand wählen",
+  "plate.selectForMotif": "Rückwand {nr} für Motiv auswählen",
+  "plate.remove": "Rückwand entfernen",
+  "plate.check": "Rückwand {nr} markieren (Umschalt-Klick: Bereich)",
+  "plate.duplicate": "Rückwand duplizieren",
+
+  "bulk.title": "Mehrfachbearbeitung",
+  "bulk.checked": "{count} von {total} markiert",
+  "bulk.all": "Alle",
+  "bulk.none": "Keine",
+  "bulk.width": "Breite ({unit})",
+  "bulk.height": "Höhe ({unit})",
+  "bulk.total": "Gesamtbreite verteilen ({unit})",
+  "bulk.set": "Setzen",
+  "bulk.distribute": "Verteilen",
+  "bulk.duplicate": "Duplizieren",
+  "bulk.delete": "Löschen",
+  "bulk.confirmDelete": "{count} markierte Rückwände löschen?",
+  "bulk.noneChecked": "Keine Rückwand markiert.",
+  "bulk.tooMany": "{count} Kopien passen nicht – maximal {max} Rückwände, noch {free} frei.",
+  "bulk.outOfRange": "Das Maß passt nicht zum Material von Rückwand {nrs}.",
+  "bulk.badTotal": "Bitte eine Gesamtbreite größer 0 eingeben.",
+  "bulk.distributeRange": "{width} cm je Rückwand passt nicht zum Material von Rückwand {nrs}.",
+  "bulk.keepOne": "Mindestens eine Rückwand muss bleiben.",
+
+  "plateMeta.title": "Rückwand (nur Anzeige)",
+  "plateMeta.reset": "Auf Standardwerte zurücksetzen",
+  "plateMeta.storageKey": "Gespeichert unter:",
+
+  "addon.mounting-kit": "Montageset (Klebeband + Silikon)",
+  "addon.protective-film": "Schutzfolie",
+  "addon.drill-holes": "Bohrlöcher vorbereiten",
+  "addon.express": "Expressfertigung",
+
+  "common.plateNr": "Rückwand {nr}",
+  "common.plateProblem": "Rückwand {nr}: {problem}",
+  "common.close": "Schließen",
+  "common.auto": "auto",
+  "common.reset": "Zurücksetzen",
+  "common.list": "{items} und {last}",
+  "common.apply": "Übernehmen",
+  "common.done": "Fertig",
+  "common.exportFailed": "Export fehlgeschlagen: {message}",
+
+  "price.title": "Preis",
+  "price.minimum": "Mindestpreis",
+  "price.customMotif": "Eigenes Motiv",
+  "price.perPlate": "Rückwand",
+  "price.total": "Gesamt",
+  "price.vat": "inkl. {amount} MwSt.",
+
+  "material.alu-composite": "Aluminium-Verbund",
+  "material.alu-composite.short": "Alu-Verbund",
+  "material.acrylic": "Acrylglas",
+  "material.acrylic.short": "Acryl",
+  "material.pvc-foil": "PVC-Folie",
+  "material.pvc-foil.short": "PVC",
+  "material.widthRange": "{material}: Breite {min}–{max} cm erlaubt.",
+  "material.heightRange": "{material}: Höhe {min}–{max} cm erlaubt.",
+
+  "finish.gloss": "Hochglanz",
+  "finish.satin": "Seidenmatt",
+  "finish.matte": "Matt",
+
+  "legend.numbers": "Nr. {list}",
+
+  "split.equal": "Gleich breit",
+  "split.fewest": "Wenigste Platten",
+  "split.seams": "Fugen vorgeben",
+  "split.seamsOutside": "Fugenpositionen müssen zwischen 0 und {max} cm liegen.",
+  "split.minWidth": "Die Wand muss mindestens {min} cm breit sein.",
+  "split.minHeight": "Die Wand muss mindestens {min} cm hoch sein.",
+  "split.unknown": "Unbekannte Aufteilung „{strategy}“.",
+  "split.badCount": "Die Anzahl muss eine ganze Zahl ab 1 sein.",
+  "split.badHeight": "Die Höhe lässt sich nicht in Reihen von {min}–{max} cm teilen.",
+  "split.badWidth": "Eine Platte wäre {width} cm breit – {material} erlaubt {min}–{max} cm.",
+  "split.tooMany": "Die Aufteilung bräuchte {count} Platten (maximal {max}).",
+
+  "fillWall.badSeams": "Fugenpositionen bitte als Zahlen eingeben, getrennt durch „;“.",
+  "fillWall.confirm": "Die aktuelle Liste ({current} Rückwände) wird durch {next} neue Rückwände ersetzt. Fortfahren?",
+  "fillWall.open": "Wand füllen …",
+  "fillWall.title": "Wand füllen",
+  "fillWall.width": "Breite ({unit})",
+  "fillWall.height": "Höhe ({unit})",
+  "fillWall.strategy": "Aufteilung",
+  "fillWall.count": "Anzahl pro Reihe (leer = so wenige wie möglich)",
+  "fillWall.seams": "Fugen ab linker Kante ({unit}), z. B. „120; 260“",
+  "fillWall.proposal": "{count} Rückwände",
+  "fillWall.inRows": "in {rows} Reihen",
+
+  "fill.cover": "Füllen",
+  "fill.stretch": "Strecken",
+  "fill.repeat": "Kacheln",
+  "fill.mirror": "Gespiegelt kacheln",
+  "fill.center": "Zentriert",
+  "fill.title": "Füllart",
+  "fill.tileWidth": "Kachel B",
+  "fill.tileHeight": "H",
+  "fill.motifWidth": "Motivbreite",
+  "fill.background": "Hintergrund",
+  "fill.backgroundColour": "Hintergrundfarbe",
+
+  "spec.title": "Technische Zeichnung – Rückwand-Konfiguration",
+  "spec.totalWidth": "Gesamtbreite {length}",
+  "spec.totalWidthSeams": "Gesamtbreite {length} inkl. Fugen",
+  "spec.totalHeight": "Gesamthöhe {length}",
+  "spec.seams": "Fugen {widths} mm",
+  "spec.scale": "Maßstab ca. 1:{ratio} · Maße in {unit}",
+  "spec.cutouts": "Ausschnitte (gestrichelt): Mitte ab linker / unterer Plattenkante",
+  "spec.nr": "Nr.",
+  "spec.width": "Breite",
+  "spec.height": "Höhe",
+  "spec.material": "Material",
+  "spec.price": "Preis",
+  "spec.extras": "Motiv-Zuschlag & Extras",
+  "spec.total": "Gesamt inkl. MwSt.",
+  "spec.motifPlates": "Motiv · Rückwand {plates} · {fill}",
+  "spec.motif": "Motiv · {fill}",
+
+  "adjust.brightness": "Helligkeit",
+  "adjust.contrast": "Kontrast",
+  "adjust.saturation": "Sättigung",
+  "adjust.grayscale": "Schwarzweiß",
+  "adjust.sepia": "Sepia",
+  "adjust.title": "Motiv anpassen",
+  "adjust.tint": "Tönung",
+  "adjust.tintColour": "Tönungsfarbe",
+  "adjust.tintAmount": "Stärke der Tönung",
+  "adjust.opacity": "Deckkraft",
+
+  "sidebar.titleStrong": "Maße.",
+  "sidebar.title": "Eingeben.",
+  "sidebar.language": "Sprache",
+  "sidebar.history": "Verlauf",
+  "sidebar.undoHint": "Rückgängig (Strg+Z)",
+  "sidebar.undo": "Rückgängig",
+  "sidebar.redoHint": "Wiederholen (Strg+Umschalt+Z)",
+  "sidebar.redo": "Wiederholen",
+  "sidebar.units": "Einheiten",
+  "sidebar.addRow": "Neue Reihe +",
+  "sidebar.addPlate": "Rückwand hinzufügen +",
+  "sidebar.maxPlates": "Maximal {max} Rückwände. Entferne eine, um eine neue hinzuzufügen.",
+
+  "rows.row": "Reihe {nr}",
+  "rows.bottom": "unten",
+  "rows.top": "oben",
+  "rows.align": "Ausrichtung Reihe {nr}",
+  "rows.align.left": "Links",
+  "rows.align.center": "Mittig",
+  "rows.align.right": "Rechts",
+  "rows.dropNew": "Hierher ziehen für eine neue Reihe darüber",
+  "rows.limit": "Jede Reihe sitzt auf der höchsten Rückwand der Reihe darunter und wird nur links, mittig oder rechts ausgerichtet. L-Formen, versetzte Reihen und Rückwände, die eine Lücke unter sich füllen, sind nicht möglich.",
+
+  "summary.totalWidth": "Gesamtbreite",
+  "summary.inclSeams": "inkl. {length} Fugen",
+
+  "seams.width": "Fugenbreite (mm)",
+  "seams.trim": "Profil",
+  "seams.trimColour": "Profilfarbe",
+  "seams.motif": "Motiv an den Fugen",
+  "seams.continuous": "Durchgehend",
+  "seams.shifted": "Versetzt",
+  "seams.shiftedHint": "Jede Platte setzt das Motiv dort fort, wo die Nachbarplatte endet – kein Motivverlust.",
+  "seams.continuousHint": "Das Motiv läuft hinter der Fuge weiter – die Fuge verdeckt einen schmalen Streifen.",
+  "seams.joint": "Fuge {left} | {right}",
+
+  "wall.warnSeam": "Liegt auf der Fuge zwischen Rückwand {plates}.",
+  "wall.warnOutside": "Ragt über den Rand von Rückwand {nr} hinaus.",
+  "wall.warnEdge": "Nur {dist} cm Abstand zum Rand von Rückwand {nr} (mind. {min} cm).",
+  "wall.obstacle.rect": "Steckdose",
+  "wall.obstacle.round": "Rohr",
+  "wall.title": "Wand & Aussparungen",
+  "wall.width": "Wandbreite ({unit})",
+  "wall.height": "Wandhöhe ({unit})",
+  "wall.empty": "Steckdosen, Schalter oder Rohre hinzufügen, um die Aussparungen zu berechnen.",
+  "wall.shape": "Form",
+  "wall.shape.rect": "Rechteckig",
+  "wall.shape.round": "Rund",
+  "wall.label": "Bezeichnung",
+  "wall.remove": "Hindernis entfernen",
+  "wall.fromLeft": "Mitte von links",
+  "wall.fromBottom": "Mitte von unten",
+  "wall.obstacleWidth": "Breite",
+  "wall.obstacleHeight": "Höhe",
+  "wall.noPlate": "Liegt auf keiner Rückwand – keine Aussparung nötig.",
+  "wall.cutout": "Rückwand {nr}: Mitte {x} von links, {y} von unten",
+  "wall.onPlates": "Nr. {plates}",
+  "wall.onNoPlate": "keine Rückwand",
+
+  "quality.good": "Gute Druckqualität",
+  "quality.fair": "Eingeschränkte Druckqualität",
+  "quality.poor": "Auflösung zu gering",
+  "quality.dpi": "ca. {dpi} DPI",
+
+  "preview.dragHint": "Ziehen zum Verschieben, Mausrad zum Zoomen",
+  "preview.exportPng": "PNG exportieren",
+  "preview.production": "Druckdaten",
+  "preview.specSheet": "Zeichnung",
+  "preview.dimensions": "Maße",
+  "preview.dimensionsPng": "Maße im PNG",
+  "preview.crop": "Ausschnitt anpassen",
+  "preview.allPlates": "Alle Rückwände",
+
+  "motif.storageFull": "Der Browser-Speicher ist voll – das Bild konnte nicht gespeichert werden.",
+  "motif.storeFailed": "Das Bild konnte nicht gespeichert werden.",
+  "motif.custom": "Benutzerdefiniertes Bild (hochgeladen)",
+  "motif.title": "Motiv (Bild)",
+  "motif.mode": "Motiv-Modus",
+  "motif.span": "Über alle",
+  "motif.individual": "Pro Rückwand",
+  "motif.appliesTo": "Gilt für:",
+  "motif.selectHint": "(Rückwand in der Vorschau oder Liste anklicken)",
+  "motif.current": "Aktuelles Motiv",
+  "motif.poorHint": "Das Bild hat zu wenig Pixel für diese Fläche und wird im Druck unscharf. Bitte ein größeres Bild verwenden oder den Zoom verringern.",
+  "motif.fairHint": "Aus normalem Betrachtungsabstand in Ordnung, aus der Nähe leicht unscharf.",
+  "motif.upload": "Bild vom Gerät hochladen",
+  "motif.urlPlaceholder": "https://example.com/bild.jpg",
+  "motif.url": "Bild-URL einfügen",
+  "motif.reset": "Auf Standardmotiv zurücksetzen",
+  "motif.help": "Du kannst ein Bild hochladen (bleibt gespeichert) oder eine Bild-URL einfügen.",
+
+  "crop.zoom": "Zoom",
+  "crop.rotate": "Drehen",
+  "crop.rotateLeft": "90° nach links drehen",
+  "crop.rotateRight": "90° nach rechts drehen",
+  "crop.flip": "Spiegeln",
+  "crop.flipX": "Horizontal spiegeln",
+  "crop.flipY": "Vertikal spiegeln",
+
+  "production.badBleed": "Beschnitt: bitte 0–50 mm eingeben.",
+  "production.bleed": "Beschnitt",
+  "production.rendering": "Rendere {done}/{total} …",
+  "production.export": "Druckdaten (ZIP)",
+  "production.tooLarge": "Rückwand {nr} bräuchte {width}×{height} px bei {dpi} DPI – mehr, als der Browser zeichnen kann. Bitte eine niedrigere DPI wählen.",
+
+  "specPanel.title": "Technische Zeichnung",
+  "specPanel.unit": "Maßeinheit der Zeichnung",
+
+  "config.notFound": "Keine gültige Konfiguration gefunden.",
+  "config.missing": "(fehlt)",
+  "config.version": "Nicht unterstützte Version {version} (erwartet {expected}).",
+  "config.unit": "Unbekannte Einheit „{unit}“.",
+  "config.motifMode": "Unbekannter Motiv-Modus „{mode}“.",
+  "config.noPlates": "Die Konfiguration enthält keine Rückwände.",
+  "config.tooMany": "Zu viele Rückwände: {count} (maximal {max}).",
+  "config.width": "Rückwand {nr}: Breite {value} cm liegt nicht in {min}–{max} cm.",
+  "config.height": "Rückwand {nr}: Höhe {value} cm liegt nicht in {min}–{max} cm.",
+  "config.material": "Rückwand {nr}: unbekanntes Material „{material}“.",
+  "config.row": "Rückwand {nr}: ungültige Reihe „{row}“.",
+  "config.seam": "Fugenbreite {value} mm liegt nicht in 0–{max} mm.",
+  "config.motifRef": "Rückwand {nr}: ungültige Motiv-Referenz.",
+  "config.fill": "Unbekannte Füllart „{mode}“.",
+  "config.badJson": "Die Datei ist kein gültiges JSON.",
+  "config.badFile": "Die Datei ist keine Rückwand-Konfiguration.",
+  "config.badLink": "Der geteilte Link ist beschädigt oder unvollständig.",
+
+  "transfer.linkCopied": "Link kopiert.",
+  "transfer.copyLink": "Link kopieren",
+  "transfer.saved": "Konfiguration gespeichert.",
+  "transfer.saveFailed": "Speichern fehlgeschlagen: hochgeladene Motive konnten nicht gelesen werden.",
+  "transfer.diagnostics": "Diagnose herunterladen",
+  "transfer.diagnosticsHint": "Für den Support: letzte Protokolleinträge, Konfiguration, Browser- und Speicherinfos als JSON-Datei",
+  "transfer.diagnosticsFailed": "Diagnose konnte nicht erstellt werden.",
+  "transfer.title": "Teilen & Speichern",
+  "transfer.saveJson": "JSON speichern",
+  "transfer.loadJson": "JSON laden",
+  "transfer.localMotifs": "Hochgeladene Motive sind nicht im Link enthalten – dafür die JSON-Datei verwenden.",
+  "transfer.importFailed": "Import fehlgeschlagen:",
+
+  "projects.confirmDelete": "Projekt „{name}“ wirklich löschen?",
+  "projects.project": "Projekt",
+  "projects.new": "Neu",
+  "projects.list": "Projekte ({count})",
+  "projects.openNamed": "Projekt {name} öffnen",
+  "projects.noPreview": "Keine Vorschau",
+  "projects.name": "Projektname",
+  "projects.changed": "Geändert {date}",
+  "projects.opened": "Geöffnet",
+  "projects.open": "Öffnen",
+  "projects.rename": "Umbenennen",
+  "projects.duplicate": "Duplizieren",
+  "projects.delete": "Löschen",
+  "projects.copy": "{name} (Kopie)",
+  "projects.copyN": "{name} (Kopie {n})",
+  "projects.first": "Mein Projekt",
+  "projects.shared": "Geteilte Konfiguration",
+
+  "app.sharedFailed": "Geteilter Link konnte nicht geladen werden: {message}",
+  "app.sharedOpened": "Geteilte Konfiguration als neues Projekt geöffnet.",
+  "app.storageFull": "Die Konfiguration konnte nicht gespeichert werden – der Browser-Speicher ist voll.",
+  "app.storageLow": "Browser-Speicher fast voll ({percent} % belegt). Nicht mehr benötigte Motive oder Projekte entfernen oder die Konfiguration als JSON sichern.",
+  "app.motifsNotStored": "Hochgeladene Motive konnten nicht im Browser gespeichert werden und gehen beim Neuladen evtl. verloren.",
+  "app.imported": "Konfiguration importiert.",
+
+  "embed.locale": "Unbekannte Sprache „{locale}“.",
+  "embed.maxPlates": "Ungültiges Rückwand-Limit „{value}“.",
+  "checkout.submit": "In den Warenkorb",
+  "checkout.hint": "Konfiguration prüfen und mit Vorschaubild in den Warenkorb legen",
+  "checkout.preparing": "Bestellung wird vorbereitet …",
+  "checkout.sending": "Wird gesendet …",
+  "checkout.sendingAttempt": "Wird gesendet … (Versuch {attempt} von {total})",
+  "checkout.done": "Im Warenkorb – Bestellnummer {orderId}.",
+  "checkout.handedOver": "An den Shop übergeben.",
+  "checkout.openCart": "Zum Warenkorb",
+  "checkout.retry": "Erneut senden",
+  "checkout.lowQuality": "Hinweis: Das Motiv wird im Druck unscharf (geringe Auflösung).",
+  "checkout.motifMissing": "Rückwand {nr}: Das hochgeladene Motiv ist in diesem Browser nicht mehr gespeichert. Bitte erneut hochladen.",
+  "checkout.error.invalid": "Die Konfiguration kann so nicht bestellt werden:",
+  "checkout.error.build": "Die Bestellung konnte nicht erstellt werden. Bitte erneut versuchen.",
+  "checkout.error.offline": "Keine Internetverbindung – es wurde nichts gesendet.",
+  "checkout.error.timeout": "Der Warenkorb antwortet nicht (Zeitüberschreitung).",
+  "checkout.error.network": "Der Warenkorb ist nicht erreichbar.",
+  "checkout.error.server": "Der Warenkorb ist gerade gestört. Bitte gleich noch einmal versuchen.",
+  "checkout.error.rejected": "Der Shop hat die Bestellung abgelehnt.",
+};
+
+export default messages;
@@ -0,0 +1,329 @@
+// src/i18n/messages/en.js
+// English messages; keys mirror de.js.
+const messages = {
+  "plate.enterNumber": "Please enter a valid length.",
+  "plate.invalidExpression": "Invalid expression",
+  "plate.allowed": "Allowed {range}",
+  "plate.materialAdjusted": "Size adjusted to the material.",
+  "plate.dragToReorder": "Drag to reorder",
+  "plate.width": "Width",
+  "plate.height": "Height",
+  "plate.materialOf": "Material of panel {nr}",
+  "plate.thicknessOf": "Thickness of panel {nr}",
+  "plate.chooseMotif": "Choose a motif for this panel",
+  "plate.selectForMotif": "Select panel {nr} for the motif",
+  "plate.remove": "Remove panel",
+  "plate.check": "Check panel {nr} (shift-click: range)",
+  "plate.duplicate": "Duplicate panel",
+
+  "bulk.title": "Bulk editing",
+  "bulk.checked": "{count} of {total} checked",
+  "bulk.all": "All",
+  "bulk.none": "None",
+  "bulk.width": "Width ({unit})",
+  "bulk.height": "Height ({unit})",
+  "bulk.total": "Distribute total width ({unit})",
+  "bulk.set": "Set",
+  "bulk.distribute": "Distribute",
+  "bulk.duplicate": "Duplicate",
+  "bulk.delete": "Delete",
+  "bulk.confirmDelete": "Delete {count} checked panels?",
+  "bulk.noneChecked": "No panel checked.",
+  "bulk.tooMany": "{count} copies don’t fit – at most {max} panels, {free} left.",
+  "bulk.outOfRange": "The size doesn’t suit the material of panel {nrs}.",
+  "bulk.badTotal": "Please enter a total width greater than 0.",
+  "bulk.distributeRange": "{width} cm per panel doesn’t suit the material of panel {nrs}.",
+  "bulk.keepOne": "At least one panel must remain.",
+
+  "plateMeta.title": "Panel (display only)",
+  "plateMeta.reset": "Reset to defaults",
+  "plateMeta.storageKey": "Stored under:",
+
+  "addon.mounting-kit": "Mounting kit (tape + silicone)",
+  "addon.protective-film": "Protective film",
+  "addon.drill-holes": "Prepare drill holes",
+  "addon.express": "Express production",
+
+  "common.plateNr": "Panel {nr}",
+  "common.plateProblem": "Panel {nr}: {problem}",
+  "common.close": "Close",
+  "common.auto": "auto",
+  "common.reset": "Reset",
+  "common.list": "{items} and {last}",
+  "common.apply": "Apply",
+  "common.done": "Done",
+  "common.exportFailed": "Export failed: {message}",
+
+  "price.title": "Price",
+  "price.minimum": "Minimum price",
+  "price.customMotif": "Custom motif",
+  "price.perPlate": "Panel",
+  "price.total": "Total",
+  "price.vat": "incl. {amount} VAT",
+
+  "material.alu-composite": "Aluminium composite",
+  "material.alu-composite.short": "Alu composite",
+  "material.acrylic": "Acrylic glass",
+  "material.acrylic.short": "Acrylic",
+  "material.pvc-foil": "PVC foil",
+  "material.pvc-foil.short": "PVC",
+  "material.widthRange": "{material}: width {min}–{max} cm allowed.",
+  "material.heightRange": "{material}: height {min}–{max} cm allowed.",
+
+  "finish.gloss": "High gloss",
+  "finish.satin": "Satin",
+  "finish.matte": "Matte",
+
+  "legend.numbers": "No. {list}",
+
+  "split.equal": "Equal widths",
+  "split.fewest": "Fewest panels",
+  "split.seams": "Set seams",
+  "split.seamsOutside": "Seam positions must lie between 0 and {max} cm.",
+  "split.minWidth": "The wall must be at least {min} cm wide.",
+  "split.minHeight": "The wall must be at least {min} cm high.",
+  "split.unknown": "Unknown split “{strategy}”.",
+  "split.badCount": "The count must be a whole number of at least 1.",
+  "split.badHeight": "The height cannot be split into rows of {min}–{max} cm.",
+  "split.badWidth": "A panel would be {width} cm wide – {material} allows {min}–{max} cm.",
+  "split.tooMany": "The split would need {count} panels (at most {max}).",
+
+  "fillWall.badSeams": "Please enter seam positions as numbers separated by “;”.",
+  "fillWall.confirm": "The current list ({current} panels) will be replaced by {next} new panels. Continue?",
+  "fillWall.open": "Fill wall …",
+  "fillWall.title": "Fill wall",
+  "fillWall.width": "Width ({unit})",
+  "fillWall.height": "Height ({unit})",
+  "fillWall.strategy": "Split",
+  "fillWall.count": "Panels per row (empty = as few as possible)",
+  "fillWall.seams": "Seams from the left edge ({unit}), e.g. “120; 260”",
+  "fillWall.proposal": "{count} panels",
+  "fillWall.inRows": "in {rows} rows",
+
+  "fill.cover": "Fill",
+  "fill.stretch": "Stretch",
+  "fill.repeat": "Tile",
+  "fill.mirror": "Mirrored tiles",
+  "fill.center": "Centred",
+  "fill.title": "Fill mode",
+  "fill.tileWidth": "Tile W",
+  "fill.tileHeight": "H",
+  "fill.motifWidth": "Motif width",
+  "fill.background": "Background",
+  "fill.backgroundColour": "Background colour",
+
+  "spec.title": "Technical drawing – panel configuration",
+  "spec.totalWidth": "Total width {length}",
+  "spec.totalWidthSeams": "Total width {length} incl. seams",
+  "spec.totalHeight": "Total height {length}",
+  "spec.seams": "Seams {widths} mm",
+  "spec.scale": "Scale approx. 1:{ratio} · dimensions in {unit}",
+  "spec.cutouts": "Cutouts (dashed): centre from left / bottom panel edge",
+  "spec.nr": "No.",
+  "spec.width": "Width",
+  "spec.height": "Height",
+  "spec.material": "Material",
+  "spec.price": "Price",
+  "spec.extras": "Motif surcharge & extras",
+  "spec.total": "Total incl. VAT",
+  "spec.motifPlates": "Motif · panel {plates} · {fill}",
+  "spec.motif": "Motif · {fill}",
+
+  "adjust.brightness": "Brightness",
+  "adjust.contrast": "Contrast",
+  "adjust.saturation": "Saturation",
+  "adjust.grayscale": "Greyscale",
+  "adjust.sepia": "Sepia",
+  "adjust.title": "Adjust motif",
+  "adjust.tint": "Tint",
+  "adjust.tintColour": "Tint colour",
+  "adjust.tintAmount": "Tint strength",
+  "adjust.opacity": "Opacity",
+
+  "sidebar.titleStrong": "Dimensions.",
+  "sidebar.title": "Enter them.",
+  "sidebar.language": "Language",
+  "sidebar.history": "History",
+  "sidebar.undoHint": "Undo (Ctrl+Z)",
+  "sidebar.undo": "Undo",
+  "sidebar.redoHint": "Redo (Ctrl+Shift+Z)",
+  "sidebar.redo": "Redo",
+  "sidebar.units": "Units",
+  "sidebar.addRow": "New row +",
+  "sidebar.addPlate": "Add panel +",
+  "sidebar.maxPlates": "At most {max} panels. Remove one to add a new one.",
+
+  "rows.row": "Row {nr}",
+  "rows.bottom": "bottom",
+  "rows.top": "top",
+  "rows.align": "Alignment of row {nr}",
+  "rows.align.left": "Left",
+  "rows.align.center": "Centre",
+  "rows.align.right": "Right",
+  "rows.dropNew": "Drag here for a new row above",
+  "rows.limit": "Each row sits on the tallest panel of the row below and is only aligned left, centre or right. L-shapes, offset rows and panels that fill a gap below them are not possible.",
+
+  "summary.totalWidth": "Total width",
+  "summary.inclSeams": "incl. {length} seams",
+
+  "seams.width": "Seam width (mm)",
+  "seams.trim": "Trim",
+  "seams.trimColour": "Trim colour",
+  "seams.motif": "Motif at the seams",
+  "seams.continuous": "Continuous",
+  "seams.shifted": "Shifted",
+  "seams.shiftedHint": "Each panel continues the motif where its neighbour ends – no motif is lost.",
+  "seams.continuousHint": "The motif runs on behind the seam – the seam hides a narrow strip.",
+  "seams.joint": "Seam {left} | {right}",
+
+  "wall.warnSeam": "Lies on the seam between panels {plates}.",
+  "wall.warnOutside": "Extends beyond the edge of panel {nr}.",
+  "wall.warnEdge": "Only {dist} cm from the edge of panel {nr} (min. {min} cm).",
+  "wall.obstacle.rect": "Socket",
+  "wall.obstacle.round": "Pipe",
+  "wall.title": "Wall & cutouts",
+  "wall.width": "Wall width ({unit})",
+  "wall.height": "Wall height ({unit})",
+  "wall.empty": "Add sockets, switches or pipes to calculate the cutouts.",
+  "wall.shape": "Shape",
+  "wall.shape.rect": "Rectangular",
+  "wall.shape.round": "Round",
+  "wall.label": "Label",
+  "wall.remove": "Remove obstacle",
+  "wall.fromLeft": "Centre from left",
+  "wall.fromBottom": "Centre from bottom",
+  "wall.obstacleWidth": "Width",
+  "wall.obstacleHeight": "Height",
+  "wall.noPlate": "Not on any panel – no cutout needed.",
+  "wall.cutout": "Panel {nr}: centre {x} from left, {y} from bottom",
+  "wall.onPlates": "No. {plates}",
+  "wall.onNoPlate": "no panel",
+
+  "quality.good": "Good print quality",
+  "quality.fair": "Limited print quality",
+  "quality.poor": "Resolution too low",
+  "quality.dpi": "approx. {dpi} DPI",
+
+  "preview.dragHint": "Drag to move, scroll to zoom",
+  "preview.exportPng": "Export PNG",
+  "preview.production": "Print data",
+  "preview.specSheet": "Drawing",
+  "preview.dimensions": "Dimensions",
+  "preview.dimensionsPng": "Dimensions in PNG",
+  "preview.crop": "Adjust crop",
+  "preview.allPlates": "All panels",
+
+  "motif.storageFull": "Browser storage is full – the image could not be saved.",
+  "motif.storeFailed": "The image could not be saved.",
+  "motif.custom": "Custom image (uploaded)",
+  "motif.title": "Motif (image)",
+  "motif.mode": "Motif mode",
+  "motif.span": "Across all",
+  "motif.individual": "Per panel",
+  "motif.appliesTo": "Applies to:",
+  "motif.selectHint": "(click a panel in the preview or the list)",
+  "motif.current": "Current motif",
+  "motif.poorHint": "The image has too few pixels for this area and will print blurry. Please use a larger image or reduce the zoom.",
+  "motif.fairHint": "Fine from a normal viewing distance, slightly blurry up close.",
+  "motif.upload": "Upload image from device",
+  "motif.urlPlaceholder": "https://example.com/image.jpg",
+  "motif.url": "Paste image URL",
+  "motif.reset": "Reset to default motif",
+  "motif.help": "You can upload an image (it stays saved) or paste an image URL.",
+
+  "crop.zoom": "Zoom",
+  "crop.rotate": "Rotate",
+  "crop.rotateLeft": "Rotate 90° left",
+  "crop.rotateRight": "Rotate 90° right",
+  "crop.flip": "Mirror",
+  "crop.flipX": "Mirror horizontally",
+  "crop.flipY": "Mirror vertically",
+
+  "production.badBleed": "Bleed: please enter 0–50 mm.",
+  "production.bleed": "Bleed",
+  "production.rendering": "Rendering {done}/{total} …",
+  "production.export": "Print data (ZIP)",
+  "production.tooLarge": "Panel {nr} would need {width}×{height} px at {dpi} DPI – more than the browser can draw. Please choose a lower DPI.",
+
+  "specPanel.title": "Technical drawing",
+  "specPanel.unit": "Drawing unit",
+
+  "config.notFound": "No valid configuration found.",
+  "config.missing": "(missing)",
+  "config.version": "Unsupported version {version} (expected {expected}).",
+  "config.unit": "Unknown unit “{unit}”.",
+  "config.motifMode": "Unknown motif mode “{mode}”.",
+  "config.noPlates": "The configuration contains no panels.",
+  "config.tooMany": "Too many panels: {count} (at most {max}).",
+  "config.width": "Panel {nr}: width {value} cm is not within {min}–{max} cm.",
+  "config.height": "Panel {nr}: height {value} cm is not within {min}–{max} cm.",
+  "config.material": "Panel {nr}: unknown material “{material}”.",
+  "config.row": "Panel {nr}: invalid row “{row}”.",
+  "config.seam": "Seam width {value} mm is not within 0–{max} mm.",
+  "config.motifRef": "Panel {nr}: invalid motif reference.",
+  "config.fill": "Unknown fill mode “{mode}”.",
+  "config.badJson": "The file is not valid JSON.",
+  "config.badFile": "The file is not a panel configuration.",
+  "config.badLink": "The shared link is damaged or incomplete.",
+
+  "transfer.linkCopied": "Link copied.",
+  "transfer.copyLink": "Copy link",
+  "transfer.saved": "Configuration saved.",
+  "transfer.saveFailed": "Saving failed: uploaded motifs could not be read.",
+  "transfer.diagnostics": "Download diagnostics",
+  "transfer.diagnosticsHint": "For support: recent log entries, configuration, browser and storage info as a JSON file",
+  "transfer.diagnosticsFailed": "Diagnostics could not be created.",
+  "transfer.title": "Share & save",
+  "transfer.saveJson": "Save JSON",
+  "transfer.loadJson": "Load JSON",
+  "transfer.localMotifs": "Uploaded motifs are not included in the link – use the JSON file instead.",
+  "transfer.importFailed": "Import failed:",
+
+  "projects.confirmDelete": "Really delete project “{name}”?",
+  "projects.project": "Project",
+  "projects.new": "New",
+  "projects.list": "Projects ({count})",
+  "projects.openNamed": "Open project {name}",
+  "projects.noPreview": "No preview",
+  "projects.name": "Project name",
+  "projects.changed": "Changed {date}",
+  "projects.opened": "Open",
+  "projects.open": "Open",
+  "projects.rename": "Rename",
+  "projects.duplicate": "Duplicate",
+  "projects.delete": "Delete",
+  "projects.copy": "{name} (copy)",
+  "projects.copyN": "{name} (copy {n})",
+  "projects.first": "My project",
+  "projects.shared": "Shared configuration",
+
+  "app.sharedFailed": "The shared link could not be loaded: {message}",
+  "app.sharedOpened": "Shared configuration opened as a new project.",
+  "app.storageFull": "The configuration could not be saved – browser storage is full.",
+  "app.storageLow": "Browser storage almost full ({percent} % used). Remove motifs or projects you no longer need or back up the configuration as JSON.",
+  "app.motifsNotStored": "Uploaded motifs could not be stored in the browser and may be lost on reload.",
+  "app.imported": "Configuration imported.",
+
+  "embed.locale": "Unknown language “{locale}”.",
+  "embed.maxPlates": "Invalid panel limit “{value}”.",
+  "checkout.submit": "Add to cart",
+  "checkout.hint": "Check the configuration and add it to the cart with a preview image",
+  "checkout.preparing": "Preparing order …",
+  "checkout.sending": "Sending …",
+  "checkout.sendingAttempt": "Sending … (attempt {attempt} of {total})",
+  "checkout.done": "Added to cart – order number {orderId}.",
+  "checkout.handedOver": "Handed over to the shop.",
+  "checkout.openCart": "Go to cart",
+  "checkout.retry": "Send again",
+  "checkout.lowQuality": "Note: the motif will print blurry (low resolution).",
+  "checkout.motifMissing": "Panel {nr}: the uploaded motif is no longer stored in this browser. Please upload it again.",
+  "checkout.error.invalid": "This configuration cannot be ordered:",
+  "checkout.error.build": "The order could not be created. Please try again.",
+  "checkout.error.offline": "No internet connection – nothing was sent.",
+  "checkout.error.timeout": "The cart is not responding (timeout).",
+  "checkout.error.network": "The cart cannot be reached.",
+  "checkout.error.server": "The cart is having problems right now. Please try again shortly.",
+  "checkout.error.rejected": "The shop rejected the order.",
+};
+
+export default messages;
@@ -0,0 +1,329 @@
+// src/i18n/messages/fr.js
+// French messages; keys mirror de.js.
+const messages = {
+  "plate.enterNumber": "Veuillez saisir une longueur valide.",
+  "plate.invalidExpression": "Expression invalide",
+  "plate.allowed": "Autorisé {range}",
+  "plate.materialAdjusted": "Dimensions adaptées au matériau.",
+  "plate.dragToReorder": "Glisser pour réordonner",
+  "plate.width": "Largeur",
+  "plate.height": "Hauteur",
+  "plate.materialOf": "Matériau du panneau {nr}",
+  "plate.thicknessOf": "Épaisseur du panneau {nr}",
+  "plate.chooseMotif": "Choisir un motif pour ce panneau",
+  "plate.selectForMotif": "Sélectionner le panneau {nr} pour le motif",
+  "plate.remove": "Supprimer le panneau",
+  "plate.check": "Cocher le panneau {nr} (Maj-clic : plage)",
+  "plate.duplicate": "Dupliquer le panneau",
+
+  "bulk.title": "Modification groupée",
+  "bulk.checked": "{count} sur {total} cochés",
+  "bulk.all": "Tous",
+  "bulk.none": "Aucun",
+  "bulk.width": "Largeur ({unit})",
+  "bulk.height": "Hauteur ({unit})",
+  "bulk.total": "Répartir la largeur totale ({unit})",
+  "bulk.set": "Appliquer",
+  "bulk.distribute": "Répartir",
+  "bulk.duplicate": "Dupliquer",
+  "bulk.delete": "Supprimer",
+  "bulk.confirmDelete": "Supprimer {count} panneaux cochés ?",
+  "bulk.noneChecked": "Aucun panneau coché.",
+  "bulk.tooMany": "{count} copies ne rentrent pas – {max} panneaux au maximum, encore {free} libres.",
+  "bulk.outOfRange": "La dimension ne convient pas au matériau du panneau {nrs}.",
+  "bulk.badTotal": "Veuillez saisir une largeur totale supérieure à 0.",
+  "bulk.distributeRange": "{width} cm par panneau ne convient pas au matériau du panneau {nrs}.",
+  "bulk.keepOne": "Au moins un panneau doit rester.",
+
+  "plateMeta.title": "Panneau (affichage seul)",
+  "plateMeta.reset": "Rétablir les valeurs par défaut",
+  "plateMeta.storageKey": "Enregistré sous :",
+
+  "addon.mounting-kit": "Kit de montage (ruban adhésif + silicone)",
+  "addon.protective-film": "Film de protection",
+  "addon.drill-holes": "Préparer les perçages",
+  "addon.express": "Fabrication express",
+
+  "common.plateNr": "Panneau {nr}",
+  "common.plateProblem": "Panneau {nr} : {problem}",
+  "common.close": "Fermer",
+  "common.auto": "auto",
+  "common.reset": "Réinitialiser",
+  "common.list": "{items} et {last}",
+  "common.apply": "Appliquer",
+  "common.done": "Terminé",
+  "common.exportFailed": "Échec de l’export : {message}",
+
+  "price.title": "Prix",
+  "price.minimum": "Prix minimum",
+  "price.customMotif": "Motif personnalisé",
+  "price.perPlate": "Panneau",
+  "price.total": "Total",
+  "price.vat": "dont {amount} de TVA",
+
+  "material.alu-composite": "Composite aluminium",
+  "material.alu-composite.short": "Composite alu",
+  "material.acrylic": "Verre acrylique",
+  "material.acrylic.short": "Acrylique",
+  "material.pvc-foil": "Film PVC",
+  "material.pvc-foil.short": "PVC",
+  "material.widthRange": "{material} : largeur de {min} à {max} cm autorisée.",
+  "material.heightRange": "{material} : hauteur de {min} à {max} cm autorisée.",
+
+  "finish.gloss": "Brillant",
+  "finish.satin": "Satiné",
+  "finish.matte": "Mat",
+
+  "legend.numbers": "N° {list}",
+
+  "split.equal": "Largeurs égales",
+  "split.fewest": "Le moins de panneaux",
+  "split.seams": "Joints imposés",
+  "split.seamsOutside": "Les positions des joints doivent être comprises entre 0 et {max} cm.",
+  "split.minWidth": "Le mur doit mesurer au moins {min} cm de large.",
+  "split.minHeight": "Le mur doit mesurer au moins {min} cm de haut.",
+  "split.unknown": "Répartition inconnue « {strategy} ».",
+  "split.badCount": "Le nombre doit être un entier d’au moins 1.",
+  "split.badHeight": "La hauteur ne peut pas être divisée en rangées de {min} à {max} cm.",
+  "split.badWidth": "Un panneau ferait {width} cm de large – {material} autorise de {min} à {max} cm.",
+  "split.tooMany": "La répartition nécessiterait {count} panneaux (maximum {max}).",
+
+  "fillWall.badSeams": "Saisissez les positions des joints sous forme de nombres séparés par « ; ».",
+  "fillWall.confirm": "La liste actuelle ({current} panneaux) sera remplacée par {next} nouveaux panneaux. Continuer ?",
+  "fillWall.open": "Remplir le mur …",
+  "fillWall.title": "Remplir le mur",
+  "fillWall.width": "Largeur ({unit})",
+  "fillWall.height": "Hauteur ({unit})",
+  "fillWall.strategy": "Répartition",
+  "fillWall.count": "Panneaux par rangée (vide = le moins possible)",
+  "fillWall.seams": "Joints depuis le bord gauche ({unit}), p. ex. « 120; 260 »",
+  "fillWall.proposal": "{count} panneaux",
+  "fillWall.inRows": "en {rows} rangées",
+
+  "fill.cover": "Remplir",
+  "fill.stretch": "Étirer",
+  "fill.repeat": "Mosaïque",
+  "fill.mirror": "Mosaïque en miroir",
+  "fill.center": "Centré",
+  "fill.title": "Remplissage",
+  "fill.tileWidth": "Carreau L",
+  "fill.tileHeight": "H",
+  "fill.motifWidth": "Largeur du motif",
+  "fill.background": "Arrière-plan",
+  "fill.backgroundColour": "Couleur d’arrière-plan",
+
+  "spec.title": "Plan technique – configuration des panneaux",
+  "spec.totalWidth": "Largeur totale {length}",
+  "spec.totalWidthSeams": "Largeur totale {length} joints compris",
+  "spec.totalHeight": "Hauteur totale {length}",
+  "spec.seams": "Joints {widths} mm",
+  "spec.scale": "Échelle env. 1:{ratio} · cotes en {unit}",
+  "spec.cutouts": "Découpes (pointillés) : centre depuis le bord gauche / inférieur du panneau",
+  "spec.nr": "N°",
+  "spec.width": "Largeur",
+  "spec.height": "Hauteur",
+  "spec.material": "Matériau",
+  "spec.price": "Prix",
+  "spec.extras": "Supplément motif & options",
+  "spec.total": "Total TTC",
+  "spec.motifPlates": "Motif · panneau {plates} · {fill}",
+  "spec.motif": "Motif · {fill}",
+
+  "adjust.brightness": "Luminosité",
+  "adjust.contrast": "Contraste",
+  "adjust.saturation": "Saturation",
+  "adjust.grayscale": "Noir et blanc",
+  "adjust.sepia": "Sépia",
+  "adjust.title": "Ajuster le motif",
+  "adjust.tint": "Teinte",
+  "adjust.tintColour": "Couleur de teinte",
+  "adjust.tintAmount": "Intensité de la teinte",
+  "adjust.opacity": "Opacité",
+
+  "sidebar.titleStrong": "Dimensions.",
+  "sidebar.title": "À saisir.",
+  "sidebar.language": "Langue",
+  "sidebar.history": "Historique",
+  "sidebar.undoHint": "Annuler (Ctrl+Z)",
+  "sidebar.undo": "Annuler",
+  "sidebar.redoHint": "Rétablir (Ctrl+Maj+Z)",
+  "sidebar.redo": "Rétablir",
+  "sidebar.units": "Unités",
+  "sidebar.addRow": "Nouvelle rangée +",
+  "sidebar.addPlate": "Ajouter un panneau +",
+  "sidebar.maxPlates": "{max} panneaux au maximum. Supprimez-en un pour en ajouter un nouveau.",
+
+  "rows.row": "Rangée {nr}",
+  "rows.bottom": "en bas",
+  "rows.top": "en haut",
+  "rows.align": "Alignement de la rangée {nr}",
+  "rows.align.left": "Gauche",
+  "rows.align.center": "Centre",
+  "rows.align.right": "Droite",
+  "rows.dropNew": "Glisser ici pour une nouvelle rangée au-dessus",
+  "rows.limit": "Chaque rangée repose sur le panneau le plus haut de la rangée inférieure et s’aligne seulement à gauche, au centre ou à droite. Les formes en L, les rangées décalées et les panneaux comblant un vide en dessous ne sont pas possibles.",
+
+  "summary.totalWidth": "Largeur totale",
+  "summary.inclSeams": "dont {length} de joints",
+
+  "seams.width": "Largeur des joints (mm)",
+  "seams.trim": "Profilé",
+  "seams.trimColour": "Couleur du profilé",
+  "seams.motif": "Motif aux joints",
+  "seams.continuous": "Continu",
+  "seams.shifted": "Décalé",
+  "seams.shiftedHint": "Chaque panneau reprend le motif là où le voisin s’arrête – aucune perte de motif.",
+  "seams.continuousHint": "Le motif continue derrière le joint – le joint masque une fine bande.",
+  "seams.joint": "Joint {left} | {right}",
+
+  "wall.warnSeam": "Se trouve sur le joint entre les panneaux {plates}.",
+  "wall.warnOutside": "Dépasse le bord du panneau {nr}.",
+  "wall.warnEdge": "Seulement {dist} cm du bord du panneau {nr} (min. {min} cm).",
+  "wall.obstacle.rect": "Prise",
+  "wall.obstacle.round": "Tuyau",
+  "wall.title": "Mur & découpes",
+  "wall.width": "Largeur du mur ({unit})",
+  "wall.height": "Hauteur du mur ({unit})",
+  "wall.empty": "Ajoutez des prises, interrupteurs ou tuyaux pour calculer les découpes.",
+  "wall.shape": "Forme",
+  "wall.shape.rect": "Rectangulaire",
+  "wall.shape.round": "Rond",
+  "wall.label": "Désignation",
+  "wall.remove": "Supprimer l’obstacle",
+  "wall.fromLeft": "Centre depuis la gauche",
+  "wall.fromBottom": "Centre depuis le bas",
+  "wall.obstacleWidth": "Largeur",
+  "wall.obstacleHeight": "Hauteur",
+  "wall.noPlate": "Sur aucun panneau – pas de découpe nécessaire.",
+  "wall.cutout": "Panneau {nr} : centre à {x} de la gauche, {y} du bas",
+  "wall.onPlates": "N° {plates}",
+  "wall.onNoPlate": "aucun panneau",
+
+  "quality.good": "Bonne qualité d’impression",
+  "quality.fair": "Qualité d’impression limitée",
+  "quality.poor": "Résolution trop faible",
+  "quality.dpi": "env. {dpi} DPI",
+
+  "preview.dragHint": "Glisser pour déplacer, molette pour zoomer",
+  "preview.exportPng": "Exporter en PNG",
+  "preview.production": "Données d’impression",
+  "preview.specSheet": "Plan",
+  "preview.dimensions": "Cotes",
+  "preview.dimensionsPng": "Cotes dans le PNG",
+  "preview.crop": "Ajuster le cadrage",
+  "preview.allPlates": "Tous les panneaux",
+
+  "motif.storageFull": "Le stockage du navigateur est plein – l’image n’a pas pu être enregistrée.",
+  "motif.storeFailed": "L’image n’a pas pu être enregistrée.",
+  "motif.custom": "Image personnalisée (importée)",
+  "motif.title": "Motif (image)",
+  "motif.mode": "Mode du motif",
+  "motif.span": "Sur tous",
+  "motif.individual": "Par panneau",
+  "motif.appliesTo": "S’applique à :",
+  "motif.selectHint": "(cliquez sur un panneau dans l’aperçu ou la liste)",
+  "motif.current": "Motif actuel",
+  "motif.poorHint": "L’image a trop peu de pixels pour cette surface et sera floue à l’impression. Utilisez une image plus grande ou réduisez le zoom.",
+  "motif.fairHint": "Correct à distance normale, légèrement flou de près.",
+  "motif.upload": "Importer une image depuis l’appareil",
+  "motif.urlPlaceholder": "https://example.com/image.jpg",
+  "motif.url": "Coller l’URL d’une image",
+  "motif.reset": "Revenir au motif par défaut",
+  "motif.help": "Vous pouvez importer une image (elle reste enregistrée) ou coller l’URL d’une image.",
+
+  "crop.zoom": "Zoom",
+  "crop.rotate": "Rotation",
+  "crop.rotateLeft": "Pivoter de 90° à gauche",
+  "crop.rotateRight": "Pivoter de 90° à droite",
+  "crop.flip": "Miroir",
+  "crop.flipX": "Miroir horizontal",
+  "crop.flipY": "Miroir vertical",
+
+  "production.badBleed": "Fond perdu : saisissez une valeur de 0 à 50 mm.",
+  "production.bleed": "Fond perdu",
+  "production.rendering": "Rendu {done}/{total} …",
+  "production.export": "Données d’impression (ZIP)",
+  "production.tooLarge": "Le panneau {nr} nécessiterait {width}×{height} px à {dpi} DPI – plus que le navigateur ne peut dessiner. Choisissez un DPI plus bas.",
+
+  "specPanel.title": "Plan technique",
+  "specPanel.unit": "Unité du plan",
+
+  "config.notFound": "Aucune configuration valide trouvée.",
+  "config.missing": "(manquant)",
+  "config.version": "Version {version} non prise en charge (attendue : {expected}).",
+  "config.unit": "Unité inconnue « {unit} ».",
+  "config.motifMode": "Mode de motif inconnu « {mode} ».",
+  "config.noPlates": "La configuration ne contient aucun panneau.",
+  "config.tooMany": "Trop de panneaux : {count} (maximum {max}).",
+  "config.width": "Panneau {nr} : la largeur {value} cm n’est pas comprise entre {min} et {max} cm.",
+  "config.height": "Panneau {nr} : la hauteur {value} cm n’est pas comprise entre {min} et {max} cm.",
+  "config.material": "Panneau {nr} : matériau inconnu « {material} ».",
+  "config.row": "Panneau {nr} : rangée invalide « {row} ».",
+  "config.seam": "La largeur de joint {value} mm n’est pas comprise entre 0 et {max} mm.",
+  "config.motifRef": "Panneau {nr} : référence de motif invalide.",
+  "config.fill": "Mode de remplissage inconnu « {mode} ».",
+  "config.badJson": "Le fichier n’est pas un JSON valide.",
+  "config.badFile": "Le fichier n’est pas une configuration de panneaux.",
+  "config.badLink": "Le lien partagé est endommagé ou incomplet.",
+
+  "transfer.linkCopied": "Lien copié.",
+  "transfer.copyLink": "Copier le lien",
+  "transfer.saved": "Configuration enregistrée.",
+  "transfer.saveFailed": "Échec de l’enregistrement : les motifs importés n’ont pas pu être lus.",
+  "transfer.diagnostics": "Télécharger le diagnostic",
+  "transfer.diagnosticsHint": "Pour le support : derniers journaux, configuration, infos navigateur et stockage dans un fichier JSON",
+  "transfer.diagnosticsFailed": "Le diagnostic n’a pas pu être créé.",
+  "transfer.title": "Partager & enregistrer",
+  "transfer.saveJson": "Enregistrer le JSON",
+  "transfer.loadJson": "Charger un JSON",
+  "transfer.localMotifs": "Les motifs importés ne sont pas inclus dans le lien – utilisez le fichier JSON.",
+  "transfer.importFailed": "Échec de l’import :",
+
+  "projects.confirmDelete": "Vraiment supprimer le projet « {name} » ?",
+  "projects.project": "Projet",
+  "projects.new": "Nouveau",
+  "projects.list": "Projets ({count})",
+  "projects.openNamed": "Ouvrir le projet {name}",
+  "projects.noPreview": "Pas d’aperçu",
+  "projects.name": "Nom du projet",
+  "projects.changed": "Modifié le {date}",
+  "projects.opened": "Ouvert",
+  "projects.open": "Ouvrir",
+  "projects.rename": "Renommer",
+  "projects.duplicate": "Dupliquer",
+  "projects.delete": "Supprimer",
+  "projects.copy": "{name} (copie)",
+  "projects.copyN": "{name} (copie {n})",
+  "projects.first": "Mon projet",
+  "projects.shared": "Configuration partagée",
+
+  "app.sharedFailed": "Le lien partagé n’a pas pu être chargé : {message}",
+  "app.sharedOpened": "Configuration partagée ouverte comme nouveau projet.",
+  "app.storageFull": "La configuration n’a pas pu être enregistrée – le stockage du navigateur est plein.",
+  "app.storageLow": "Stockage du navigateur presque plein ({percent} % utilisé). Supprimez les motifs ou projets inutiles ou sauvegardez la configuration en JSON.",
+  "app.motifsNotStored": "Les motifs importés n’ont pas pu être enregistrés dans le navigateur et risquent d’être perdus au rechargement.",
+  "app.imported": "Configuration importée.",
+
+  "embed.locale": "Langue inconnue « {locale} ».",
+  "embed.maxPlates": "Limite de panneaux invalide « {value} ».",
+  "checkout.submit": "Ajouter au panier",
+  "checkout.hint": "Vérifier la configuration et l’ajouter au panier avec un aperçu",
+  "checkout.preparing": "Préparation de la commande …",
+  "checkout.sending": "Envoi …",
+  "checkout.sendingAttempt": "Envoi … (tentative {attempt} sur {total})",
+  "checkout.done": "Ajouté au panier – commande n° {orderId}.",
+  "checkout.handedOver": "Transmis à la boutique.",
+  "checkout.openCart": "Voir le panier",
+  "checkout.retry": "Renvoyer",
+  "checkout.lowQuality": "Remarque : le motif sera flou à l’impression (résolution faible).",
+  "checkout.motifMissing": "Panneau {nr} : le motif importé n’est plus enregistré dans ce navigateur. Veuillez l’importer à nouveau.",
+  "checkout.error.invalid": "Cette configuration ne peut pas être commandée :",
+  "checkout.error.build": "La commande n’a pas pu être créée. Veuillez réessayer.",
+  "checkout.error.offline": "Pas de connexion Internet – rien n’a été envoyé.",
+  "checkout.error.timeout": "Le panier ne répond pas (délai dépassé).",
+  "checkout.error.network": "Le panier est injoignable.",
+  "checkout.error.server": "Le panier rencontre un problème. Veuillez réessayer dans un instant.",
+  "checkout.error.rejected": "La boutique a refusé la commande.",
+};
+
+export default messages;
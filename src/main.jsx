@@ -2,6 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { Logger, createHttpSink } from './utils/logger.js'
+
+// Optional remote log collection: warnings and errors are POSTed to
+// VITE_LOG_ENDPOINT when it is set at build time (see README)
+if (import.meta.env.VITE_LOG_ENDPOINT) {
+  Logger.addSink(createHttpSink({ url: import.meta.env.VITE_LOG_ENDPOINT }))
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,86 @@
+// src/r24-configurator.js
+import { EMBED_EVENTS, HOST_MESSAGES, envelope, hostEventName, isEnvelope } from "./utils/embedProtocol.js";
+
+/**
+ * <r24-configurator> – host side of the embeddable configurator widget.
+ *
+ *   <script src="https://<configurator>/r24-configurator.js" defer></script>
+ *   <r24-configurator
+ *     plates='[{"widthCm":120,"heightCm":60},{"widthCm":90,"heightCm":60}]'
+ *     unit="cm" motif="https://example.com/motif.jpg" max-plates="4" locale="de">
+ *   </r24-configurator>
+ *
+ * - Renders an iframe with embed.html (next to this script, or `src`) and
+ *   passes this page's origin as `?parentOrigin=`; the widget only talks to
+ *   that origin.
+ * - Attributes (plates as JSON, unit, motif, max-plates, locale) or the
+ *   `config` property ({ plates, unit, motifUrl, locale, limits }) are sent
+ *   as the "init" message once the widget reports "ready".
+ * - Widget events are re-dispatched on the element as bubbling DOM events
+ *   "r24:<type>" with the payload as `detail`: r24:plates-changed,
+ *   r24:motif-changed, r24:export-ready, r24:add-to-cart, r24:error
+ *   (payloads: src/utils/embedProtocol.js). "resize" sets the iframe height.
+ *
+ * Shop pages load it as a classic script, so the build bundles it into one
+ * file, dist/r24-configurator.js (see vite.config.js).
+ */
+const scriptUrl = document.currentScript?.src || window.location.href;
+
+class R24Configurator extends HTMLElement {
+  connectedCallback() {
+    if (this.iframe) return;
+    const url = new URL(this.getAttribute("src") || "embed.html", scriptUrl);
+    url.searchParams.set("parentOrigin", window.location.origin);
+    this.widgetOrigin = url.origin;
+
+    this.iframe = document.createElement("iframe");
+    this.iframe.src = url.href;
+    this.iframe.title = this.getAttribute("title") || "Rückwand-Konfigurator";
+    this.iframe.style.cssText = "width:100%;border:0;display:block;min-height:600px";
+    this.iframe.setAttribute("allow", "clipboard-write");
+
+    this.onMessage = (e) => this.handleMessage(e);
+    window.addEventListener("message", this.onMessage);
+    this.appendChild(this.iframe);
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener("message", this.onMessage);
+    this.iframe?.remove();
+    this.iframe = null;
+  }
+
+  // Config from the `config` property, else from the attributes
+  buildConfig() {
+    if (this.config) return this.config;
+    const config = {};
+    const plates = this.getAttribute("plates");
+    if (plates) {
+      try {
+        config.plates = JSON.parse(plates);
+      } catch (err) {
+        console.error("<r24-configurator>: plates attribute is not valid JSON", err);
+      }
+    }
+    if (this.hasAttribute("unit")) config.unit = this.getAttribute("unit");
+    if (this.hasAttribute("motif")) config.motifUrl = this.getAttribute("motif");
+    if (this.hasAttribute("locale")) config.locale = this.getAttribute("locale");
+    if (this.hasAttribute("max-plates")) config.limits = { maxPlates: Number(this.getAttribute("max-plates")) };
+    return config;
+  }
+
+  handleMessage(e) {
+    if (!this.iframe || e.source !== this.iframe.contentWindow || e.origin !== this.widgetOrigin) return;
+    if (!isEnvelope(e.data)) return;
+    const { type, payload } = e.data;
+
+    if (type === EMBED_EVENTS.READY) {
+      e.source.postMessage(envelope(HOST_MESSAGES.INIT, { config: this.buildConfig() }), e.origin);
+    } else if (type === EMBED_EVENTS.RESIZE && payload?.height > 0) {
+      this.iframe.style.height = `${Math.ceil(payload.height)}px`;
+    }
+    this.dispatchEvent(new CustomEvent(hostEventName(type), { detail: payload, bubbles: true }));
+  }
+}
+
+if (!customElements.get("r24-configurator")) customElements.define("r24-configurator", R24Configurator);
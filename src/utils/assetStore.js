@@ -0,0 +1,214 @@
+// src/utils/assetStore.js
+import { MOTIF_ASSET_PREFIX, STORAGE_WARN_RATIO } from "../constants/config.js";
+import { Logger } from "./logger.js";
+
+/**
+ * Motif asset store (IndexedDB).
+ *
+ * Uploaded images are stored once as Blobs; plates only keep a reference
+ * `asset:<id>`, so localStorage stays small no matter how many plates use
+ * the same photo. Ids are content hashes, so storing the same image twice
+ * (e.g. migrating ten plates with identical data URLs) yields one asset.
+ *
+ * Records: { id, blob, type, size, createdAt }.
+ */
+
+const DB_NAME = "r24-motif-assets";
+const DB_VERSION = 1;
+const STORE = "assets";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) {
+          req.result.createObjectStore(STORE, { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Run `fn(store)` in a transaction; resolves with the request's result
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+/** True if `url` is a remote image (http/https), e.g. a catalog motif. */
+export function isRemoteUrl(url) {
+  return typeof url === "string" && /^https?:\/\//i.test(url);
+}
+
+/** True if `url` is an inline image (data:image/…), not yet in the store. */
+export function isDataImage(url) {
+  return typeof url === "string" && url.startsWith("data:image/");
+}
+
+/** True if `url` is an asset reference (`asset:<id>`). */
+export function isAssetRef(url) {
+  return typeof url === "string" && url.startsWith(MOTIF_ASSET_PREFIX);
+}
+
+/** Asset id of a reference (or null). */
+export function assetIdOf(url) {
+  return isAssetRef(url) ? url.slice(MOTIF_ASSET_PREFIX.length) : null;
+}
+
+/** Reference string for an asset id. */
+export function assetRef(id) {
+  return `${MOTIF_ASSET_PREFIX}${id}`;
+}
+
+async function hashBlob(blob) {
+  try {
+    const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest).slice(0, 16), (b) => b.toString(16).padStart(2, "0")).join("");
+  } catch {
+    // crypto.subtle needs a secure context; fall back to a random id
+    return crypto.randomUUID();
+  }
+}
+
+/** Store an image Blob/File; resolves with its reference (`asset:<id>`). */
+export async function putMotifAsset(blob) {
+  const id = await hashBlob(blob);
+  await withStore("readwrite", (store) =>
+    store.put({ id, blob, type: blob.type, size: blob.size, createdAt: Date.now() })
+  );
+  Logger.info("Motif asset stored", { id, size: blob.size });
+  return assetRef(id);
+}
+
+/** Blob of an asset, or null if it does not exist (anymore). */
+export async function getMotifAsset(id) {
+  const record = await withStore("readonly", (store) => store.get(id));
+  return record?.blob ?? null;
+}
+
+/**
+ * Delete every asset not in `usedIds` (iterable of ids). Only assets stored
+ * before `before` (ms timestamp) are considered, so uploads/migrations that
+ * happen while collecting are never removed. Resolves with the count.
+ */
+export async function collectUnusedAssets(usedIds, { before = Date.now() } = {}) {
+  const used = new Set(usedIds);
+  let count = 0;
+  await withStore("readwrite", (store) => {
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      const { id, createdAt = 0 } = cursor.value;
+      if (!used.has(id) && createdAt < before) {
+        cursor.delete();
+        count += 1;
+      }
+      cursor.continue();
+    };
+    return req;
+  });
+  if (count) Logger.info("Unused motif assets removed", { count });
+  return count;
+}
+
+/** Ids referenced by a list of plates. */
+export function assetIdsOf(plates) {
+  return (Array.isArray(plates) ? plates : []).map((p) => assetIdOf(p?.motifUrl)).filter(Boolean);
+}
+
+// --- Data URL conversion ---------------------------------------------------------
+
+/** Convert a data: URL to a Blob. */
+export async function dataUrlToBlob(dataUrl) {
+  const res = await fetch(dataUrl);
+  return res.blob();
+}
+
+/** Read a Blob as a data: URL (for JSON export). */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Move every data: URL motif of `plates` into the store.
+ * Resolves with a map dataUrl -> asset reference (empty if there were none).
+ */
+export async function migrateDataUrlMotifs(plates) {
+  const dataUrls = new Set(
+    (Array.isArray(plates) ? plates : [])
+      .map((p) => p?.motifUrl)
+      .filter(isDataImage)
+  );
+  const mapping = {};
+  for (const url of dataUrls) {
+    mapping[url] = await putMotifAsset(await dataUrlToBlob(url));
+  }
+  if (dataUrls.size) Logger.info("Migrated data URL motifs to IndexedDB", { count: dataUrls.size });
+  return mapping;
+}
+
+/**
+ * Replace asset references with data: URLs, e.g. for a self-contained JSON
+ * file. Missing assets are left as they are (validation will flag them).
+ */
+export async function inlineMotifAssets(plates) {
+  const cache = new Map();
+  const out = [];
+  for (const p of plates) {
+    const id = assetIdOf(p?.motifUrl);
+    if (!id) {
+      out.push(p);
+      continue;
+    }
+    if (!cache.has(id)) {
+      const blob = await getMotifAsset(id);
+      cache.set(id, blob ? await blobToDataUrl(blob) : p.motifUrl);
+    }
+    out.push({ ...p, motifUrl: cache.get(id) });
+  }
+  return out;
+}
+
+// --- Storage usage -----------------------------------------------------------------
+
+/**
+ * Storage usage of this site: { usage, quota, ratio, low } in bytes, or null
+ * if the browser cannot tell. `low` is true above STORAGE_WARN_RATIO.
+ */
+export async function estimateStorage() {
+  try {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const ratio = quota > 0 ? usage / quota : 0;
+    return { usage, quota, ratio, low: ratio >= STORAGE_WARN_RATIO };
+  } catch (err) {
+    Logger.warn("Storage estimate failed", err);
+    return null;
+  }
+}
@@ -0,0 +1,88 @@
+// src/utils/bulkEdit.js
+import { MAX_PLATES } from "../constants/limits.js";
+import { getMaterial } from "./materials.js";
+import { equalParts } from "./wallSplit.js";
+import { listMessage, message } from "../i18n/index.js";
+
+/**
+ * Batch operations on the plates checked in the list (`ids`).
+ * Every function is pure and returns { plates } (the whole new list) or
+ * { error } with a user-facing i18n message; the list order and rows are
+ * kept (App renumbers rows after deletions).
+ * - duplicatePlates: a copy right after each plate, within `maxPlates`
+ *   (default MAX_PLATES)
+ * - setPlateSize: one width and/or height for all, checked against each
+ *   plate's material range
+ * - distributeWidth: a total (plate widths only, without seams) split
+ *   into equal whole-mm widths
+ * - removePlates: delete, but never the last plate
+ */
+
+// "1, 3 und 4" from plate indexes
+function plateNumbers(plates, ids) {
+  return listMessage(plates.flatMap((p, i) => (ids.includes(p.id) ? [i + 1] : [])));
+}
+
+// Plates whose material does not allow `widthCm` / `heightCm`
+function outOfRange(plates, { widthCm, heightCm }) {
+  return plates.filter((p) => {
+    const m = getMaterial(p.materialId);
+    const w = widthCm ?? p.widthCm;
+    const h = heightCm ?? p.heightCm;
+    return w < m.widthMin || w > m.widthMax || h < m.heightMin || h > m.heightMax;
+  });
+}
+
+/** Insert a copy (new id) right after each plate in `ids`. */
+export function duplicatePlates(plates, ids, maxPlates = MAX_PLATES) {
+  const count = plates.filter((p) => ids.includes(p.id)).length;
+  if (!count) return { error: message("bulk.noneChecked") };
+  if (plates.length + count > maxPlates) {
+    return { error: message("bulk.tooMany", { count, max: maxPlates, free: maxPlates - plates.length }) };
+  }
+  return {
+    plates: plates.flatMap((p) => (ids.includes(p.id) ? [p, { ...p, id: crypto.randomUUID() }] : [p])),
+  };
+}
+
+/** Give all plates in `ids` the same `widthCm` and/or `heightCm`. */
+export function setPlateSize(plates, ids, { widthCm, heightCm }) {
+  const checked = plates.filter((p) => ids.includes(p.id));
+  if (!checked.length) return { error: message("bulk.noneChecked") };
+  const size = {};
+  if (widthCm !== undefined) size.widthCm = widthCm;
+  if (heightCm !== undefined) size.heightCm = heightCm;
+  const bad = outOfRange(checked, size);
+  if (bad.length) {
+    return { error: message("bulk.outOfRange", { nrs: plateNumbers(plates, bad.map((p) => p.id)) }) };
+  }
+  return { plates: plates.map((p) => (ids.includes(p.id) ? { ...p, ...size } : p)) };
+}
+
+/** Split `totalCm` evenly (whole mm) over the widths of the plates in `ids`. */
+export function distributeWidth(plates, ids, totalCm) {
+  const checked = plates.filter((p) => ids.includes(p.id));
+  if (!checked.length) return { error: message("bulk.noneChecked") };
+  const totalMm = Math.round(Number(totalCm) * 10);
+  if (!(totalMm > 0)) return { error: message("bulk.badTotal") };
+  const widths = equalParts(totalMm, checked.length);
+  const next = new Map(checked.map((p, i) => [p.id, { ...p, widthCm: widths[i] / 10 }]));
+  const bad = outOfRange([...next.values()], {});
+  if (bad.length) {
+    return {
+      error: message("bulk.distributeRange", {
+        width: widths[0] / 10,
+        nrs: plateNumbers(plates, bad.map((p) => p.id)),
+      }),
+    };
+  }
+  return { plates: plates.map((p) => next.get(p.id) ?? p) };
+}
+
+/** Remove the plates in `ids`; at least one plate always remains. */
+export function removePlates(plates, ids) {
+  const rest = plates.filter((p) => !ids.includes(p.id));
+  if (rest.length === plates.length) return { error: message("bulk.noneChecked") };
+  if (!rest.length) return { error: message("bulk.keepOne") };
+  return { plates: rest };
+}
@@ -0,0 +1,477 @@
+// src/utils/configTransfer.js
+import {
+  WIDTH_MIN,
+  WIDTH_MAX,
+  HEIGHT_MIN,
+  HEIGHT_MAX,
+  MAX_PLATES,
+} from "../constants/limits.js";
+import {
+  DEFAULT_MOTIF_URL,
+  SEAM_MAX_MM,
+  SEAM_MOTIF_SHIFTED,
+  MOTIF_MODE_SPAN,
+  MOTIF_MODE_INDIVIDUAL,
+} from "../constants/config.js";
+import { MATERIALS, DEFAULT_MATERIAL_ID } from "../constants/materials.js";
+import { normalizeCrop } from "./motifCrop.js";
+import { getMaterial, materialSizeError, normalizePlateMaterial } from "./materials.js";
+import { normalizeWall } from "./wallContext.js";
+import { FILL_MODES, legacyFill, normalizeFill } from "./motifFill.js";
+import { isNeutralAdjust, normalizeAdjust } from "./motifAdjust.js";
+import { UNITS } from "./units.js";
+import { isAssetRef, isDataImage, isRemoteUrl } from "./assetStore.js";
+import {
+  computePlateLayout,
+  flattenPlateRows,
+  groupPlatesByRow,
+  normalizeRow,
+  normalizeSeams,
+  plateRow,
+} from "./plateLayout.js";
+import { message, translate } from "../i18n/index.js";
+
+/**
+ * Configuration transfer: share links and JSON files.
+ *
+ * Both formats are versioned and go through the same validator, so a
+ * configuration is only ever applied if every plate fits `limits.js` and
+ * the size range of its material.
+ *
+ * - JSON file: readable, full field names, includes uploaded motifs.
+ * - Share link: compact form in the URL hash (`#config=...`, base64url).
+ *   Uploaded motifs (data: URLs or `asset:` references into this browser's
+ *   IndexedDB) cannot travel in a URL and are replaced by the default
+ *   motif; `hasLocalMotifs()` tells the UI to warn about that.
+ * - Before writing a JSON file, asset references are inlined as data: URLs
+ *   (assetStore.inlineMotifAssets); imported data: URLs are moved back into
+ *   the asset store by App.
+ */
+
+export const CONFIG_VERSION = 1;
+export const CONFIG_FILE_TYPE = "r24-plate-config";
+// Share link format; 2 adds the wall context (`w`), 1 links still open
+const SHARE_VERSION = 2;
+const SHARE_VERSIONS = [1, SHARE_VERSION];
+const HASH_PARAM = "config";
+
+const MOTIF_MODES = [MOTIF_MODE_SPAN, MOTIF_MODE_INDIVIDUAL];
+
+/**
+ * Thrown when imported data is not a valid configuration; `errors` lists
+ * every problem as i18n messages (`translate` them for display).
+ */
+export class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(translate(errors));
+    this.name = "ConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+const missing = () => message("config.missing");
+
+/** True if any plate uses an uploaded motif (data: or asset:) that cannot travel in a link. */
+export function hasLocalMotifs(plates) {
+  return (Array.isArray(plates) ? plates : []).some(
+    (p) => isDataImage(p?.motifUrl) || isAssetRef(p?.motifUrl)
+  );
+}
+
+// --- Validation ---------------------------------------------------------------
+
+/**
+ * Validate a full-form configuration object and return a clean copy:
+ * { unit, motifMode, plates, rows, seams, motifFill, motifAdjust, wall? }
+ * with plates [{ id, widthCm, heightCm, motifUrl, motifCrop, materialId,
+ * thicknessMm, row, seamRightMm }] ordered row by row.
+ *
+ * Fields older files may lack fall back to:
+ * - unit: "cm"; motifMode: MOTIF_MODE_SPAN
+ * - plate material: the default material (and its thickness)
+ * - plate row: 0 (bottom row); rows: default alignment (normalizeRow)
+ * - plate motif: the default motif
+ * - seams: none
+ * - motifFill: the mirror tiling older versions showed
+ * - motifAdjust: none
+ * `wall` (wall context with obstacles) is only present if the file has one.
+ *
+ * `maxPlates` lowers the plate limit (embedded widget; default MAX_PLATES).
+ * Throws ConfigValidationError.
+ */
+export function validateConfig(raw, { maxPlates = MAX_PLATES } = {}) {
+  const errors = [];
+  if (!raw || typeof raw !== "object") {
+    throw new ConfigValidationError([message("config.notFound")]);
+  }
+  if (raw.version !== CONFIG_VERSION) {
+    errors.push(message("config.version", { version: raw.version ?? missing(), expected: CONFIG_VERSION }));
+  }
+
+  const unit = raw.unit ?? "cm";
+  if (!UNITS.includes(unit)) errors.push(message("config.unit", { unit }));
+
+  const motifMode = raw.motifMode ?? MOTIF_MODE_SPAN;
+  if (!MOTIF_MODES.includes(motifMode)) errors.push(message("config.motifMode", { mode: motifMode }));
+
+  const list = raw.plates;
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(message("config.noPlates"));
+  } else if (list.length > maxPlates) {
+    errors.push(message("config.tooMany", { count: list.length, max: maxPlates }));
+  }
+
+  const plates = (Array.isArray(list) ? list : []).slice(0, maxPlates).map((p, i) => {
+    const nr = i + 1;
+    const widthCm = Number(p?.widthCm);
+    const heightCm = Number(p?.heightCm);
+    if (!Number.isFinite(widthCm) || widthCm < WIDTH_MIN || widthCm > WIDTH_MAX) {
+      errors.push(message("config.width", { nr, value: p?.widthCm ?? missing(), min: WIDTH_MIN, max: WIDTH_MAX }));
+    }
+    if (!Number.isFinite(heightCm) || heightCm < HEIGHT_MIN || heightCm > HEIGHT_MAX) {
+      errors.push(message("config.height", { nr, value: p?.heightCm ?? missing(), min: HEIGHT_MIN, max: HEIGHT_MAX }));
+    }
+    if (p?.materialId !== undefined && !MATERIALS.some((m) => m.id === p.materialId)) {
+      errors.push(message("config.material", { nr, material: p.materialId }));
+    }
+    const withMaterial = normalizePlateMaterial({ widthCm, heightCm, materialId: p?.materialId, thicknessMm: p?.thicknessMm });
+    const sizeError = Number.isFinite(widthCm) && Number.isFinite(heightCm) && materialSizeError(withMaterial);
+    if (sizeError) errors.push(message("common.plateProblem", { nr, problem: sizeError }));
+    const row = p?.row ?? 0;
+    if (!Number.isInteger(row) || row < 0 || row >= maxPlates) {
+      errors.push(message("config.row", { nr, row: p?.row }));
+    }
+    const seamRightMm = p?.seamRightMm ?? null;
+    if (seamRightMm !== null && !(Number.isFinite(seamRightMm) && seamRightMm >= 0 && seamRightMm <= SEAM_MAX_MM)) {
+      errors.push(message("common.plateProblem", { nr, problem: message("config.seam", { value: seamRightMm, max: SEAM_MAX_MM }) }));
+    }
+    let motifUrl = p?.motifUrl ?? DEFAULT_MOTIF_URL;
+    if (!isRemoteUrl(motifUrl) && !isDataImage(motifUrl)) {
+      errors.push(message("config.motifRef", { nr }));
+      motifUrl = DEFAULT_MOTIF_URL;
+    }
+    return {
+      id: crypto.randomUUID(),
+      widthCm,
+      heightCm,
+      motifUrl,
+      motifCrop: normalizeCrop(p?.motifCrop),
+      materialId: withMaterial.materialId,
+      thicknessMm: withMaterial.thicknessMm,
+      row: plateRow({ row }),
+      seamRightMm,
+    };
+  });
+
+  const seamWidthMm = raw.seams?.widthMm ?? 0;
+  if (!(Number.isFinite(seamWidthMm) && seamWidthMm >= 0 && seamWidthMm <= SEAM_MAX_MM)) {
+    errors.push(message("config.seam", { value: seamWidthMm, max: SEAM_MAX_MM }));
+  }
+  if (raw.motifFill !== undefined && !FILL_MODES.includes(raw.motifFill?.mode)) {
+    errors.push(message("config.fill", { mode: raw.motifFill?.mode ?? missing() }));
+  }
+
+  if (errors.length) throw new ConfigValidationError(errors);
+  const seams = normalizeSeams(raw.seams);
+  const stacked = flattenPlateRows(
+    groupPlatesByRow(plates),
+    Array.isArray(raw.rows) ? raw.rows : []
+  );
+  const motifFill =
+    raw.motifFill !== undefined
+      ? normalizeFill(raw.motifFill)
+      : legacyFill(
+          computePlateLayout(stacked.plates, stacked.rows, seams).motifWidthCm,
+          motifMode === MOTIF_MODE_SPAN
+        );
+  const wall = raw.wall && typeof raw.wall === "object" ? normalizeWall(raw.wall) : undefined;
+  const motifAdjust = normalizeAdjust(raw.motifAdjust);
+  return { unit, motifMode, plates: stacked.plates, rows: stacked.rows, seams, motifFill, motifAdjust, wall };
+}
+
+// --- JSON file ----------------------------------------------------------------
+
+/** Full-form, human-readable configuration for download. */
+export function toConfigFile({ plates, rows = [], seams, motifFill, motifAdjust, unit, motifMode, wall }) {
+  return {
+    type: CONFIG_FILE_TYPE,
+    version: CONFIG_VERSION,
+    exportedAt: new Date().toISOString(),
+    unit,
+    motifMode,
+    plates: plates.map((p) => ({
+      widthCm: p.widthCm,
+      heightCm: p.heightCm,
+      motifUrl: p.motifUrl,
+      motifCrop: normalizeCrop(p.motifCrop),
+      materialId: p.materialId,
+      thicknessMm: p.thicknessMm,
+      row: plateRow(p),
+      seamRightMm: p.seamRightMm ?? null,
+    })),
+    rows: groupPlatesByRow(plates).map((_, i) => normalizeRow(rows[i])),
+    seams: normalizeSeams(seams),
+    motifFill: normalizeFill(motifFill),
+    motifAdjust: normalizeAdjust(motifAdjust),
+    ...(wall ? { wall } : {}),
+  };
+}
+
+/** Parse + validate the text of an uploaded JSON file (`options`: see validateConfig). */
+export function parseConfigFile(text, options) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new ConfigValidationError([message("config.badJson")]);
+  }
+  if (raw?.type !== CONFIG_FILE_TYPE) {
+    throw new ConfigValidationError([message("config.badFile")]);
+  }
+  return validateConfig(raw, options);
+}
+
+// --- Share link (compact) -----------------------------------------------------
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+// Crop as [focusX, focusY, zoom, rotation, flags] (flags: 1 = flipX, 2 = flipY)
+function packCrop(crop) {
+  const c = normalizeCrop(crop);
+  const flags = (c.flipX ? 1 : 0) | (c.flipY ? 2 : 0);
+  const isDefault =
+    c.focusX === 0.5 && c.focusY === 0.5 && c.zoom === 1 && c.rotation === 0 && flags === 0;
+  return isDefault ? undefined : [round3(c.focusX), round3(c.focusY), round3(c.zoom), c.rotation, flags];
+}
+
+function unpackCrop(arr) {
+  if (!Array.isArray(arr)) return undefined;
+  const [focusX, focusY, zoom, rotation, flags = 0] = arr;
+  return { focusX, focusY, zoom, rotation, flipX: (flags & 1) === 1, flipY: (flags & 2) === 2 };
+}
+
+/**
+ * Compact form: { v, u, mm, m: [motifUrl...], p: [[w, h, motifIdx, crop?, materialId?, thicknessMm?]...] }.
+ * Motifs are de-duplicated; the default motif is index -1 (not spelled out)
+ * and uploaded motifs fall back to it. The crop slot is null when a
+ * non-default material follows; the default material is left out.
+ * Stacked layouts add `r: [row...]` (row per plate) and `ra: [align...]`
+ * (per row); both are left out for a single left-aligned row. Seams add
+ * `s: [widthMm, trimColor | 0, shifted ? 1 : 0]` and per-joint widths
+ * `sj: [[plateIdx, mm]...]`, both only when set. The fill is always
+ * written as `f: [modeIdx, tileWidthCm | 0, tileHeightCm | 0, background]`
+ * (links without it predate fill modes and get the legacy fill).
+ * Adjustments add `a: [brightness, contrast, saturation, grayscale, sepia,
+ * tint | 0, tintAmount, opacity, background]` unless neutral. An enabled
+ * wall context adds `w: [widthCm, heightCm, [[round ? 1 : 0, xCm, yCm,
+ * widthCm, heightCm, label?]...]]`. `v` is SHARE_VERSION, not the file's
+ * CONFIG_VERSION.
+ */
+export function toCompactConfig({ plates, rows = [], seams, motifFill, motifAdjust, unit, motifMode, wall }) {
+  const motifs = [];
+  const p = plates.map((pl) => {
+    const url = isRemoteUrl(pl.motifUrl) ? pl.motifUrl : DEFAULT_MOTIF_URL;
+    let idx = url === DEFAULT_MOTIF_URL ? -1 : motifs.indexOf(url);
+    if (idx < 0 && url !== DEFAULT_MOTIF_URL) idx = motifs.push(url) - 1;
+    const row = [pl.widthCm, pl.heightCm, idx];
+    const crop = packCrop(pl.motifCrop);
+    const { materialId, thicknessMm } = normalizePlateMaterial(pl);
+    const isDefaultMaterial =
+      materialId === DEFAULT_MATERIAL_ID && thicknessMm === getMaterial(materialId).thicknessesMm[0];
+    if (crop || !isDefaultMaterial) row.push(crop ?? null);
+    if (!isDefaultMaterial) row.push(materialId, thicknessMm);
+    return row;
+  });
+  const plateRows = plates.map(plateRow);
+  const aligns = groupPlatesByRow(plates).map((_, i) => normalizeRow(rows[i]).align);
+  return {
+    v: SHARE_VERSION,
+    u: unit,
+    mm: motifMode,
+    m: motifs,
+    p,
+    ...(plateRows.some((r) => r > 0) ? { r: plateRows } : {}),
+    ...(aligns.some((a) => a !== "left") ? { ra: aligns } : {}),
+    ...packSeams(plates, seams),
+    f: packFill(motifFill),
+    ...(isNeutralAdjust(motifAdjust) ? {} : { a: packAdjust(motifAdjust) }),
+    ...(wall?.enabled ? { w: packWall(wall) } : {}),
+  };
+}
+
+function packWall(wall) {
+  const w = normalizeWall(wall);
+  const obstacles = w.obstacles.map((o) => {
+    const entry = [o.shape === "round" ? 1 : 0, round3(o.xCm), round3(o.yCm), round3(o.widthCm), round3(o.heightCm)];
+    if (o.label) entry.push(o.label);
+    return entry;
+  });
+  return [round3(w.widthCm), round3(w.heightCm), obstacles];
+}
+
+function unpackWall(arr) {
+  if (!Array.isArray(arr)) return undefined;
+  const [widthCm, heightCm, obstacles] = arr;
+  return {
+    enabled: true,
+    widthCm,
+    heightCm,
+    obstacles: (Array.isArray(obstacles) ? obstacles : []).filter(Array.isArray).map(
+      ([round, xCm, yCm, obstacleWidthCm, obstacleHeightCm, label]) => ({
+        shape: round === 1 ? "round" : "rect",
+        label,
+        xCm,
+        yCm,
+        widthCm: obstacleWidthCm,
+        heightCm: obstacleHeightCm,
+      })
+    ),
+  };
+}
+
+function packAdjust(adjust) {
+  const a = normalizeAdjust(adjust);
+  return [
+    round3(a.brightness),
+    round3(a.contrast),
+    round3(a.saturation),
+    round3(a.grayscale),
+    round3(a.sepia),
+    a.tint || 0,
+    round3(a.tintAmount),
+    round3(a.opacity),
+    a.background,
+  ];
+}
+
+function unpackAdjust(arr) {
+  if (!Array.isArray(arr)) return undefined;
+  const [brightness, contrast, saturation, grayscale, sepia, tint, tintAmount, opacity, background] = arr;
+  return { brightness, contrast, saturation, grayscale, sepia, tint: tint || null, tintAmount, opacity, background };
+}
+
+function packFill(fill) {
+  const f = normalizeFill(fill);
+  return [FILL_MODES.indexOf(f.mode), f.tileWidthCm ?? 0, f.tileHeightCm ?? 0, f.background];
+}
+
+function unpackFill(arr) {
+  if (!Array.isArray(arr)) return undefined;
+  const [mode, tileWidthCm, tileHeightCm, background] = arr;
+  return {
+    mode: FILL_MODES[mode] ?? mode,
+    tileWidthCm: tileWidthCm || null,
+    tileHeightCm: tileHeightCm || null,
+    background,
+  };
+}
+
+function packSeams(plates, seams) {
+  const s = normalizeSeams(seams);
+  const joints = plates
+    .map((pl, i) => [i, pl.seamRightMm])
+    .filter(([, mm]) => mm !== null && mm !== undefined);
+  const isDefault = s.widthMm === 0 && s.trimColor === null && s.motif !== SEAM_MOTIF_SHIFTED;
+  return {
+    ...(isDefault ? {} : { s: [s.widthMm, s.trimColor || 0, s.motif === SEAM_MOTIF_SHIFTED ? 1 : 0] }),
+    ...(joints.length ? { sj: joints } : {}),
+  };
+}
+
+function unpackSeams(arr) {
+  if (!Array.isArray(arr)) return undefined;
+  const [widthMm, trimColor, shifted] = arr;
+  return { widthMm, trimColor: trimColor || null, motif: shifted === 1 ? SEAM_MOTIF_SHIFTED : undefined };
+}
+
+/** Expand the compact form to the full form (validation happens afterwards). */
+export function fromCompactConfig(c) {
+  if (!c || typeof c !== "object") return null;
+  const motifs = Array.isArray(c.m) ? c.m : [];
+  const jointMm = new Map(Array.isArray(c.sj) ? c.sj.filter(Array.isArray) : []);
+  return {
+    // the link format is versioned separately from the file format
+    version: SHARE_VERSIONS.includes(c.v) ? CONFIG_VERSION : c.v,
+    unit: c.u,
+    motifMode: c.mm,
+    plates: Array.isArray(c.p)
+      ? c.p.map((row, i) => ({
+          widthCm: row?.[0],
+          heightCm: row?.[1],
+          motifUrl: row?.[2] === -1 ? DEFAULT_MOTIF_URL : motifs[row?.[2]],
+          motifCrop: unpackCrop(row?.[3]),
+          materialId: row?.[4],
+          thicknessMm: row?.[5],
+          row: Array.isArray(c.r) ? c.r[i] : undefined,
+          seamRightMm: jointMm.get(i),
+        }))
+      : undefined,
+    rows: Array.isArray(c.ra) ? c.ra.map((align) => ({ align })) : undefined,
+    seams: unpackSeams(c.s),
+    motifFill: unpackFill(c.f),
+    motifAdjust: unpackAdjust(c.a),
+    wall: unpackWall(c.w),
+  };
+}
+
+// UTF-8 safe base64url
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str);
+  let bin = "";
+  bytes.forEach((b) => {
+    bin += String.fromCharCode(b);
+  });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, (ch) => ch.charCodeAt(0)));
+}
+
+/** Shareable URL for the current page with the configuration in the hash. */
+export function buildShareUrl(config, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.hash = `${HASH_PARAM}=${toBase64Url(JSON.stringify(toCompactConfig(config)))}`;
+  return url.toString();
+}
+
+/** Decode + validate the payload of a share link hash. */
+export function parseShareHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const payload = params.get(HASH_PARAM);
+  if (!payload) return null;
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(payload));
+  } catch {
+    throw new ConfigValidationError([message("config.badLink")]);
+  }
+  if (!SHARE_VERSIONS.includes(compact?.v)) {
+    throw new ConfigValidationError([message("config.version", { version: compact?.v ?? missing(), expected: SHARE_VERSION })]);
+  }
+  return validateConfig(fromCompactConfig(compact));
+}
+
+let sharedOnLoad = null;
+
+/**
+ * Read a shared configuration from `window.location.hash` once on load.
+ * Returns { config } or { error } (or {} if there is none) and removes the
+ * hash so a reload does not re-import it over later edits. The result is
+ * cached, so repeated calls (e.g. StrictMode double init) agree.
+ */
+export function readSharedConfigFromUrl() {
+  if (sharedOnLoad) return sharedOnLoad;
+  try {
+    const config = parseShareHash(window.location.hash);
+    sharedOnLoad = config ? { config } : {};
+  } catch (error) {
+    sharedOnLoad = { error };
+  }
+  if (window.location.hash.includes(`${HASH_PARAM}=`)) {
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  }
+  return sharedOnLoad;
+}
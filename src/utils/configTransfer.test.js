@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildShareUrl, parseShareHash } from "./configTransfer.js";
+
+const BASE = "https://example.com/";
+
+const config = (extra) => ({
+  unit: "cm",
+  motifMode: "span",
+  plates: [{ widthCm: 100, heightCm: 60, motifUrl: "https://example.com/motif.jpg" }],
+  ...extra,
+});
+
+const hashOf = (url) => new URL(url).hash;
+const encode = (compact) =>
+  `#config=${btoa(JSON.stringify(compact)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+
+test("share link carries the wall context", () => {
+  const wall = {
+    enabled: true,
+    widthCm: 250,
+    heightCm: 120,
+    obstacles: [
+      { shape: "round", label: "Steckdose", xCm: 20, yCm: 30, widthCm: 6 },
+      { shape: "rect", xCm: 50.25, yCm: 40, widthCm: 8, heightCm: 10 },
+    ],
+  };
+  const parsed = parseShareHash(hashOf(buildShareUrl(config({ wall }), BASE)));
+  assert.deepEqual(
+    parsed.wall.obstacles.map((o) => ({ ...o, id: undefined })),
+    [
+      { id: undefined, shape: "round", label: "Steckdose", xCm: 20, yCm: 30, widthCm: 6, heightCm: 6 },
+      { id: undefined, shape: "rect", label: "", xCm: 50.25, yCm: 40, widthCm: 8, heightCm: 10 },
+    ]
+  );
+  assert.equal(parsed.wall.enabled, true);
+  assert.equal(parsed.wall.widthCm, 250);
+});
+
+test("share link leaves out a disabled wall", () => {
+  const wall = { enabled: false, widthCm: 250, heightCm: 120, obstacles: [] };
+  assert.equal(parseShareHash(hashOf(buildShareUrl(config({ wall }), BASE))).wall, undefined);
+});
+
+test("version 1 links still open, unknown versions are rejected", () => {
+  const compact = { v: 1, u: "cm", mm: "span", m: [], p: [[100, 60, -1]] };
+  assert.equal(parseShareHash(encode(compact)).plates[0].widthCm, 100);
+  assert.throws(() => parseShareHash(encode({ ...compact, v: 3 })), { name: "ConfigValidationError" });
+});
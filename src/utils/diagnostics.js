@@ -0,0 +1,88 @@
+// src/utils/diagnostics.js
+import { Logger, serializeLogData } from "./logger.js";
+import { downloadBlob } from "./download.js";
+import { getLocale } from "../i18n/index.js";
+
+/**
+ * Diagnostics bundle for support ("export doesn't work"): one JSON file
+ * with the recent log entries (Logger ring buffer), the current editor
+ * state (plates, rows, seams, …), browser info and storage usage.
+ * - Long strings (data: URLs of motifs) are shortened, see serializeLogData.
+ * - Storage: localStorage per key (characters) and, where supported, the
+ *   origin's usage / quota from navigator.storage.estimate (includes the
+ *   IndexedDB motif assets).
+ */
+
+export const DIAGNOSTICS_FILE_TYPE = "r24-diagnostics";
+export const DIAGNOSTICS_VERSION = 1;
+
+function browserInfo() {
+  const nav = typeof navigator !== "undefined" ? navigator : {};
+  return {
+    userAgent: nav.userAgent,
+    languages: nav.languages ? [...nav.languages] : [nav.language],
+    platform: nav.userAgentData?.platform ?? nav.platform,
+    online: nav.onLine,
+    cookieEnabled: nav.cookieEnabled,
+    hardwareConcurrency: nav.hardwareConcurrency,
+    deviceMemoryGb: nav.deviceMemory,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    screen: typeof screen !== "undefined" ? { width: screen.width, height: screen.height } : undefined,
+    viewport: typeof window !== "undefined" ? { width: window.innerWidth, height: window.innerHeight } : undefined,
+    devicePixelRatio: typeof window !== "undefined" ? window.devicePixelRatio : undefined,
+  };
+}
+
+function localStorageUsage() {
+  try {
+    const keys = Object.keys(localStorage).map((key) => ({
+      key,
+      chars: key.length + (localStorage.getItem(key)?.length ?? 0),
+    }));
+    keys.sort((a, b) => b.chars - a.chars);
+    return { keys, totalChars: keys.reduce((sum, k) => sum + k.chars, 0) };
+  } catch (err) {
+    Logger.warn("diagnostics: reading localStorage failed", err);
+    return { error: String(err?.message || err) };
+  }
+}
+
+async function storageUsage() {
+  const usage = { localStorage: localStorageUsage() };
+  try {
+    if (navigator.storage?.estimate) {
+      const { usage: bytes, quota } = await navigator.storage.estimate();
+      usage.estimate = { usageBytes: bytes, quotaBytes: quota };
+    }
+  } catch (err) {
+    Logger.warn("diagnostics: storage estimate failed", err);
+  }
+  return usage;
+}
+
+/** Build the bundle; `state` is the editor state to include (plain data). */
+export async function buildDiagnostics(state) {
+  return {
+    type: DIAGNOSTICS_FILE_TYPE,
+    version: DIAGNOSTICS_VERSION,
+    createdAt: new Date().toISOString(),
+    app: {
+      mode: import.meta.env?.MODE,
+      locale: getLocale(),
+      url: typeof location !== "undefined" ? location.origin + location.pathname : undefined,
+    },
+    browser: browserInfo(),
+    storage: await storageUsage(),
+    state: serializeLogData(state),
+    logs: Logger.entries(),
+  };
+}
+
+/** Build the bundle and download it as "Rueckwand-Diagnose-<date>.json". */
+export async function downloadDiagnostics(state) {
+  const bundle = await buildDiagnostics(state);
+  const json = JSON.stringify(bundle, null, 2);
+  const date = bundle.createdAt.slice(0, 19).replace(/[:T]/g, "-");
+  downloadBlob(new Blob([json], { type: "application/json" }), `Rueckwand-Diagnose-${date}.json`);
+  Logger.info("Diagnostics downloaded", { logs: bundle.logs.length, bytes: json.length });
+}
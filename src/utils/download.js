@@ -0,0 +1,24 @@
+/**
+ * Trigger a browser download for a URL/DataURL.
+ */
+export function downloadHref(href, filename) {
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+/**
+ * Trigger a browser download for a Blob (object URL is revoked afterwards).
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  try {
+    downloadHref(url, filename);
+  } finally {
+    // Give the browser a tick to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
@@ -0,0 +1,132 @@
+// src/utils/embed.js
+import { CONFIG_VERSION, ConfigValidationError, validateConfig } from "./configTransfer.js";
+import { MAX_PLATES } from "../constants/limits.js";
+import { DEFAULT_PLATE, NEW_PLATE } from "../constants/config.js";
+import { LOCALES, message, setLocale } from "../i18n/index.js";
+import { UNITS } from "./units.js";
+import { Logger } from "./logger.js";
+import { envelope, isEnvelope } from "./embedProtocol.js";
+
+/**
+ * Embedded widget (embed.html, mounted by src/embed.jsx in an iframe; the
+ * host side is src/r24-configurator.js).
+ *
+ * Message envelopes, EMBED_EVENTS and their payloads: utils/embedProtocol.
+ * - host -> widget: "init" with the embed config (answer to "ready")
+ * - widget -> host: EMBED_EVENTS
+ *
+ * Embed config (all optional):
+ * - plates: [{ widthCm, heightCm, materialId?, thicknessMm?, row? }]
+ *   (the default plates if only unit / motifUrl are given)
+ * - unit: one of utils/units UNITS
+ * - motifUrl: http(s) image URL used for plates without their own
+ * - locale: "de" | "en" | "fr"
+ * - limits: { maxPlates } (1 … MAX_PLATES). Only the plate count can be
+ *   limited; plate sizes always follow limits.js and the material ranges
+ *   (per-shop size limits are out of scope).
+ */
+
+export { EMBED_EVENTS, EMBED_SOURCE, EMBED_VERSION, HOST_MESSAGES, hostEventName } from "./embedProtocol.js";
+
+// `value` if it is exactly an origin ("https://shop.example"), else null
+function parseOrigin(value) {
+  try {
+    const { origin } = new URL(value);
+    return origin !== "null" && origin === value ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Channel to the host page (`window.parent`). Messages are only sent to and
+ * accepted from `hostOrigin` (the host script passes its origin as
+ * `?parentOrigin=`). Without a valid origin the channel stays closed
+ * (`connected` false): nothing is posted and no "init" is accepted, so the
+ * widget never talks to a page it cannot identify.
+ */
+export function createHostChannel(hostOrigin) {
+  const embedded = typeof window !== "undefined" && window.parent !== window;
+  const origin = parseOrigin(hostOrigin);
+  const connected = embedded && origin !== null;
+  if (embedded && !origin) {
+    Logger.error("embed: missing or invalid parentOrigin, host messages are disabled", { hostOrigin });
+  }
+  return {
+    embedded,
+    connected,
+    emit(type, payload = {}) {
+      if (!connected) return;
+      try {
+        window.parent.postMessage(envelope(type, payload), origin);
+      } catch (err) {
+        Logger.error("embed: postMessage to host failed", { type, err });
+      }
+    },
+    /** Listen for one host message type; returns the unsubscribe function. */
+    on(type, fn) {
+      if (!connected) return () => {};
+      const listener = (e) => {
+        if (e.source !== window.parent || e.origin !== origin) return;
+        if (isEnvelope(e.data) && e.data.type === type) fn(e.data.payload ?? {});
+      };
+      window.addEventListener("message", listener);
+      return () => window.removeEventListener("message", listener);
+    },
+  };
+}
+
+/**
+ * Apply an embed config: the locale takes effect right away (before the
+ * app mounts), plates/unit/motif are validated like a JSON import.
+ * Returns { config, limits, errors }: `config` in the validateConfig shape
+ * or null (nothing to configure, or invalid), `limits` { maxPlates } for
+ * App (`embed.limits`), `errors` the problems found (i18n messages).
+ */
+export function applyEmbedConfig(raw = {}) {
+  const errors = [];
+  if (raw.locale !== undefined) {
+    if (LOCALES.includes(raw.locale)) setLocale(raw.locale, { persist: false });
+    else errors.push(message("embed.locale", { locale: raw.locale }));
+  }
+  const limits = { maxPlates: MAX_PLATES };
+  const maxPlates = raw.limits?.maxPlates;
+  if (maxPlates !== undefined) {
+    if (Number.isInteger(maxPlates) && maxPlates >= 1 && maxPlates <= MAX_PLATES) limits.maxPlates = maxPlates;
+    else errors.push(message("embed.maxPlates", { value: maxPlates }));
+  }
+  if (raw.unit !== undefined && !UNITS.includes(raw.unit)) errors.push(message("config.unit", { unit: raw.unit }));
+  if (raw.plates === undefined && raw.unit === undefined && raw.motifUrl === undefined) {
+    return { config: null, limits, errors };
+  }
+
+  const plates = raw.plates ?? [DEFAULT_PLATE, NEW_PLATE].map(({ widthCm, heightCm }) => ({ widthCm, heightCm }));
+  try {
+    const config = validateConfig(
+      {
+        version: CONFIG_VERSION,
+        unit: UNITS.includes(raw.unit) ? raw.unit : "cm",
+        plates: Array.isArray(plates) ? plates.map((p) => ({ ...p, motifUrl: p?.motifUrl ?? raw.motifUrl })) : plates,
+      },
+      limits
+    );
+    return { config, limits, errors };
+  } catch (err) {
+    if (!(err instanceof ConfigValidationError)) throw err;
+    return { config: null, limits, errors: [...errors, ...err.errors] };
+  }
+}
+
+/** Plates as reported to the host (sizes in cm and whole mm). */
+export function toHostPlates(plates) {
+  return plates.map((p) => ({
+    id: p.id,
+    widthCm: p.widthCm,
+    heightCm: p.heightCm,
+    widthMm: Math.round(p.widthCm * 10),
+    heightMm: Math.round(p.heightCm * 10),
+    materialId: p.materialId,
+    thicknessMm: p.thicknessMm,
+    row: p.row ?? 0,
+  }));
+}
@@ -0,0 +1,49 @@
+// src/utils/embedProtocol.js
+
+/**
+ * Message protocol between the embedded widget (utils/embed) and the host
+ * element (src/r24-configurator.js). Kept free of imports so the host
+ * script bundles only these constants.
+ *
+ * Messages in both directions are envelopes
+ * { source: EMBED_SOURCE, version: EMBED_VERSION, type, payload }.
+ */
+
+export const EMBED_SOURCE = "r24-configurator";
+export const EMBED_VERSION = 1;
+
+/**
+ * Widget -> host events and their payloads:
+ * - ready: {} (the widget waits for "init")
+ * - error: { errors: string[] } (rejected config; the widget starts with defaults)
+ * - plates-changed: { plates: HostPlate[], unit, totalWidthCm }
+ * - motif-changed: { motifUrl, motifCrop, motifMode, custom } (`custom`:
+ *   uploaded image, motifUrl is then a widget-internal "asset:" reference)
+ * - export-ready: { filename, dataUrl } (PNG preview export)
+ * - add-to-cart: { plates: HostPlate[], unit, motif, price, addOnIds, order }
+ *   (`order`: the checkout's order payload, see utils/order)
+ * - resize: { height } (document height in px, for auto-sizing the iframe)
+ *
+ * HostPlate: { id, widthCm, heightCm, widthMm, heightMm, materialId, thicknessMm, row }
+ */
+export const EMBED_EVENTS = {
+  READY: "ready",
+  ERROR: "error",
+  PLATES_CHANGED: "plates-changed",
+  MOTIF_CHANGED: "motif-changed",
+  EXPORT_READY: "export-ready",
+  ADD_TO_CART: "add-to-cart",
+  RESIZE: "resize",
+};
+
+/** Host -> widget message types. */
+export const HOST_MESSAGES = { INIT: "init" };
+
+/** DOM event the host element dispatches for a widget event, e.g. "r24:add-to-cart". */
+export const hostEventName = (type) => `r24:${type}`;
+
+/** Envelope of a protocol message. */
+export const envelope = (type, payload = {}) => ({ source: EMBED_SOURCE, version: EMBED_VERSION, type, payload });
+
+/** True for a protocol envelope (any type). */
+export const isEnvelope = (data) => data?.source === EMBED_SOURCE && typeof data.type === "string";
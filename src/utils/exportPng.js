@@ -1,23 +1,38 @@
 // src/utils/exportPng.js
-import { toPng } from "html-to-image";
+import { toJpeg, toPng } from "html-to-image";
+import { downloadHref } from "./download.js";
 
 /**
  * Export a DOM node to PNG (crisp on HiDPI).
  * - node: DOM element to snapshot
  * - filename: downloaded file name
+ * - download: false = only return the image (order preview, utils/order)
+ * - Elements with the `export-ignore` class (UI-only overlays) are skipped.
+ * Returns the PNG data URL (also downloaded as `filename`).
  */
-export async function exportNodeToPng(node, filename = "preview.png") {
+export async function exportNodeToPng(node, filename = "preview.png", { download = true } = {}) {
   if (!node) return;
   const dataUrl = await toPng(node, {
     pixelRatio: Math.max(2, window.devicePixelRatio || 1), // sharper export
     cacheBust: true,
     backgroundColor: "#ffffff",
+    filter: (el) => !el.classList?.contains("export-ignore"),
   });
 
-  const a = document.createElement("a");
-  a.href = dataUrl;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+  if (download) downloadHref(dataUrl, filename);
+  return dataUrl;
+}
+
+/**
+ * Small JPEG data URL of a DOM node (project thumbnails).
+ * - width: target width in px; height follows the node's aspect ratio
+ */
+export async function captureThumbnail(node, width = 240) {
+  if (!node) return null;
+  return toJpeg(node, {
+    pixelRatio: width / Math.max(1, node.offsetWidth),
+    quality: 0.7,
+    backgroundColor: "#ffffff",
+    filter: (el) => !el.classList?.contains("export-ignore"),
+  });
 }
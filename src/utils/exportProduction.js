@@ -0,0 +1,474 @@
+// src/utils/exportProduction.js
+import JSZip from "jszip";
+import { MOTIF_MODE_INDIVIDUAL } from "../constants/config.js";
+import { computePlateLayout, normalizeSeams } from "./plateLayout.js";
+import { normalizeCrop } from "./motifCrop.js";
+import { motifTiles, normalizeFill, tileImageRect } from "./motifFill.js";
+import { adjustImage, normalizeAdjust } from "./motifAdjust.js";
+import { cutoutsByPlate } from "./wallContext.js";
+import { downloadBlob } from "./download.js";
+import { CM_PER_IN } from "./units.js";
+import { Logger } from "./logger.js";
+import { t } from "../i18n/index.js";
+
+// Conservative browser canvas limits (Chrome/Firefox/Safari)
+const MAX_CANVAS_SIDE = 32767;
+const MAX_CANVAS_AREA = 268435456;
+// Plates above the limits are rendered in tiles of at most this width and
+// TILE_AREA pixels (a strip of tiles is held in memory while encoding)
+const TILE_MAX_WIDTH = 4096;
+const TILE_AREA = 16 * 1024 * 1024;
+
+/** Pixels for a physical length at the given DPI. */
+export function cmToPx(cm, dpi) {
+  return (cm / CM_PER_IN) * dpi;
+}
+
+/** Load an image for canvas drawing (CORS-enabled, so the canvas stays exportable). */
+export function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load motif image: ${String(url).slice(0, 120)}`));
+    img.src = url;
+  });
+}
+
+/** File name for one plate: index + size in mm, e.g. "Rueckwand-01_2500x1280mm.png". */
+export function plateFileName(index, plate, ext = "png") {
+  const nr = String(index + 1).padStart(2, "0");
+  const wMm = Math.round((Number(plate?.widthCm) || 0) * 10);
+  const hMm = Math.round((Number(plate?.heightCm) || 0) * 10);
+  return `Rueckwand-${nr}_${wMm}x${hMm}mm.${ext}`;
+}
+
+// --- Canvas drawing (mirrors MotifLayer's DOM math) ---------------------------
+
+// Natural size of an image or of a pre-rendered canvas (see adjustImage)
+const imageSizeOf = (img) => ({
+  width: img.naturalWidth || img.width,
+  height: img.naturalHeight || img.height,
+});
+
+// One fill tile (see motifTiles): cover-fit + zoom + focal point or stretched,
+// rotated/mirrored by the crop, flipped by the fill
+function drawTile(ctx, img, tile, crop) {
+  const c = normalizeCrop(crop);
+  const { box, rect } = tileImageRect(tile, imageSizeOf(img), c);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(tile.x, tile.y, tile.w, tile.h);
+  ctx.clip();
+  ctx.translate(tile.x + tile.w / 2, tile.y + tile.h / 2);
+  ctx.scale(tile.flipX ? -1 : 1, tile.flipY ? -1 : 1);
+  ctx.rotate((c.rotation * Math.PI) / 180);
+  ctx.scale(c.flipX ? -1 : 1, c.flipY ? -1 : 1);
+  ctx.drawImage(img, -box.width / 2 + rect.x, -box.height / 2 + rect.y, rect.width, rect.height);
+  ctx.restore();
+}
+
+// The motif area (x, y, w, h) filled per `fill`; `perCm` = px per cm.
+// `img` is already adjusted (adjustImage); here only the opacity over the
+// adjustment background is applied.
+function drawMotifArea(ctx, img, area, crop, fill, perCm, adjust) {
+  const { background, tiles } = motifTiles(fill, {
+    width: area.w,
+    height: area.h,
+    perCmX: perCm,
+    imageSize: imageSizeOf(img),
+    crop,
+  });
+  const { opacity, background: adjustBackground } = normalizeAdjust(adjust);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(area.x, area.y, area.w, area.h);
+  ctx.clip();
+  if (opacity < 1) {
+    ctx.fillStyle = adjustBackground;
+    ctx.fillRect(area.x, area.y, area.w, area.h);
+    ctx.globalAlpha = opacity;
+  }
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(area.x, area.y, area.w, area.h);
+  }
+  ctx.translate(area.x, area.y);
+  tiles.forEach((tile) => drawTile(ctx, img, tile, crop));
+  ctx.restore();
+}
+
+/** Pixel size of a plate (incl. bleed on every side) at `dpi`. */
+export function platePixelSize(item, dpi, bleedMm = 0) {
+  const bleedCm = Math.max(0, Number(bleedMm) || 0) / 10;
+  const k = cmToPx(1, dpi);
+  return {
+    width: Math.round((item.widthCm + 2 * bleedCm) * k),
+    height: Math.round((item.heightCm + 2 * bleedCm) * k),
+  };
+}
+
+const fitsCanvas = (width, height) =>
+  width <= MAX_CANVAS_SIDE && height <= MAX_CANVAS_SIDE && width * height <= MAX_CANVAS_AREA;
+
+/**
+ * Render one plate at physical resolution.
+ * - `item` comes from computePlateLayout (cm, frame coordinates).
+ * - `area` is the motif area in frame cm ({ x, y, w, h }), filled per `fill`
+ *   (utils/motifFill); `img` must already be adjusted (adjustImage), the
+ *   opacity of `adjust` is applied here.
+ * - Bleed beyond the motif area is filled by mirroring the motif at its edges,
+ *   so the printed bleed never shows blank paper.
+ * - `region` ({ x, y, width, height } in plate px) renders only that part
+ *   of the plate (tiles of plates too large for one canvas).
+ * Returns an HTMLCanvasElement.
+ */
+export function renderPlateCanvas({ item, img, area, crop, fill, adjust, dpi, bleedMm = 0, region }) {
+  const bleedCm = Math.max(0, Number(bleedMm) || 0) / 10;
+  const k = cmToPx(1, dpi); // px per cm
+  const { width, height } = platePixelSize(item, dpi, bleedMm);
+  const target = region || { x: 0, y: 0, width, height };
+
+  if (!fitsCanvas(target.width, target.height)) {
+    throw new Error(t("production.tooLarge", { nr: item.index + 1, width, height, dpi }));
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = target.width;
+  canvas.height = target.height;
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, target.width, target.height);
+  ctx.translate(-target.x, -target.y);
+
+  // Frame cm -> canvas px (canvas origin = plate's top-left corner minus bleed)
+  const ox = item.xCm - bleedCm;
+  const oy = item.yCm - bleedCm;
+  const pxArea = {
+    x: (area.x - ox) * k,
+    y: (area.y - oy) * k,
+    w: area.w * k,
+    h: area.h * k,
+  };
+
+  // 3×3 grid: the area itself plus its reflections about each edge
+  for (const rx of [-1, 0, 1]) {
+    for (const ry of [-1, 0, 1]) {
+      const rect = {
+        x: pxArea.x + rx * pxArea.w,
+        y: pxArea.y + ry * pxArea.h,
+      };
+      const visible =
+        rect.x < width && rect.x + pxArea.w > 0 && rect.y < height && rect.y + pxArea.h > 0;
+      if (!visible) continue;
+
+      ctx.save();
+      if (rx !== 0) {
+        const edge = rx < 0 ? pxArea.x : pxArea.x + pxArea.w;
+        ctx.translate(2 * edge, 0);
+        ctx.scale(-1, 1);
+      }
+      if (ry !== 0) {
+        const edge = ry < 0 ? pxArea.y : pxArea.y + pxArea.h;
+        ctx.translate(0, 2 * edge);
+        ctx.scale(1, -1);
+      }
+      drawMotifArea(ctx, img, pxArea, crop, fill, k, adjust);
+      ctx.restore();
+    }
+  }
+
+  return canvas;
+}
+
+/**
+ * Render a whole motif area (e.g. for thumbnails) at `widthPx` × `heightPx`,
+ * with the same crop, fill and adjustments as the preview (`pxPerCm`
+ * scales tile sizes; `img` is the unadjusted motif).
+ */
+export function renderMotifAreaCanvas({ img, widthPx, heightPx, crop, fill, adjust, pxPerCm }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(widthPx));
+  canvas.height = Math.max(1, Math.round(heightPx));
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  drawMotifArea(ctx, adjustImage(img, adjust), { x: 0, y: 0, w: canvas.width, h: canvas.height }, crop, fill, pxPerCm, adjust);
+  return canvas;
+}
+
+// --- PNG physical resolution (pHYs chunk) -------------------------------------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 over one or more byte arrays (in order)
+function crc32(...parts) {
+  let c = 0xffffffff;
+  for (const bytes of parts) {
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// One PNG chunk: length, type, data, CRC of type + data
+function pngChunk(type, data) {
+  const typeBytes = new TextEncoder().encode(type);
+  const head = new Uint8Array(8);
+  const view = new DataView(head.buffer);
+  view.setUint32(0, data.length);
+  head.set(typeBytes, 4);
+  const tail = new Uint8Array(4);
+  new DataView(tail.buffer).setUint32(0, crc32(typeBytes, data));
+  return [head, data, tail];
+}
+
+/**
+ * Insert a pHYs chunk right after IHDR so print software picks up the DPI.
+ * Returns a new Uint8Array (input is left untouched).
+ */
+export function setPngDpi(buffer, dpi) {
+  const src = new Uint8Array(buffer);
+  const IHDR_END = 8 + 25; // signature + IHDR chunk
+  const ppm = Math.round(dpi / 0.0254); // pixels per metre
+
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9); // data length
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const out = new Uint8Array(src.length + chunk.length);
+  out.set(src.subarray(0, IHDR_END), 0);
+  out.set(chunk, IHDR_END);
+  out.set(src.subarray(IHDR_END), IHDR_END + chunk.length);
+  return out;
+}
+
+/**
+ * Encode a plate too large for one canvas as PNG (8-bit RGB, pHYs = `dpi`):
+ * it is rendered in tiles (renderPlateCanvas with `region`), one strip of
+ * rows at a time, and the rows are deflated as a stream
+ * (CompressionStream), so neither the canvas limits nor the memory for a
+ * full bitmap apply. Resolves with a Blob.
+ */
+async function encodeTiledPng(options, { width, height }) {
+  const { dpi } = options;
+  const tileWidth = Math.min(width, TILE_MAX_WIDTH);
+  const stripHeight = Math.max(1, Math.min(height, Math.floor(TILE_AREA / width)));
+  const rowBytes = 1 + width * 3; // filter byte (0 = none) + RGB
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8 bit, RGB, deflate, adaptive filters, no interlace
+  const phys = new Uint8Array(9);
+  const ppm = Math.round(dpi / 0.0254); // pixels per metre
+  new DataView(phys.buffer).setUint32(0, ppm);
+  new DataView(phys.buffer).setUint32(4, ppm);
+  phys[8] = 1; // unit: metre
+  const parts = [PNG_SIGNATURE, ...pngChunk("IHDR", ihdr), ...pngChunk("pHYs", phys)];
+
+  const deflate = new CompressionStream("deflate"); // zlib format, as IDAT expects
+  const writer = deflate.writable.getWriter();
+  const collecting = (async () => {
+    const reader = deflate.readable.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(...pngChunk("IDAT", value));
+    }
+  })();
+
+  try {
+    for (let y = 0; y < height; y += stripHeight) {
+      const rows = Math.min(stripHeight, height - y);
+      const strip = new Uint8Array(rows * rowBytes);
+      for (let x = 0; x < width; x += tileWidth) {
+        const region = { x, y, width: Math.min(tileWidth, width - x), height: rows };
+        const canvas = renderPlateCanvas({ ...options, region });
+        const rgba = canvas.getContext("2d").getImageData(0, 0, region.width, rows).data;
+        for (let r = 0; r < rows; r++) {
+          let out = r * rowBytes + 1 + x * 3;
+          const end = (r + 1) * region.width * 4;
+          for (let i = r * region.width * 4; i < end; i += 4) {
+            strip[out++] = rgba[i];
+            strip[out++] = rgba[i + 1];
+            strip[out++] = rgba[i + 2];
+          }
+        }
+        canvas.width = 0;
+        canvas.height = 0;
+      }
+      await writer.write(strip);
+    }
+    await writer.close();
+  } catch (err) {
+    writer.abort(err).catch(() => {});
+    throw err;
+  }
+  await collecting;
+  parts.push(...pngChunk("IEND", new Uint8Array(0)));
+  return new Blob(parts, { type: "image/png" });
+}
+
+/**
+ * One plate as a print-ready PNG Blob (see renderPlateCanvas for the
+ * options). Plates within the canvas limits are drawn on one canvas;
+ * larger ones (e.g. 250×128 cm at 300 DPI) are rendered in tiles and
+ * stream-encoded. Resolves with { blob, width, height } (px).
+ */
+export async function renderPlatePng(options) {
+  const { item, dpi, bleedMm } = options;
+  const size = platePixelSize(item, dpi, bleedMm);
+  if (fitsCanvas(size.width, size.height)) {
+    const canvas = renderPlateCanvas(options);
+    const bytes = setPngDpi(await canvasToPngBytes(canvas), dpi);
+    // Release the (large) backing store right away
+    canvas.width = 0;
+    canvas.height = 0;
+    return { blob: new Blob([bytes], { type: "image/png" }), ...size };
+  }
+  if (typeof CompressionStream === "undefined") {
+    throw new Error(t("production.tooLarge", { nr: item.index + 1, ...size, dpi }));
+  }
+  return { blob: await encodeTiledPng(options, size), ...size };
+}
+
+function canvasToPngBytes(canvas) {
+  return new Promise((resolve, reject) => {
+    try {
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error("Canvas could not be encoded as PNG"));
+          return;
+        }
+        blob.arrayBuffer().then((buf) => resolve(new Uint8Array(buf)), reject);
+      }, "image/png");
+    } catch (err) {
+      // SecurityError: the motif host does not allow CORS
+      reject(err);
+    }
+  });
+}
+
+/** Cutout centre + size in mm, measured from the plate's left and bottom edge. */
+export function cutoutToMm(c) {
+  const mm = (cm) => Math.round(cm * 10);
+  return {
+    label: c.label,
+    shape: c.shape,
+    xMm: mm(c.xCm),
+    yMm: mm(c.yCm),
+    widthMm: mm(c.widthCm),
+    heightMm: mm(c.heightCm),
+  };
+}
+
+/**
+ * Export every plate as a print-ready PNG at `dpi` with `bleedMm` bleed,
+ * bundled into a ZIP (plus a manifest.json) and downloaded.
+ *
+ * - plates / rows / seams / motifMode / motifUrl / motifCrop / motifFill / motifAdjust:
+ *   same inputs as the preview
+ * - price: optional breakdown from utils/pricing (written to the manifest)
+ * - obstacles: optional located wall obstacles (utils/wallContext); their
+ *   cutouts are written per plate, in mm from the plate's left/bottom edge
+ * - onProgress(done, total): optional progress callback
+ */
+export async function exportProductionZip({
+  plates,
+  rows,
+  seams,
+  price,
+  obstacles,
+  motifMode,
+  motifUrl,
+  motifCrop,
+  motifFill,
+  motifAdjust,
+  dpi,
+  bleedMm,
+  filename = "Rueckwand-Druckdaten.zip",
+  onProgress,
+}) {
+  const layout = computePlateLayout(plates, rows, seams);
+  const isIndividual = motifMode === MOTIF_MODE_INDIVIDUAL;
+  const cutouts = cutoutsByPlate(obstacles || []);
+  const images = new Map(); // url -> adjusted image (loaded + filtered once)
+  const zip = new JSZip();
+  const manifest = {
+    dpi,
+    bleedMm,
+    motifMode,
+    motifFill: normalizeFill(motifFill),
+    motifAdjust: normalizeAdjust(motifAdjust),
+    totalWidthCm: layout.totalWidthCm,
+    totalHeightCm: layout.stackHeightCm,
+    seams: seams ? normalizeSeams(seams) : null,
+    plates: [],
+    price: price || null,
+  };
+
+  for (const item of layout.items) {
+    const url = (isIndividual ? item.plate.motifUrl : motifUrl) || motifUrl;
+    if (!images.has(url)) images.set(url, adjustImage(await loadImage(url), motifAdjust));
+
+    const png = await renderPlatePng({
+      item,
+      img: images.get(url),
+      area: isIndividual
+        ? { x: item.xCm, y: item.yCm, w: item.widthCm, h: item.heightCm }
+        : {
+            // motif frame placed so the plate shows it from (motifXCm, motifYCm)
+            x: item.xCm - item.motifXCm,
+            y: item.yCm - item.motifYCm,
+            w: layout.motifWidthCm,
+            h: layout.motifHeightCm,
+          },
+      crop: isIndividual ? item.plate.motifCrop : motifCrop,
+      fill: motifFill,
+      adjust: motifAdjust,
+      dpi,
+      bleedMm,
+    });
+
+    const name = plateFileName(item.index, item.plate);
+    zip.file(name, png.blob);
+    manifest.plates.push({
+      index: item.index + 1,
+      file: name,
+      widthMm: Math.round(item.widthCm * 10),
+      heightMm: Math.round(item.heightCm * 10),
+      // position on the wall: row (0 = bottom) and offset of the lower-left corner
+      row: item.row,
+      xMm: Math.round(item.xCm * 10),
+      yMm: Math.round(item.bottomCm * 10),
+      seamRightMm: Math.round((layout.joints.find((j) => j.leftIndex === item.index)?.widthCm ?? 0) * 10),
+      materialId: item.plate.materialId,
+      thicknessMm: item.plate.thicknessMm,
+      pixelWidth: png.width,
+      pixelHeight: png.height,
+      cutouts: (cutouts[item.index] || []).map(cutoutToMm),
+    });
+    onProgress?.(item.index + 1, layout.items.length);
+  }
+
+  zip.file("manifest.json", JSON.stringify(manifest, null, 2));
+  const blob = await zip.generateAsync({ type: "blob" });
+  downloadBlob(blob, filename);
+  Logger.info("Production export completed", { dpi, bleedMm, plates: layout.items.length });
+}
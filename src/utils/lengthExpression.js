@@ -0,0 +1,159 @@
+// src/utils/lengthExpression.js
+import { cmPerUnit, formatLengthInput, parseLength } from "./units.js";
+
+/**
+ * Arithmetic in length fields ("300/3", "120+35", "2*64,5", "250cm - 3 1/2in").
+ * - Operators: + − × ÷ (also - * x · / :) and parentheses, usual precedence.
+ * - Operands are lengths as parseLength reads them (decimal commas,
+ *   fractions, unit suffixes); a slash between two whole numbers is a
+ *   fraction bar ("3 1/2"), which gives the same value as dividing.
+ * - An operand with a unit mark or several terms ("4 3" in ft = 4 ft 3 in,
+ *   "3 1/2") is a length, read by parseLength exactly as a plain field.
+ * - Single numbers without a unit are in the field's unit when added to a
+ *   length (or when they make up the result) and plain factors in × and ÷;
+ *   length × length and ÷ by a length are rejected.
+ * - Evaluated with a small recursive-descent parser, never with eval.
+ */
+
+const OPERATORS = {
+  "+": "+",
+  "-": "-",
+  "−": "-",
+  "*": "*",
+  "×": "*",
+  "·": "*",
+  x: "*",
+  X: "*",
+  "/": "/",
+  "÷": "/",
+  ":": "/",
+  "(": "(",
+  ")": ")",
+};
+
+// Any unit mark in an operand makes it a length (see units SUFFIXES), and
+// so do several terms ("4 3", "3 1/2")
+const IS_LENGTH = /[a-z"'″′]|\S\s+\S/i;
+
+// "3 1/2", "1/2in": a slash between two whole numbers is a fraction bar
+function isFractionSlash(operand, after) {
+  return /(^|\s)\d+\s*$/.test(operand) && /^\s*\d+(?![\d.,])/.test(after);
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let operand = "";
+  const flush = () => {
+    if (operand.trim()) tokens.push({ type: "length", text: operand.trim() });
+    operand = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    const op = OPERATORS[c];
+    if (!op || (c === "/" && isFractionSlash(operand, text.slice(i + 1)))) {
+      operand += c;
+    } else {
+      flush();
+      tokens.push({ type: op });
+    }
+  }
+  flush();
+  return tokens;
+}
+
+// Values are { v, length }: cm for lengths, the bare number otherwise
+function operand(text, unit) {
+  return IS_LENGTH.test(text)
+    ? { v: parseLength(text, unit), length: true }
+    : { v: parseLength(text, "cm"), length: false };
+}
+
+const asLength = (val, unit) => (val.length ? val.v : val.v * cmPerUnit(unit));
+
+function apply(op, a, b, unit) {
+  if (op === "+" || op === "-") {
+    const sign = op === "+" ? 1 : -1;
+    if (a.length === b.length) return { v: a.v + sign * b.v, length: a.length };
+    return { v: asLength(a, unit) + sign * asLength(b, unit), length: true };
+  }
+  if (op === "*") return { v: a.length && b.length ? NaN : a.v * b.v, length: a.length || b.length };
+  return { v: b.length ? NaN : a.v / b.v, length: a.length };
+}
+
+/**
+ * Evaluate a length field (plain length or expression) into cm; NaN if it
+ * is invalid, divides by zero or mixes dimensions.
+ */
+export function evaluateLength(text, unit = "cm") {
+  if (typeof text !== "string") return NaN;
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = () => tokens[pos]?.type;
+
+  function primary() {
+    const token = tokens[pos++];
+    if (token?.type === "length") return operand(token.text, unit);
+    if (token?.type === "(") {
+      const val = expression();
+      if (tokens[pos++]?.type !== ")") return { v: NaN, length: false };
+      return val;
+    }
+    return { v: NaN, length: false };
+  }
+
+  function unary() {
+    if (peek() === "-" || peek() === "+") {
+      const sign = tokens[pos++].type === "-" ? -1 : 1;
+      const val = unary();
+      return { ...val, v: sign * val.v };
+    }
+    return primary();
+  }
+
+  function term() {
+    let val = unary();
+    while (peek() === "*" || peek() === "/") {
+      const op = tokens[pos++].type;
+      val = apply(op, val, unary(), unit);
+    }
+    return val;
+  }
+
+  function expression() {
+    let val = term();
+    while (peek() === "+" || peek() === "-") {
+      const op = tokens[pos++].type;
+      val = apply(op, val, term(), unit);
+    }
+    return val;
+  }
+
+  const result = expression();
+  if (pos !== tokens.length) return NaN;
+  const cm = asLength(result, unit);
+  // Strip float noise (0.1 + 0.2) like parseLength does
+  return Number.isFinite(cm) ? Math.round(cm * 1e9) / 1e9 : NaN;
+}
+
+/**
+ * True if `text` contains an operator or slash beyond a leading minus, i.e.
+ * its value is worth previewing ("300/3", but also "1/2").
+ */
+export function isLengthExpression(text) {
+  if (typeof text !== "string") return false;
+  const body = text.trim().replace(/^[-−]/, "");
+  return [...body].some((c) => c in OPERATORS);
+}
+
+/**
+ * Parse a length field on commit. Unchanged text (as produced by
+ * formatLengthInput for `currentCm`) returns `currentCm` itself, so the
+ * display rounding never leaks into the stored value; anything else is
+ * evaluated with evaluateLength.
+ */
+export function parseLengthInput(text, unit, currentCm) {
+  if (Number.isFinite(currentCm) && String(text).trim() === formatLengthInput(currentCm, unit)) {
+    return currentCm;
+  }
+  return evaluateLength(String(text), unit);
+}
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateLength, isLengthExpression } from "./lengthExpression.js";
+import { parseLength } from "./units.js";
+
+// Field text -> cm (German UI: decimal comma)
+const CASES = [
+  ["300/3", "cm", 100],
+  ["120+35", "cm", 155],
+  ["2*64,5", "cm", 129],
+  ["(100+20)/2", "cm", 60],
+  ["-5+2", "cm", -3],
+  ["1m 20cm / 2", "cm", 60],
+  ["250cm - 3 1/2in", "cm", 241.11],
+  ["2*3", "mm", 0.6],
+  ["1/2", "in", 1.27],
+  ["51 1/2", "in", 130.81],
+  ["3 1/2 * 2", "in", 17.78],
+  ["3 1/2 + 1/2", "in", 10.16],
+  ["4 3", "ft", 129.54], // one operand: 4 ft 3 in, as in a plain field
+  [`4' 3 1/2"`, "ft", 130.81],
+  ["4 3 + 1", "ft", 160.02], // + 1 ft
+  ["2 × 4' 3", "ft", 259.08],
+  ["10cm*10cm", "cm", NaN],
+  ["10/0", "cm", NaN],
+  ["abc", "cm", NaN],
+  ["", "cm", NaN],
+];
+
+test("evaluateLength", () => {
+  for (const [text, unit, cm] of CASES) assert.equal(evaluateLength(text, unit), cm, `${text} (${unit})`);
+});
+
+test("a plain length evaluates like parseLength", () => {
+  for (const [text, unit] of [["64,5", "cm"], ["4 3", "ft"], [`4' 3 1/2"`, "ft"], ["51 1/2", "in"], ["1m 20cm", "cm"]]) {
+    assert.equal(evaluateLength(text, unit), parseLength(text, unit), `${text} (${unit})`);
+  }
+});
+
+test("isLengthExpression", () => {
+  assert.equal(isLengthExpression("300/3"), true);
+  assert.equal(isLengthExpression("1/2"), true);
+  assert.equal(isLengthExpression("-12"), false);
+  assert.equal(isLengthExpression("4' 3"), false);
+});
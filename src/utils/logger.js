@@ -1,25 +1,178 @@
-export const Logger = (() => {
-  const isProd =
-    typeof import.meta !== "undefined" &&
-    import.meta.env &&
-    import.meta.env.MODE === "production";
-  const enabled =
-    !isProd || (typeof window !== "undefined" && window.__DEBUG__ === true);
-
-  const fmt = (level, msg, ...rest) => {
-    const ts = new Date().toISOString();
-    return [
-      `[%c${level}%c ${ts}] ${msg}`,
-      "color:#0ea5e9;font-weight:600",
-      "color:inherit",
-      ...rest,
-    ];
+/**
+ * Structured logger.
+ * - Levels: debug < info < warn < error; `Logger.<level>(msg, ...data)`.
+ * - Each call becomes an entry { ts, level, msg, data } (data made
+ *   JSON-safe, see serializeLogData) that goes to every sink whose `level`
+ *   it reaches. Default sinks:
+ *   - console: debug/info only in development or with window.__DEBUG__
+ *   - buffer: ring buffer of the last LOG_BUFFER_SIZE entries, read with
+ *     Logger.entries() (diagnostics bundle, utils/diagnostics)
+ * - Further sinks ({ name, level, write(entry, rawArgs) }) via
+ *   Logger.addSink, e.g. createHttpSink to POST entries to an endpoint.
+ * - A throwing sink never breaks the caller; it is reported once on the
+ *   console (not through the Logger, to avoid loops).
+ */
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_BUFFER_SIZE = 500;
+
+const RANK = Object.fromEntries(LOG_LEVELS.map((level, i) => [level, i]));
+const MAX_DEPTH = 4;
+const MAX_STRING = 2000;
+
+const isProd =
+  typeof import.meta !== "undefined" &&
+  import.meta.env &&
+  import.meta.env.MODE === "production";
+
+/** Make a log argument JSON-safe: errors, long strings, nesting, cycles. */
+export function serializeLogData(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (typeof value === "string") {
+    return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… (${value.length} chars)` : value;
+  }
+  if (value === null || typeof value !== "object") {
+    return typeof value === "function" || typeof value === "symbol" ? String(value) : value;
+  }
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? "[Array]" : "[Object]";
+  if (Array.isArray(value)) return value.map((v) => serializeLogData(v, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, serializeLogData(v, depth + 1)])
+  );
+}
+
+/** Console sink (the logger's original output format). */
+export function createConsoleSink({
+  level = isProd && !(typeof window !== "undefined" && window.__DEBUG__ === true) ? "warn" : "debug",
+} = {}) {
+  const METHODS = { debug: "debug", info: "info", warn: "warn", error: "error" };
+  return {
+    name: "console",
+    level,
+    write(entry, rawArgs) {
+      console[METHODS[entry.level]](
+        `[%c${entry.level.toUpperCase()}%c ${entry.ts}] ${entry.msg}`,
+        "color:#0ea5e9;font-weight:600",
+        "color:inherit",
+        ...rawArgs
+      );
+    },
+  };
+}
+
+/** In-memory ring buffer keeping the last `size` entries. */
+export function createBufferSink({ size = LOG_BUFFER_SIZE, level = "debug" } = {}) {
+  const buffer = [];
+  return {
+    name: "buffer",
+    level,
+    write(entry) {
+      buffer.push(entry);
+      if (buffer.length > size) buffer.splice(0, buffer.length - size);
+    },
+    entries: () => buffer.slice(),
+    clear: () => {
+      buffer.length = 0;
+    },
   };
+}
+
+/**
+ * Sink that POSTs entries as JSON ({ entries, page, userAgent }) to `url`.
+ * - Entries are batched (`batchSize` or after `flushMs`); the rest is sent
+ *   with navigator.sendBeacon when the page is hidden.
+ * - Failed requests drop their batch (logs must not pile up).
+ */
+export function createHttpSink({ url, level = "warn", batchSize = 20, flushMs = 5000 }) {
+  let queue = [];
+  let timer = null;
+  let failed = false;
+
+  const payload = (entries) =>
+    JSON.stringify({
+      entries,
+      page: typeof location !== "undefined" ? location.href : undefined,
+      userAgent: typeof navigator !== "undefined" ? navigator.userAgent : undefined,
+    });
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!queue.length) return;
+    const entries = queue;
+    queue = [];
+    fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: payload(entries),
+      keepalive: true,
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      })
+      .catch((err) => {
+        if (!failed) console.warn(`Logger: sending logs to ${url} failed`, err);
+        failed = true;
+      });
+  }
+
+  if (typeof window !== "undefined") {
+    window.addEventListener("pagehide", () => {
+      if (!queue.length) return;
+      if (navigator.sendBeacon?.(url, new Blob([payload(queue)], { type: "application/json" }))) queue = [];
+      else flush();
+    });
+  }
+
+  return {
+    name: "http",
+    level,
+    write(entry) {
+      queue.push(entry);
+      if (queue.length >= batchSize) flush();
+      else if (!timer) timer = setTimeout(flush, flushMs);
+    },
+    flush,
+  };
+}
+
+export const Logger = (() => {
+  const buffer = createBufferSink();
+  const sinks = new Set([createConsoleSink(), buffer]);
+  const broken = new WeakSet();
+
+  function log(level, msg, ...rest) {
+    const entry = {
+      ts: new Date().toISOString(),
+      level,
+      msg: String(msg),
+      data: rest.map((v) => serializeLogData(v)),
+    };
+    for (const sink of sinks) {
+      if (RANK[level] < RANK[sink.level ?? "debug"]) continue;
+      try {
+        sink.write(entry, rest);
+      } catch (err) {
+        if (!broken.has(sink)) console.error(`Logger: sink "${sink.name}" failed`, err);
+        broken.add(sink);
+      }
+    }
+  }
 
   return {
-    info: (msg, ...rest) =>
-      enabled && console.info(...fmt("INFO", msg, ...rest)),
-    warn: (msg, ...rest) => console.warn(...fmt("WARN", msg, ...rest)),
-    error: (msg, ...rest) => console.error(...fmt("ERROR", msg, ...rest)),
+    debug: (msg, ...rest) => log("debug", msg, ...rest),
+    info: (msg, ...rest) => log("info", msg, ...rest),
+    warn: (msg, ...rest) => log("warn", msg, ...rest),
+    error: (msg, ...rest) => log("error", msg, ...rest),
+    /** Add a sink; returns a function that removes it again. */
+    addSink(sink) {
+      sinks.add(sink);
+      return () => sinks.delete(sink);
+    },
+    /** Recent entries from the ring buffer (oldest first). */
+    entries: () => buffer.entries(),
+    clearEntries: () => buffer.clear(),
   };
 })();
@@ -0,0 +1,64 @@
+import { MATERIALS, DEFAULT_MATERIAL_ID } from "../constants/materials.js";
+import { message, t } from "../i18n/index.js";
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+/** Material by id (falls back to the default material). */
+export function getMaterial(id) {
+  return (
+    MATERIALS.find((m) => m.id === id) ||
+    MATERIALS.find((m) => m.id === DEFAULT_MATERIAL_ID)
+  );
+}
+
+/** Translated material name (`short` = compact form for tables). */
+export function materialLabel(id, { short = false } = {}) {
+  const m = getMaterial(id);
+  return t(short ? `material.${m.id}.short` : `material.${m.id}`);
+}
+
+/** Translated finish name ("gloss" | "satin" | "matte"). */
+export function finishLabel(finish) {
+  return t(`finish.${finish}`);
+}
+
+/** Ensure a plate has a known material and a thickness that material offers. */
+export function normalizePlateMaterial(plate) {
+  const material = getMaterial(plate?.materialId);
+  const thicknessMm = material.thicknessesMm.includes(Number(plate?.thicknessMm))
+    ? Number(plate.thicknessMm)
+    : material.thicknessesMm[0];
+  return { ...plate, materialId: material.id, thicknessMm };
+}
+
+/**
+ * Validation message (i18n `message`) for a plate's size against its
+ * material, or null if OK.
+ */
+export function materialSizeError(plate) {
+  const m = getMaterial(plate?.materialId);
+  const w = Number(plate?.widthCm);
+  const h = Number(plate?.heightCm);
+  if (!(w >= m.widthMin && w <= m.widthMax)) {
+    return message("material.widthRange", { material: message(`material.${m.id}`), min: m.widthMin, max: m.widthMax });
+  }
+  if (!(h >= m.heightMin && h <= m.heightMax)) {
+    return message("material.heightRange", { material: message(`material.${m.id}`), min: m.heightMin, max: m.heightMax });
+  }
+  return null;
+}
+
+/**
+ * Switch a plate to another material: sizes are clamped into the new
+ * material's range and the thickness is reset if not available.
+ * Returns { plate, adjusted } (adjusted = sizes had to change).
+ */
+export function applyMaterial(plate, materialId) {
+  const m = getMaterial(materialId);
+  const widthCm = clamp(Number(plate.widthCm) || 0, m.widthMin, m.widthMax);
+  const heightCm = clamp(Number(plate.heightCm) || 0, m.heightMin, m.heightMax);
+  return {
+    plate: normalizePlateMaterial({ ...plate, materialId: m.id, widthCm, heightCm }),
+    adjusted: widthCm !== plate.widthCm || heightCm !== plate.heightCm,
+  };
+}
@@ -0,0 +1,166 @@
+// src/utils/motifAdjust.js
+import { DEFAULT_MOTIF_ADJUST } from "../constants/config.js";
+import { Logger } from "./logger.js";
+
+/**
+ * Motif adjustments: non-destructive filter parameters applied on top of
+ * the (unchanged) motif image.
+ *
+ * - brightness / contrast / saturation: CSS filter amounts, 1 = unchanged
+ * - grayscale / sepia: 0 … 1
+ * - tint: colour blended over the motif ("color" blend mode) at `tintAmount`, or null
+ * - opacity: of the motif over `background`
+ *
+ * The preview applies `adjustFilterCss` to the <img> and a blended tint
+ * overlay per tile; the canvas exports run the same CSS filter string and
+ * blend mode once on the source image (`adjustImage`) and paint the same
+ * background with the same opacity, so both render identically.
+ */
+
+const RANGES = {
+  brightness: [0, 2],
+  contrast: [0, 2],
+  saturation: [0, 2],
+  grayscale: [0, 1],
+  sepia: [0, 1],
+  tintAmount: [0, 1],
+  opacity: [0.1, 1],
+};
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+const isHex = (v) => /^#[0-9a-f]{6}$/i.test(v ?? "");
+
+/** Sanitize a stored adjustment object (unknown/invalid fields fall back to defaults). */
+export function normalizeAdjust(adjust) {
+  const a = adjust && typeof adjust === "object" ? adjust : {};
+  const out = {};
+  Object.entries(RANGES).forEach(([key, [min, max]]) => {
+    const n = Number(a[key]);
+    out[key] = Number.isFinite(n) && a[key] !== null && a[key] !== "" ? clamp(n, min, max) : DEFAULT_MOTIF_ADJUST[key];
+  });
+  return {
+    ...out,
+    tint: isHex(a.tint) ? a.tint : null,
+    background: isHex(a.background) ? a.background : DEFAULT_MOTIF_ADJUST.background,
+  };
+}
+
+/** True if the adjustments leave the motif unchanged. */
+export function isNeutralAdjust(adjust) {
+  const a = normalizeAdjust(adjust);
+  return adjustFilterCss(a) === "none" && !a.tint && a.opacity === 1;
+}
+
+/** CSS filter string for the image ("none" when nothing is filtered). */
+export function adjustFilterCss(adjust) {
+  const a = normalizeAdjust(adjust);
+  const parts = [];
+  if (a.brightness !== 1) parts.push(`brightness(${a.brightness})`);
+  if (a.contrast !== 1) parts.push(`contrast(${a.contrast})`);
+  if (a.saturation !== 1) parts.push(`saturate(${a.saturation})`);
+  if (a.grayscale > 0) parts.push(`grayscale(${a.grayscale})`);
+  if (a.sepia > 0) parts.push(`sepia(${a.sepia})`);
+  return parts.length ? parts.join(" ") : "none";
+}
+
+// --- Canvas -------------------------------------------------------------------
+
+// Colour matrices of the Filter Effects spec (row-major 3×3, sRGB 0…1)
+function saturateMatrix(s) {
+  return [
+    0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+  ];
+}
+
+function grayscaleMatrix(g) {
+  const s = 1 - g;
+  return [
+    0.2126 + 0.7874 * s, 0.7152 - 0.7152 * s, 0.0722 - 0.0722 * s,
+    0.2126 - 0.2126 * s, 0.7152 + 0.2848 * s, 0.0722 - 0.0722 * s,
+    0.2126 - 0.2126 * s, 0.7152 - 0.7152 * s, 0.0722 + 0.9278 * s,
+  ];
+}
+
+function sepiaMatrix(p) {
+  const s = 1 - p;
+  return [
+    0.393 + 0.607 * s, 0.769 - 0.769 * s, 0.189 - 0.189 * s,
+    0.349 - 0.349 * s, 0.686 + 0.314 * s, 0.168 - 0.168 * s,
+    0.272 - 0.272 * s, 0.534 - 0.534 * s, 0.131 + 0.869 * s,
+  ];
+}
+
+/**
+ * Apply the filter part of `adjust` to RGBA pixel data in place, step by
+ * step in the order of adjustFilterCss. Fallback for browsers without
+ * `CanvasRenderingContext2D.filter`.
+ */
+export function filterPixels(data, adjust) {
+  const a = normalizeAdjust(adjust);
+  const steps = [];
+  if (a.brightness !== 1) steps.push((c) => c.map((v) => v * a.brightness));
+  if (a.contrast !== 1) steps.push((c) => c.map((v) => (v - 0.5) * a.contrast + 0.5));
+  [
+    a.saturation !== 1 && saturateMatrix(a.saturation),
+    a.grayscale > 0 && grayscaleMatrix(a.grayscale),
+    a.sepia > 0 && sepiaMatrix(a.sepia),
+  ]
+    .filter(Boolean)
+    .forEach((m) =>
+      steps.push(([r, g, b]) => [
+        m[0] * r + m[1] * g + m[2] * b,
+        m[3] * r + m[4] * g + m[5] * b,
+        m[6] * r + m[7] * g + m[8] * b,
+      ])
+    );
+  if (!steps.length) return data;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let c = [data[i] / 255, data[i + 1] / 255, data[i + 2] / 255];
+    for (const step of steps) c = step(c).map((v) => clamp(v, 0, 1));
+    data[i] = Math.round(c[0] * 255);
+    data[i + 1] = Math.round(c[1] * 255);
+    data[i + 2] = Math.round(c[2] * 255);
+  }
+  return data;
+}
+
+/**
+ * The source image with filter and tint applied, at its natural size, for
+ * canvas drawing (opacity is applied when drawing, see exportProduction).
+ * Returns `img` itself when there is nothing to bake, else a canvas.
+ */
+export function adjustImage(img, adjust) {
+  const a = normalizeAdjust(adjust);
+  const filter = adjustFilterCss(a);
+  if (filter === "none" && !a.tint) return img;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = img.naturalWidth || img.width;
+  canvas.height = img.naturalHeight || img.height;
+  const ctx = canvas.getContext("2d");
+
+  if (filter !== "none" && "filter" in ctx) {
+    ctx.filter = filter;
+    ctx.drawImage(img, 0, 0);
+    ctx.filter = "none";
+  } else {
+    ctx.drawImage(img, 0, 0);
+    if (filter !== "none") {
+      Logger.info("Canvas filter unsupported; filtering motif pixels in JS");
+      const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      filterPixels(pixels.data, a);
+      ctx.putImageData(pixels, 0, 0);
+    }
+  }
+
+  if (a.tint) {
+    ctx.globalCompositeOperation = "color";
+    ctx.globalAlpha = a.tintAmount;
+    ctx.fillStyle = a.tint;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  return canvas;
+}
@@ -0,0 +1,95 @@
+import { DEFAULT_MOTIF_CROP } from "../constants/config.js";
+
+export const ZOOM_MIN = 1;
+export const ZOOM_MAX = 4;
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+/**
+ * Sanitize a stored crop object (unknown/invalid fields fall back to defaults).
+ */
+export function normalizeCrop(crop) {
+  const c = crop && typeof crop === "object" ? crop : {};
+  const num = (v, d) => (Number.isFinite(+v) ? +v : d);
+  const rotation = ((Math.round(num(c.rotation, 0) / 90) * 90) % 360 + 360) % 360;
+  return {
+    focusX: clamp(num(c.focusX, DEFAULT_MOTIF_CROP.focusX), 0, 1),
+    focusY: clamp(num(c.focusY, DEFAULT_MOTIF_CROP.focusY), 0, 1),
+    zoom: clamp(num(c.zoom, DEFAULT_MOTIF_CROP.zoom), ZOOM_MIN, ZOOM_MAX),
+    rotation,
+    flipX: c.flipX === true,
+    flipY: c.flipY === true,
+  };
+}
+
+/** True if the motif is turned by 90° or 270° (content box swaps width/height). */
+export function isQuarterTurned(crop) {
+  return normalizeCrop(crop).rotation % 180 === 90;
+}
+
+/**
+ * Size of the unrotated content box that, once rotated, exactly covers
+ * an area of `areaW` × `areaH`.
+ */
+export function contentBoxSize(areaW, areaH, crop) {
+  return isQuarterTurned(crop)
+    ? { width: areaH, height: areaW }
+    : { width: areaW, height: areaH };
+}
+
+/**
+ * Where to draw the image inside a content box of `boxW` × `boxH`.
+ * - Scales the image to "cover" the box, then applies `zoom`.
+ * - Places the focal point at the box centre, clamped so no gap shows.
+ * Units are whatever the box is measured in (px, cm, ...).
+ * Returns { x, y, width, height } relative to the box's top-left corner.
+ */
+export function computeMotifRect(imgW, imgH, boxW, boxH, crop) {
+  const c = normalizeCrop(crop);
+  if (!(imgW > 0 && imgH > 0)) {
+    return { x: 0, y: 0, width: boxW, height: boxH };
+  }
+  const scale = Math.max(boxW / imgW, boxH / imgH) * c.zoom;
+  const width = imgW * scale;
+  const height = imgH * scale;
+  const x = clamp(boxW / 2 - c.focusX * width, boxW - width, 0);
+  const y = clamp(boxH / 2 - c.focusY * height, boxH - height, 0);
+  return { x, y, width, height };
+}
+
+/** CSS transform applied to the content box (rotation, then mirroring). */
+export function cropTransform(crop) {
+  const c = normalizeCrop(crop);
+  return `rotate(${c.rotation}deg) scale(${c.flipX ? -1 : 1}, ${c.flipY ? -1 : 1})`;
+}
+
+/**
+ * Pan the crop by a screen-space drag of (dx, dy), given the drawn image
+ * size. The delta is mapped back through rotation and mirroring so the
+ * motif follows the pointer.
+ */
+export function panCrop(crop, dx, dy, drawnW, drawnH) {
+  const c = normalizeCrop(crop);
+  const rad = (-c.rotation * Math.PI) / 180;
+  let cx = dx * Math.cos(rad) - dy * Math.sin(rad);
+  let cy = dx * Math.sin(rad) + dy * Math.cos(rad);
+  if (c.flipX) cx = -cx;
+  if (c.flipY) cy = -cy;
+  return normalizeCrop({
+    ...c,
+    focusX: drawnW > 0 ? c.focusX - cx / drawnW : c.focusX,
+    focusY: drawnH > 0 ? c.focusY - cy / drawnH : c.focusY,
+  });
+}
+
+/** Clamp the focal point to what is actually reachable for this box/zoom. */
+export function clampCropToBox(imgW, imgH, boxW, boxH, crop) {
+  const c = normalizeCrop(crop);
+  const r = computeMotifRect(imgW, imgH, boxW, boxH, c);
+  if (!(r.width > 0 && r.height > 0)) return c;
+  return {
+    ...c,
+    focusX: (boxW / 2 - r.x) / r.width,
+    focusY: (boxH / 2 - r.y) / r.height,
+  };
+}
@@ -0,0 +1,135 @@
+// src/utils/motifFill.js
+import {
+  DEFAULT_MOTIF_FILL,
+  FILL_TILE_MIN_CM,
+  MOTIF_WIDTH_CM,
+} from "../constants/config.js";
+import { computeMotifRect, contentBoxSize, isQuarterTurned } from "./motifCrop.js";
+import { t } from "../i18n/index.js";
+
+/**
+ * Motif fill modes: how the motif covers an area (the span motif frame,
+ * or one plate in individual mode).
+ *
+ * - cover:   one image covering the area (crop focus/zoom apply)
+ * - stretch: one image distorted to exactly fill the area
+ * - repeat:  a grid of tiles, each covered by the cropped image
+ * - mirror:  like repeat, every 2nd column / row mirrored (seamless edges)
+ * - center:  the image at its physical width, centred on `background`
+ *
+ * `tileWidthCm` is the physical tile width (repeat / mirror, default
+ * MOTIF_WIDTH_CM) or the image width (center, default: fit inside the
+ * area); `tileHeightCm` the tile height (repeat / mirror, default: the
+ * area height). The preview, the exports and the print-quality check all
+ * draw from `motifTiles`, so they always agree.
+ */
+
+export const FILL_MODES = ["cover", "stretch", "repeat", "mirror", "center"];
+
+/** User-facing label of a fill mode in the current locale. */
+export function fillLabel(mode) {
+  return t(`fill.${mode}`);
+}
+
+const sizeOrNull = (v) => {
+  const n = Number(v);
+  return v === null || v === undefined || v === "" || !Number.isFinite(n) ? null : Math.max(FILL_TILE_MIN_CM, n);
+};
+
+/** Sanitize a stored fill object ({ mode, tileWidthCm, tileHeightCm, background }). */
+export function normalizeFill(fill) {
+  const f = fill && typeof fill === "object" ? fill : {};
+  return {
+    mode: FILL_MODES.includes(f.mode) ? f.mode : DEFAULT_MOTIF_FILL.mode,
+    tileWidthCm: sizeOrNull(f.tileWidthCm),
+    tileHeightCm: sizeOrNull(f.tileHeightCm),
+    background: /^#[0-9a-f]{6}$/i.test(f.background ?? "") ? f.background : DEFAULT_MOTIF_FILL.background,
+  };
+}
+
+/**
+ * Fill used by projects saved before fill modes existed: the span motif
+ * was mirror-tiled in MOTIF_WIDTH_CM tiles once the frame got wider.
+ */
+export function legacyFill(motifWidthCm, isSpan) {
+  return isSpan && motifWidthCm > MOTIF_WIDTH_CM
+    ? normalizeFill({ mode: "mirror", tileWidthCm: MOTIF_WIDTH_CM })
+    : normalizeFill(DEFAULT_MOTIF_FILL);
+}
+
+/**
+ * Tiles making up the motif in an area of `width` × `height` (any unit,
+ * origin top-left; `perCmX` / `perCmY` units per cm, they can differ in
+ * the preview).
+ * - imageSize: natural { width, height } (center mode keeps its aspect)
+ * - crop: rotation matters for the aspect of a centred image
+ * Returns { background, tiles: [{ x, y, w, h, flipX, flipY, fit }] } where
+ * `fit` is "cover" (cropped into the tile) or "stretch" (fills the tile);
+ * `background` is a colour to paint first, or null.
+ */
+export function motifTiles(fill, { width, height, perCmX, perCmY = perCmX, imageSize, crop }) {
+  const f = normalizeFill(fill);
+  const single = (fit) => ({
+    background: null,
+    tiles: [{ x: 0, y: 0, w: width, h: height, flipX: false, flipY: false, fit }],
+  });
+
+  if (f.mode === "stretch") return single("stretch");
+
+  if (f.mode === "repeat" || f.mode === "mirror") {
+    const tileW = Math.max(1e-6, (f.tileWidthCm ?? MOTIF_WIDTH_CM) * perCmX);
+    const tileH = Math.max(1e-6, f.tileHeightCm ? f.tileHeightCm * perCmY : height);
+    const cols = Math.max(1, Math.ceil(width / tileW - 1e-9));
+    const rows = Math.max(1, Math.ceil(height / tileH - 1e-9));
+    const tiles = [];
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        tiles.push({
+          x: c * tileW,
+          y: r * tileH,
+          w: tileW,
+          h: tileH,
+          flipX: f.mode === "mirror" && c % 2 === 1,
+          flipY: f.mode === "mirror" && r % 2 === 1,
+          fit: "cover",
+        });
+      }
+    }
+    return { background: null, tiles };
+  }
+
+  if (f.mode === "center") {
+    const areaWCm = width / perCmX;
+    const areaHCm = height / perCmY;
+    const known = imageSize?.width > 0 && imageSize?.height > 0;
+    // Physical aspect as it appears on the wall (a quarter turn swaps the sides)
+    const aspect = known
+      ? isQuarterTurned(crop)
+        ? imageSize.height / imageSize.width
+        : imageSize.width / imageSize.height
+      : areaWCm / Math.max(1e-6, areaHCm);
+    const wCm = f.tileWidthCm ?? Math.min(areaWCm, areaHCm * aspect);
+    const w = wCm * perCmX;
+    const h = (wCm / aspect) * perCmY;
+    return {
+      background: f.background,
+      tiles: [{ x: (width - w) / 2, y: (height - h) / 2, w, h, flipX: false, flipY: false, fit: "stretch" }],
+    };
+  }
+
+  return single("cover");
+}
+
+/**
+ * Where to draw the image inside one tile's (unrotated) content box:
+ * crop math for "cover", the whole box for "stretch".
+ * Returns { box: { width, height }, rect: { x, y, width, height } }.
+ */
+export function tileImageRect(tile, imageSize, crop) {
+  const box = contentBoxSize(tile.w, tile.h, crop);
+  const rect =
+    tile.fit === "stretch"
+      ? { x: 0, y: 0, width: box.width, height: box.height }
+      : computeMotifRect(imageSize?.width, imageSize?.height, box.width, box.height, crop);
+  return { box, rect };
+}
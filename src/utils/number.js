@@ -1,14 +1,42 @@
-export function parseLocaleNumber(str) {
+import { getLocale } from "../i18n/index.js";
+
+// Decimal / grouping separator per locale (fr groups with spaces)
+const SEPARATORS = {
+  de: { decimal: ",", group: "." },
+  en: { decimal: ".", group: "," },
+  fr: { decimal: ",", group: " " },
+};
+
+const separators = (locale) => SEPARATORS[locale] || SEPARATORS.de;
+
+/**
+ * Parse a number typed in the current locale.
+ * - The locale's decimal separator always counts as decimal point.
+ * - The other one ("." in de/fr, "," in en) is read as grouping only in a
+ *   properly grouped number ("1.234,5", "1,234" in en); on its own it is
+ *   accepted as decimal point too ("12.5" in de), as people mix them up.
+ * - Spaces (incl. the French thin space grouping) are ignored.
+ */
+export function parseLocaleNumber(str, locale = getLocale()) {
   if (typeof str !== "string") return NaN;
-  const cleaned = str
-    .trim()
-    .replace(/\s+/g, "") // remove spaces/thin spaces
-    .replace(/,(?=\d)/g, "."); // treat comma as decimal sep
+  const { decimal } = separators(locale);
+  const other = decimal === "," ? "." : ",";
+  let cleaned = str.trim().replace(/\s+/g, ""); // remove spaces/thin spaces
+
+  const grouped = new RegExp(`^[-+]?\\d{1,3}(\\${other}\\d{3})+(\\${decimal}\\d*)?$`);
+  const hasBoth = cleaned.includes(decimal) && cleaned.includes(other);
+  if (hasBoth || (decimal === "." && grouped.test(cleaned))) {
+    if (!grouped.test(cleaned)) return NaN;
+    cleaned = cleaned.split(other).join("");
+  }
+  cleaned = cleaned.replace(/,(?=\d)/g, "."); // either separator as decimal point
+
   // Disallow multiple dots
   if ((cleaned.match(/\./g) || []).length > 1) return NaN;
   return cleaned === "" ? NaN : Number(cleaned);
 }
 
-export function formatNumber(n) {
-  return Number.isFinite(n) ? String(n) : "";
+/** Number for inputs and labels with the locale's decimal separator (no grouping). */
+export function formatNumber(n, locale = getLocale()) {
+  return Number.isFinite(n) ? String(n).replace(".", separators(locale).decimal) : "";
 }
@@ -0,0 +1,285 @@
+// src/utils/order.js
+import {
+  WIDTH_MIN,
+  WIDTH_MAX,
+  HEIGHT_MIN,
+  HEIGHT_MAX,
+  MAX_PLATES,
+} from "../constants/limits.js";
+import {
+  CHECKOUT_RETRIES,
+  CHECKOUT_RETRY_DELAY_MS,
+  CHECKOUT_TIMEOUT_MS,
+  DEFAULT_CART_ENDPOINT,
+  MOTIF_MODE_INDIVIDUAL,
+} from "../constants/config.js";
+import { PRICING } from "../constants/pricing.js";
+import { materialSizeError } from "./materials.js";
+import { normalizeCrop } from "./motifCrop.js";
+import { normalizeFill } from "./motifFill.js";
+import { normalizeAdjust } from "./motifAdjust.js";
+import { computePlateLayout, normalizeSeams } from "./plateLayout.js";
+import { cutoutsByPlate } from "./wallContext.js";
+import { cutoutToMm } from "./exportProduction.js";
+import { assetIdOf, blobToDataUrl, getMotifAsset, isDataImage, isRemoteUrl } from "./assetStore.js";
+import { getLocale, message, translate } from "../i18n/index.js";
+import { Logger } from "./logger.js";
+
+/**
+ * Checkout: turn the configuration into an order and put it into the
+ * shop's cart.
+ *
+ * - validateOrder: plate count (`maxPlates`, default MAX_PLATES), sizes
+ *   (limits.js + material range) and motif references; problems are
+ *   user-facing i18n messages.
+ * - buildOrder: versioned payload (ORDER_TYPE / ORDER_VERSION), see below.
+ * - submitOrder: POST as JSON to the cart endpoint (VITE_CART_ENDPOINT,
+ *   default DEFAULT_CART_ENDPOINT). Network errors, timeouts, 408/429 and
+ *   5xx are retried (CHECKOUT_RETRIES, exponential backoff, Retry-After is
+ *   honoured); `orderId` is sent as Idempotency-Key so a retried request
+ *   never adds the order twice. Resolves with the server's answer
+ *   { orderId, cartUrl? }, rejects with OrderError.
+ *
+ * Payload:
+ * {
+ *   type, version, orderId, createdAt, locale, unit,
+ *   plates: [{ index, row, xMm, yMm, widthMm, heightMm, seamRightMm,
+ *              materialId, thicknessMm,
+ *              motif: { kind: "catalog" | "url" | "upload", url?, assetId? },
+ *              crop, motifXMm, motifYMm, cutouts }],
+ *   motif: { mode, widthMm, heightMm, fill, adjust },
+ *   seams,
+ *   assets: [{ id, mimeType, size, dataUrl }],   // uploaded motifs, once each
+ *   price: { currency, total, vat, addOnIds, breakdown },
+ *   preview: { mimeType: "image/png", dataUrl } | null
+ * }
+ * Sizes are whole mm; `xMm` / `yMm` is the plate's lower-left corner on the
+ * wall, `motifXMm` / `motifYMm` the offset of its top-left corner in the
+ * motif frame (`motif.widthMm` × `heightMm`; 0 in individual mode).
+ * Uploaded motifs travel inside the order (no separate upload step).
+ */
+
+export const ORDER_TYPE = "r24-order";
+export const ORDER_VERSION = 1;
+export const CART_ENDPOINT = import.meta.env?.VITE_CART_ENDPOINT || DEFAULT_CART_ENDPOINT;
+
+const mm = (cm) => Math.round(cm * 10);
+
+/**
+ * Thrown by buildOrder / submitOrder. `kind`:
+ * - "invalid": configuration not orderable (`errors` lists why, as i18n
+ *   messages)
+ * - "offline": the browser is offline, nothing was sent
+ * - "timeout" / "network": no answer after all retries
+ * - "server": the endpoint kept failing (5xx / 429 / 408)
+ * - "rejected": the endpoint refused the order (other 4xx; `errors` from
+ *   its answer if it sent any)
+ */
+export class OrderError extends Error {
+  constructor(kind, { status = null, errors = [], cause } = {}) {
+    super(errors.length ? translate(errors) : `Order failed: ${kind}${status ? ` (HTTP ${status})` : ""}`);
+    this.name = "OrderError";
+    this.kind = kind;
+    this.status = status;
+    this.errors = errors;
+    if (cause) this.cause = cause;
+  }
+}
+
+/** Problems that prevent ordering `plates` (empty array = orderable). */
+export function validateOrder(plates, maxPlates = MAX_PLATES) {
+  const list = Array.isArray(plates) ? plates : [];
+  const errors = [];
+  if (!list.length) errors.push(message("config.noPlates"));
+  if (list.length > maxPlates) errors.push(message("config.tooMany", { count: list.length, max: maxPlates }));
+
+  list.forEach((p, i) => {
+    const nr = i + 1;
+    const widthCm = Number(p?.widthCm);
+    const heightCm = Number(p?.heightCm);
+    const widthOk = Number.isFinite(widthCm) && widthCm >= WIDTH_MIN && widthCm <= WIDTH_MAX;
+    const heightOk = Number.isFinite(heightCm) && heightCm >= HEIGHT_MIN && heightCm <= HEIGHT_MAX;
+    if (!widthOk) {
+      errors.push(message("config.width", { nr, value: p?.widthCm ?? message("config.missing"), min: WIDTH_MIN, max: WIDTH_MAX }));
+    }
+    if (!heightOk) {
+      errors.push(message("config.height", { nr, value: p?.heightCm ?? message("config.missing"), min: HEIGHT_MIN, max: HEIGHT_MAX }));
+    }
+    // The material range only matters once the size is within the general limits
+    const sizeError = widthOk && heightOk && materialSizeError(p);
+    if (sizeError) errors.push(message("common.plateProblem", { nr, problem: sizeError }));
+    if (!isRemoteUrl(p?.motifUrl) && !isDataImage(p?.motifUrl) && !assetIdOf(p?.motifUrl)) {
+      errors.push(message("config.motifRef", { nr }));
+    }
+  });
+  return errors;
+}
+
+// Motif reference of a plate; uploads are collected into `assets` (id -> entry)
+async function motifReference(url, assets, nr) {
+  if (isRemoteUrl(url)) {
+    return { kind: url.startsWith(PRICING.catalogMotifPrefix) ? "catalog" : "url", url };
+  }
+  let id = assetIdOf(url);
+  if (!id) {
+    // data: URL not yet moved into the asset store (fresh import)
+    id = [...assets.values()].find((a) => a.dataUrl === url)?.id ?? `inline-${assets.size + 1}`;
+    if (!assets.has(id)) {
+      assets.set(id, { id, mimeType: url.slice(5, url.indexOf(";")), size: null, dataUrl: url });
+    }
+    return { kind: "upload", assetId: id };
+  }
+  if (!assets.has(id)) {
+    const blob = await getMotifAsset(id);
+    if (!blob) throw new OrderError("invalid", { errors: [message("checkout.motifMissing", { nr })] });
+    assets.set(id, { id, mimeType: blob.type, size: blob.size, dataUrl: await blobToDataUrl(blob) });
+  }
+  return { kind: "upload", assetId: id };
+}
+
+/**
+ * Build the order payload (see top). `previewPng`: PNG data URL of the
+ * preview or null; `maxPlates`: see validateOrder. Throws
+ * OrderError("invalid") if validateOrder finds problems or an uploaded
+ * motif is gone from the asset store.
+ */
+export async function buildOrder({
+  plates,
+  rows = [],
+  seams,
+  motifMode,
+  motifFill,
+  motifAdjust,
+  obstacles,
+  unit,
+  price,
+  addOnIds = [],
+  previewPng = null,
+  maxPlates,
+}) {
+  const errors = validateOrder(plates, maxPlates);
+  if (errors.length) throw new OrderError("invalid", { errors });
+
+  const layout = computePlateLayout(plates, rows, seams);
+  const cutouts = cutoutsByPlate(obstacles || []);
+  const assets = new Map();
+  const orderPlates = [];
+  for (const item of layout.items) {
+    orderPlates.push({
+      index: item.index + 1,
+      row: item.row,
+      xMm: mm(item.xCm),
+      yMm: mm(item.bottomCm),
+      widthMm: mm(item.widthCm),
+      heightMm: mm(item.heightCm),
+      seamRightMm: mm(layout.joints.find((j) => j.leftIndex === item.index)?.widthCm ?? 0),
+      materialId: item.plate.materialId,
+      thicknessMm: item.plate.thicknessMm,
+      motif: await motifReference(item.plate.motifUrl, assets, item.index + 1),
+      crop: normalizeCrop(item.plate.motifCrop),
+      motifXMm: motifMode === MOTIF_MODE_INDIVIDUAL ? 0 : mm(item.motifXCm),
+      motifYMm: motifMode === MOTIF_MODE_INDIVIDUAL ? 0 : mm(item.motifYCm),
+      cutouts: (cutouts[item.index] || []).map(cutoutToMm),
+    });
+  }
+
+  return {
+    type: ORDER_TYPE,
+    version: ORDER_VERSION,
+    orderId: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    locale: getLocale(),
+    unit,
+    plates: orderPlates,
+    motif: {
+      mode: motifMode,
+      widthMm: mm(layout.motifWidthCm),
+      heightMm: mm(layout.motifHeightCm),
+      fill: normalizeFill(motifFill),
+      adjust: normalizeAdjust(motifAdjust),
+    },
+    seams: normalizeSeams(seams),
+    assets: [...assets.values()],
+    price: {
+      currency: price?.currency ?? PRICING.currency,
+      total: price?.total ?? null,
+      vat: price?.vat ?? null,
+      addOnIds,
+      breakdown: price ?? null,
+    },
+    preview: previewPng ? { mimeType: "image/png", dataUrl: previewPng } : null,
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// Retry-After in seconds (HTTP dates are ignored), capped at 30 s
+function retryAfterMs(res) {
+  const seconds = Number(res?.headers.get("Retry-After"));
+  return Number.isFinite(seconds) && seconds > 0 ? Math.min(seconds, 30) * 1000 : 0;
+}
+
+async function readErrors(res) {
+  try {
+    const body = await res.json();
+    if (Array.isArray(body?.errors)) return body.errors.map(String);
+    return body?.message ? [String(body.message)] : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Send `order` to the cart endpoint (see top).
+ * - onAttempt(attempt, total): called before every request (UI progress)
+ */
+export async function submitOrder(
+  order,
+  {
+    endpoint = CART_ENDPOINT,
+    retries = CHECKOUT_RETRIES,
+    retryDelayMs = CHECKOUT_RETRY_DELAY_MS,
+    timeoutMs = CHECKOUT_TIMEOUT_MS,
+    onAttempt,
+  } = {}
+) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    throw new OrderError("offline");
+  }
+  const body = JSON.stringify(order);
+  const total = retries + 1;
+  let failure = null;
+
+  for (let attempt = 1; attempt <= total; attempt++) {
+    onAttempt?.(attempt, total);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res = null;
+    try {
+      res = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Idempotency-Key": order.orderId },
+        body,
+        signal: controller.signal,
+      });
+      if (res.ok) {
+        const result = await res.json().catch(() => ({}));
+        Logger.info("Order submitted", { orderId: order.orderId, attempt, answer: result });
+        return { orderId: order.orderId, ...result };
+      }
+      if (!isRetryableStatus(res.status)) {
+        throw new OrderError("rejected", { status: res.status, errors: await readErrors(res) });
+      }
+      failure = new OrderError("server", { status: res.status });
+    } catch (err) {
+      if (err instanceof OrderError) throw err;
+      failure = new OrderError(err?.name === "AbortError" ? "timeout" : "network", { cause: err });
+    } finally {
+      clearTimeout(timer);
+    }
+    Logger.warn("Order submission attempt failed", { orderId: order.orderId, attempt, kind: failure.kind, status: failure.status });
+    if (attempt < total) await wait(Math.max(retryAfterMs(res), retryDelayMs * 2 ** (attempt - 1)));
+  }
+  throw failure;
+}
@@ -0,0 +1,222 @@
+import { HEIGHT_MAX } from "../constants/limits.js";
+import {
+  DEFAULT_SEAMS,
+  SEAM_MAX_MM,
+  SEAM_MOTIF_CONTINUOUS,
+  SEAM_MOTIF_SHIFTED,
+} from "../constants/config.js";
+
+// Horizontal alignment of a row inside the frame
+export const ROW_ALIGNS = ["left", "center", "right"];
+export const DEFAULT_ROW = { align: "left" };
+
+/** Row of a plate (0 = bottom row); plates saved before rows existed are in row 0. */
+export function plateRow(plate) {
+  const row = Number(plate?.row);
+  return Number.isInteger(row) && row > 0 ? row : 0;
+}
+
+/** Sanitize one per-row setting ({ align }). */
+export function normalizeRow(row) {
+  return { align: ROW_ALIGNS.includes(row?.align) ? row.align : DEFAULT_ROW.align };
+}
+
+/** Plates grouped by row (bottom row first); list order is kept within a row. */
+export function groupPlatesByRow(plates) {
+  const groups = [[]];
+  for (const plate of Array.isArray(plates) ? plates : []) {
+    const row = plateRow(plate);
+    while (groups.length <= row) groups.push([]);
+    groups[row].push(plate);
+  }
+  return groups;
+}
+
+/**
+ * Flatten row groups back into one plate list.
+ * - Empty rows are dropped and the rest renumbered from 0; `rows` (per-row
+ *   settings, same indexes as `groups`) is compacted the same way.
+ * - The list is ordered row by row, so plate numbers run from the bottom
+ *   row up.
+ * Returns { plates, rows }.
+ */
+export function flattenPlateRows(groups, rows = []) {
+  const plates = [];
+  const nextRows = [];
+  groups.forEach((group, r) => {
+    if (group.length === 0) return;
+    const row = nextRows.length;
+    nextRows.push(normalizeRow(rows[r]));
+    for (const plate of group) plates.push(plateRow(plate) === row ? plate : { ...plate, row });
+  });
+  return { plates, rows: nextRows };
+}
+
+const clampSeamMm = (mm) => Math.min(SEAM_MAX_MM, Math.max(0, mm));
+
+/** Sanitize the global seam settings ({ widthMm, trimColor, motif }). */
+export function normalizeSeams(seams) {
+  const widthMm = Number(seams?.widthMm);
+  return {
+    widthMm: Number.isFinite(widthMm) ? clampSeamMm(widthMm) : DEFAULT_SEAMS.widthMm,
+    trimColor: /^#[0-9a-f]{6}$/i.test(seams?.trimColor ?? "") ? seams.trimColor : null,
+    motif: seams?.motif === SEAM_MOTIF_SHIFTED ? SEAM_MOTIF_SHIFTED : SEAM_MOTIF_CONTINUOUS,
+  };
+}
+
+/** Width (mm) of the joint to the right of `plate`: its own override or the global width. */
+export function jointWidthMm(plate, seams) {
+  const own = plate?.seamRightMm;
+  return own === null || own === undefined || !Number.isFinite(Number(own))
+    ? normalizeSeams(seams).widthMm
+    : clampSeamMm(Number(own));
+}
+
+/**
+ * Physical layout of the plates in cm — the single source of truth for
+ * the preview (which scales it to px) and the exports (which render it).
+ *
+ * Plates sit in rows stacked from the bottom (`plate.row`, 0 = bottom).
+ * A row is as tall as its tallest plate, its plates are bottom-aligned
+ * and the row is aligned left / center / right (`rows[i].align`) within
+ * the widest row.
+ *
+ * Seams: neighbouring plates in a row are `jointWidthMm` apart, stacked
+ * rows the global `seams.widthMm`; the gaps count towards the total size.
+ *
+ * Coordinates: origin at the top-left of the frame; the frame is
+ * `totalWidthCm` (widest row) wide and at least `HEIGHT_MAX` tall
+ * (`frameHeightCm`, more when the rows stack higher).
+ *
+ * The spanning motif covers the motif frame (`motifWidthCm` ×
+ * `motifHeightCm`), and each plate shows it from `motifXCm` / `motifYCm`
+ * (top-left, motif frame coordinates). With continuous seams that is the
+ * frame itself; with shifted seams the gaps are left out, so the plates
+ * show the motif as if they were butted together.
+ *
+ * Returns {
+ *   totalWidthCm, frameHeightCm, stackHeightCm, seamsCm, motifWidthCm, motifHeightCm,
+ *   rows: [{ index, align, xCm, bottomCm, widthCm, heightCm }],
+ *   items: [{ plate, index, row, xCm, yCm, bottomCm, widthCm, heightCm, motifXCm, motifYCm }],
+ *   joints: [{ row, leftIndex?, rightIndex?, horizontal?, xCm, bottomCm, widthCm, heightCm }]
+ * }
+ * `bottomCm` is measured from the frame's bottom edge; `joints` are the
+ * gaps between neighbouring plates of a row and (`horizontal`) between
+ * stacked rows, empty without seams; `seamsCm` is the width the gaps add
+ * to the widest row.
+ */
+export function computePlateLayout(plates, rows = [], seams = DEFAULT_SEAMS) {
+  const list = Array.isArray(plates) ? plates : [];
+  const rowGapCm = normalizeSeams(seams).widthMm / 10;
+  const shifted = normalizeSeams(seams).motif === SEAM_MOTIF_SHIFTED;
+  const size = (plate) => ({
+    widthCm: Number(plate?.widthCm) || 0,
+    heightCm: Number(plate?.heightCm) || 0,
+  });
+
+  // Plates per row in list order; a joint follows every plate but the row's last
+  const groups = groupPlatesByRow(list.map((plate, index) => ({ plate, index, row: plateRow(plate) })));
+  const gapAfter = new Map(); // list index -> joint width (cm)
+  const rightOf = new Map(); // list index -> list index of the next plate in the row
+  for (const group of groups) {
+    group.slice(0, -1).forEach(({ plate, index }, k) => {
+      gapAfter.set(index, jointWidthMm(plate, seams) / 10);
+      rightOf.set(index, group[k + 1].index);
+    });
+  }
+
+  // Row sizes and vertical stacking
+  const rowBoxes = groups.map((group, index) => ({
+    index,
+    align: normalizeRow(rows[index]).align,
+    xCm: 0,
+    bottomCm: 0,
+    widthCm: group.reduce((sum, { plate, index: i }) => sum + size(plate).widthCm + (gapAfter.get(i) || 0), 0),
+    plainWidthCm: group.reduce((sum, { plate }) => sum + size(plate).widthCm, 0),
+    heightCm: Math.max(0, ...group.map(({ plate }) => size(plate).heightCm)),
+  }));
+  let stackHeightCm = 0;
+  rowBoxes.forEach((box, r) => {
+    if (r > 0) stackHeightCm += rowGapCm;
+    box.bottomCm = stackHeightCm;
+    stackHeightCm += box.heightCm;
+  });
+  const totalWidthCm = Math.max(0, ...rowBoxes.map((box) => box.widthCm));
+  const frameHeightCm = Math.max(HEIGHT_MAX, stackHeightCm);
+  // Motif frame: the frame itself, or without the gaps when shifted
+  const rowGapsCm = rowGapCm * Math.max(0, rowBoxes.length - 1);
+  const motifWidthCm = shifted ? Math.max(0, ...rowBoxes.map((box) => box.plainWidthCm)) : totalWidthCm;
+  const motifHeightCm = shifted ? Math.max(HEIGHT_MAX, stackHeightCm - rowGapsCm) : frameHeightCm;
+
+  // Row alignment, in the frame and (shifted) in the motif frame
+  const alignOffset = (align, free) => (align === "right" ? free : align === "center" ? free / 2 : 0);
+  for (const box of rowBoxes) {
+    box.xCm = alignOffset(box.align, totalWidthCm - box.widthCm);
+    box.motifXCm = shifted ? alignOffset(box.align, motifWidthCm - box.plainWidthCm) : box.xCm;
+  }
+
+  // Plates: running offset per row (cm), and the gaps passed so far
+  const cursor = rowBoxes.map((box) => box.xCm);
+  const gapsBefore = rowBoxes.map(() => 0);
+  const joints = [];
+  const items = list.map((plate, index) => {
+    const row = plateRow(plate);
+    const { widthCm, heightCm } = size(plate);
+    const bottomCm = rowBoxes[row].bottomCm;
+    const motifBottomCm = shifted ? bottomCm - rowGapCm * row : bottomCm;
+    const item = {
+      plate,
+      index,
+      row,
+      xCm: cursor[row],
+      yCm: frameHeightCm - bottomCm - heightCm,
+      bottomCm,
+      widthCm,
+      heightCm,
+      motifXCm: rowBoxes[row].motifXCm + cursor[row] - rowBoxes[row].xCm - (shifted ? gapsBefore[row] : 0),
+      motifYCm: motifHeightCm - motifBottomCm - heightCm,
+    };
+    cursor[row] += widthCm;
+    const gap = gapAfter.get(index) || 0;
+    if (gapAfter.has(index)) {
+      joints.push({ row, leftIndex: index, rightIndex: rightOf.get(index), xCm: cursor[row], bottomCm, widthCm: gap });
+    }
+    cursor[row] += gap;
+    gapsBefore[row] += gap;
+    return item;
+  });
+
+  // A joint is as tall as the lower of its two plates
+  for (const joint of joints) {
+    joint.heightCm = Math.min(items[joint.leftIndex].heightCm, items[joint.rightIndex].heightCm);
+  }
+  // Horizontal joints between stacked rows, where the two rows overlap
+  rowBoxes.slice(1).forEach((box, k) => {
+    const below = rowBoxes[k];
+    const left = Math.max(box.xCm, below.xCm);
+    const right = Math.min(box.xCm + box.widthCm, below.xCm + below.widthCm);
+    if (right > left) {
+      joints.push({ row: box.index, horizontal: true, xCm: left, bottomCm: box.bottomCm - rowGapCm, widthCm: right - left, heightCm: rowGapCm });
+    }
+  });
+
+  const widest = rowBoxes.reduce((a, b) => (b.widthCm > a.widthCm ? b : a), rowBoxes[0]);
+  return {
+    totalWidthCm,
+    frameHeightCm,
+    stackHeightCm,
+    seamsCm: widest.widthCm - widest.plainWidthCm,
+    motifWidthCm,
+    motifHeightCm,
+    rows: rowBoxes.map(({ index, align, xCm, bottomCm, widthCm, heightCm }) => ({
+      index,
+      align,
+      xCm,
+      bottomCm,
+      widthCm,
+      heightCm,
+    })),
+    items,
+    joints: joints.filter((joint) => joint.widthCm > 0 && joint.heightCm > 0),
+  };
+}
@@ -0,0 +1,78 @@
+import { PRICING } from "../constants/pricing.js";
+import { intlLocale } from "../i18n/index.js";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** True if the motif is not from the shop catalog (upload or foreign URL). */
+export function isCustomMotif(url, pricing = PRICING) {
+  return typeof url === "string" && !url.startsWith(pricing.catalogMotifPrefix);
+}
+
+/**
+ * Price breakdown for a list of plates.
+ * - Base: area (m²) × the material's rate (materialPricePerSqm, else
+ *   pricePerSqm) per plate, at least minChargePerPlate.
+ * - Custom motif surcharge: once per distinct non-catalog motif.
+ * - Add-ons: selected by id; priced per plate, per m² or flat.
+ *
+ * Returns {
+ *   currency,
+ *   plates: [{ index, areaSqm, base, minApplied }],
+ *   customMotifs: { count, total },
+ *   addOns: [{ id, total }],
+ *   areaSqm, total, vat
+ * }
+ */
+export function calculatePrice(plates, { addOnIds = [], pricing = PRICING } = {}) {
+  const list = Array.isArray(plates) ? plates : [];
+
+  const platePrices = list.map((p, index) => {
+    const areaSqm = ((Number(p?.widthCm) || 0) * (Number(p?.heightCm) || 0)) / 10000;
+    const rate = pricing.materialPricePerSqm?.[p?.materialId] ?? pricing.pricePerSqm;
+    const byArea = round2(areaSqm * rate);
+    const minApplied = byArea < pricing.minChargePerPlate;
+    return {
+      index,
+      areaSqm: round2(areaSqm),
+      base: minApplied ? pricing.minChargePerPlate : byArea,
+      minApplied,
+    };
+  });
+  const areaSqm = round2(platePrices.reduce((s, p) => s + p.areaSqm, 0));
+
+  const customUrls = new Set(
+    list.map((p) => p?.motifUrl).filter((url) => isCustomMotif(url, pricing))
+  );
+  const customMotifs = {
+    count: customUrls.size,
+    total: round2(customUrls.size * pricing.customMotifSurcharge),
+  };
+
+  const addOns = pricing.addOns
+    .filter((a) => addOnIds.includes(a.id))
+    .map((a) => {
+      const qty = a.type === "perPlate" ? list.length : a.type === "perSqm" ? areaSqm : 1;
+      return { id: a.id, total: round2(qty * a.price) };
+    });
+
+  const total = round2(
+    platePrices.reduce((s, p) => s + p.base, 0) +
+      customMotifs.total +
+      addOns.reduce((s, a) => s + a.total, 0)
+  );
+
+  return {
+    currency: pricing.currency,
+    plates: platePrices,
+    customMotifs,
+    addOns,
+    areaSqm,
+    total,
+    vat: round2(total - total / (1 + pricing.vatRate)),
+  };
+}
+
+/** Format an amount as currency in the UI locale, e.g. "123,45 €". */
+export function formatPrice(amount, currency = PRICING.currency, locale = intlLocale()) {
+  return new Intl.NumberFormat(locale, { style: "currency", currency }).format(amount || 0);
+}
@@ -0,0 +1,77 @@
+import { MOTIF_MODE_INDIVIDUAL, PRINT_QUALITY_DPI } from "../constants/config.js";
+import { computePlateLayout } from "./plateLayout.js";
+import { motifTiles, tileImageRect } from "./motifFill.js";
+import { isCustomMotif } from "./pricing.js";
+import { CM_PER_IN } from "./units.js";
+
+// Quality levels: "good" | "fair" | "poor"; labels "quality.<level>" in src/i18n/messages
+
+/**
+ * Effective print resolution of an image of `imageSize` ({ width, height }
+ * in px) filled into an area of `areaWcm` × `areaHcm` per `fill` — uses
+ * the same tile and cover-fit + zoom math as the preview and exports (a
+ * stretched image counts with its coarser axis). Returns null if the image
+ * size is unknown.
+ */
+export function effectiveDpi(imageSize, areaWcm, areaHcm, crop, fill) {
+  if (!(imageSize?.width > 0 && imageSize?.height > 0) || !(areaWcm > 0 && areaHcm > 0)) return null;
+  const [tile] = motifTiles(fill, { width: areaWcm, height: areaHcm, perCmX: 1, imageSize, crop }).tiles;
+  const { rect } = tileImageRect(tile, imageSize, crop);
+  return Math.min(imageSize.width / rect.width, imageSize.height / rect.height) * CM_PER_IN;
+}
+
+/** "good" | "fair" | "poor" for a DPI value (null if unknown). */
+export function qualityLevel(dpi, thresholds = PRINT_QUALITY_DPI) {
+  if (!Number.isFinite(dpi)) return null;
+  if (dpi >= thresholds.good) return "good";
+  if (dpi >= thresholds.fair) return "fair";
+  return "poor";
+}
+
+const LEVEL_ORDER = ["good", "fair", "poor"];
+
+/**
+ * Print quality for every plate.
+ * - Span mode: the motif is filled into the motif frame per `motifFill`
+ *   (all tiles are equal), so every plate shares the same DPI.
+ * - Individual mode: each plate's own motif is filled into that plate.
+ * `rows` / `seams` are passed on to computePlateLayout (a shifted motif
+ * covers a slightly smaller area).
+ * `imageSizes` maps motif URL -> { width, height } (see useImageSizes).
+ * Catalog motifs are printed from the shop's master files, so only custom
+ * motifs (uploads / foreign URLs) are checked; catalog plates get level null.
+ *
+ * Returns { plates: [{ id, index, url, dpi, level }], worst } where `worst`
+ * is the lowest known level (null while sizes are loading).
+ */
+export function computePrintQuality({ plates, rows, seams, motifMode, motifUrl, motifCrop, motifFill, imageSizes }) {
+  const layout = computePlateLayout(plates, rows, seams);
+  const isIndividual = motifMode === MOTIF_MODE_INDIVIDUAL;
+  const spanDpi = isIndividual
+    ? null
+    : effectiveDpi(imageSizes?.[motifUrl], layout.motifWidthCm, layout.motifHeightCm, motifCrop, motifFill);
+
+  const result = layout.items.map((item) => {
+    const url = isIndividual ? item.plate.motifUrl || motifUrl : motifUrl;
+    if (!isCustomMotif(url)) {
+      return { id: item.plate.id, index: item.index, url, dpi: null, level: null };
+    }
+    const dpi = isIndividual
+      ? effectiveDpi(imageSizes?.[url], item.widthCm, item.heightCm, item.plate.motifCrop, motifFill)
+      : spanDpi;
+    return {
+      id: item.plate.id,
+      index: item.index,
+      url,
+      dpi: dpi === null ? null : Math.round(dpi),
+      level: qualityLevel(dpi),
+    };
+  });
+
+  const worst = result.reduce((w, q) => {
+    if (!q.level) return w;
+    return !w || LEVEL_ORDER.indexOf(q.level) > LEVEL_ORDER.indexOf(w) ? q.level : w;
+  }, null);
+
+  return { plates: result, worst };
+}
@@ -0,0 +1,142 @@
+// src/utils/projects.js
+import { STORAGE_KEY_PROJECTS, MOTIF_MODE_SPAN, MOTIF_MODE_INDIVIDUAL } from "../constants/config.js";
+import { assetIdsOf } from "./assetStore.js";
+import { normalizeWall } from "./wallContext.js";
+import { computePlateLayout, normalizeRow, normalizeSeams } from "./plateLayout.js";
+import { legacyFill, normalizeFill } from "./motifFill.js";
+import { normalizeAdjust } from "./motifAdjust.js";
+import { UNITS } from "./units.js";
+import { Logger } from "./logger.js";
+import { t } from "../i18n/index.js";
+
+/**
+ * Named projects.
+ *
+ * Store shape (localStorage, STORAGE_KEY_PROJECTS):
+ * {
+ *   activeId,
+ *   projects: [{ id, name, createdAt, updatedAt, thumbnail, data: { plates, unit, motifMode, wall, rows, seams, motifFill, motifAdjust } }]
+ * }
+ * `thumbnail` is a small JPEG data URL of the preview (or null);
+ * timestamps are ms since epoch. `rows` holds the per-row settings
+ * ({ align }) for `plate.row`, `seams` the global joint settings and
+ * `motifFill` the fill mode (projects saved before fill modes get the
+ * mirror tiling they used to show, see legacyFill) and `motifAdjust` the
+ * motif filters.
+ */
+
+const MOTIF_MODES = [MOTIF_MODE_SPAN, MOTIF_MODE_INDIVIDUAL];
+
+function sanitizeData(data) {
+  const plates = Array.isArray(data?.plates) ? data.plates : [];
+  const motifMode = MOTIF_MODES.includes(data?.motifMode) ? data.motifMode : MOTIF_MODE_SPAN;
+  const rows = Array.isArray(data?.rows) ? data.rows.map(normalizeRow) : [];
+  const seams = normalizeSeams(data?.seams);
+  return {
+    plates,
+    unit: UNITS.includes(data?.unit) ? data.unit : "cm",
+    motifMode,
+    wall: normalizeWall(data?.wall),
+    rows,
+    seams,
+    motifFill: data?.motifFill
+      ? normalizeFill(data.motifFill)
+      : legacyFill(computePlateLayout(plates, rows, seams).motifWidthCm, motifMode === MOTIF_MODE_SPAN),
+    motifAdjust: normalizeAdjust(data?.motifAdjust),
+  };
+}
+
+/** New project record for `data` ({ plates, unit, motifMode, wall?, rows?, seams?, motifFill?, motifAdjust? }). */
+export function createProject(name, data) {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    thumbnail: null,
+    data: sanitizeData(data),
+  };
+}
+
+/** First free "Projekt N" style name (in the current locale). */
+export function nextProjectName(projects, base = t("projects.project")) {
+  const names = new Set(projects.map((p) => p.name));
+  let n = projects.length + 1;
+  while (names.has(`${base} ${n}`)) n += 1;
+  return `${base} ${n}`;
+}
+
+/** Name for a copy, e.g. "Küche (Kopie)", "Küche (Kopie 2)". */
+export function copyName(projects, name) {
+  const names = new Set(projects.map((p) => p.name));
+  let candidate = t("projects.copy", { name });
+  for (let n = 2; names.has(candidate); n += 1) candidate = t("projects.copyN", { name, n });
+  return candidate;
+}
+
+function readStore() {
+  const raw = JSON.parse(localStorage.getItem(STORAGE_KEY_PROJECTS) || "null");
+  if (!raw || !Array.isArray(raw.projects)) return null;
+  const projects = raw.projects
+    .filter((p) => p && typeof p.id === "string" && Array.isArray(p.data?.plates) && p.data.plates.length)
+    .map((p) => ({
+      id: p.id,
+      name: typeof p.name === "string" && p.name.trim() ? p.name : t("projects.project"),
+      createdAt: Number(p.createdAt) || Date.now(),
+      updatedAt: Number(p.updatedAt) || Date.now(),
+      thumbnail: typeof p.thumbnail === "string" ? p.thumbnail : null,
+      data: sanitizeData(p.data),
+    }));
+  if (!projects.length) return null;
+  const activeId = projects.some((p) => p.id === raw.activeId) ? raw.activeId : projects[0].id;
+  return { activeId, projects };
+}
+
+/**
+ * Load the project store.
+ * - No store yet: `legacy()` provides the old single configuration
+ *   ({ plates, unit, motifMode }), which becomes the first project.
+ * - `shared` (a validated shared-link configuration) is added as a new,
+ *   active project so it never overwrites existing work.
+ */
+export function loadProjectStore({ legacy, shared }) {
+  let store = null;
+  try {
+    store = readStore();
+  } catch (err) {
+    Logger.error("Failed to read projects from localStorage", err);
+  }
+  if (!store) {
+    const first = createProject(t("projects.first"), legacy());
+    Logger.info("Migrated single configuration into the first project");
+    store = { activeId: first.id, projects: [first] };
+  }
+  if (shared) {
+    const project = createProject(nextProjectName(store.projects, t("projects.shared")), shared);
+    store = { activeId: project.id, projects: [...store.projects, project] };
+    Logger.info("Shared configuration opened as new project", { id: project.id });
+  }
+  return store;
+}
+
+/**
+ * Store of the embedded widget (utils/embed): a single project from the
+ * host's config, or `defaults()` without one. It lives in memory only, so
+ * a shop page never touches the projects of the standalone app (same
+ * origin, same localStorage).
+ */
+export function createEmbedStore(config, defaults) {
+  const project = createProject(t("projects.first"), config || defaults());
+  return { activeId: project.id, projects: [project] };
+}
+
+/** Persist the store; throws (e.g. QuotaExceededError) so callers can warn. */
+export function saveProjectStore(store) {
+  localStorage.setItem(STORAGE_KEY_PROJECTS, JSON.stringify(store));
+}
+
+/** Motif asset ids referenced by any project (for asset garbage collection). */
+export function assetIdsOfProjects(projects) {
+  return projects.flatMap((p) => assetIdsOf(p.data.plates));
+}
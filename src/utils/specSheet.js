@@ -0,0 +1,366 @@
+// src/utils/specSheet.js
+import { jsPDF } from "jspdf";
+import { MOTIF_MODE_INDIVIDUAL } from "../constants/config.js";
+import { computePlateLayout } from "./plateLayout.js";
+import { fillLabel, normalizeFill } from "./motifFill.js";
+import { loadImage, renderMotifAreaCanvas } from "./exportProduction.js";
+import { downloadBlob } from "./download.js";
+import { formatPrice } from "./pricing.js";
+import { materialLabel } from "./materials.js";
+import { cutoutsByPlate } from "./wallContext.js";
+import { formatNumber } from "./number.js";
+import { UNIT_LABELS, formatLength } from "./units.js";
+import { Logger } from "./logger.js";
+import { intlLocale, t } from "../i18n/index.js";
+
+/**
+ * Spec sheet (technical drawing) of the current configuration.
+ *
+ * The sheet is built once as a list of simple primitives in page mm
+ * (rect, line, circle, text, image) from `computePlateLayout` — the same
+ * layout the preview uses — and then rendered to SVG or PDF. Both outputs
+ * therefore always show identical geometry.
+ */
+
+// A4 landscape, all values in mm
+const PAGE = { w: 297, h: 210, margin: 15 };
+const STROKE = "#111827";
+const MUTED = "#6b7280";
+const CUTOUT = "#dc2626";
+const DASH = [1, 0.8];
+
+// Callout units; lengths are formatted by utils/units.formatLength
+export const SPEC_UNITS = ["mm", "cm", "in", "ft"];
+
+// --- Model ------------------------------------------------------------------
+
+// Horizontal dimension line with end ticks and a centred label above it
+function hDimension(out, x1, x2, y, label) {
+  out.push({ type: "line", x1, y1: y, x2, y2: y, stroke: STROKE, width: 0.2 });
+  out.push({ type: "line", x1, y1: y - 1.5, x2: x1, y2: y + 1.5, stroke: STROKE, width: 0.2 });
+  out.push({ type: "line", x1: x2, y1: y - 1.5, x2, y2: y + 1.5, stroke: STROKE, width: 0.2 });
+  out.push({ type: "text", x: (x1 + x2) / 2, y: y - 1.2, text: label, size: 2.6, anchor: "middle" });
+}
+
+// Vertical dimension line with end ticks and a label rotated along it
+function vDimension(out, x, y1, y2, label) {
+  out.push({ type: "line", x1: x, y1, x2: x, y2, stroke: STROKE, width: 0.2 });
+  out.push({ type: "line", x1: x - 1.5, y1, x2: x + 1.5, y2: y1, stroke: STROKE, width: 0.2 });
+  out.push({ type: "line", x1: x - 1.5, y1: y2, x2: x + 1.5, y2, stroke: STROKE, width: 0.2 });
+  out.push({ type: "text", x: x - 1.2, y: (y1 + y2) / 2, text: label, size: 2.6, anchor: "middle", rotate: -90 });
+}
+
+/**
+ * Build the sheet as primitives.
+ * - plates, rows, seams (see computePlateLayout), unit (one of SPEC_UNITS)
+ * - thumbnails: [{ dataUrl, label, aspect }] (aspect = width / height)
+ * - price: optional breakdown from utils/pricing (adds a price column + total)
+ * - obstacles: optional located wall obstacles; their cutouts are drawn
+ *   dashed on the plates with the centre position from the plate's left/bottom edge
+ * - date: Date used in the title block
+ * Returns { width, height, items }.
+ */
+export function buildSpecSheet({ plates, rows, seams, unit = "cm", thumbnails = [], price, obstacles = [], date = new Date() }) {
+  const layout = computePlateLayout(plates, rows, seams);
+  const cutouts = cutoutsByPlate(obstacles);
+  const items = [];
+  const { margin } = PAGE;
+
+  // Title block
+  items.push({ type: "text", x: margin, y: margin + 2, text: t("spec.title"), size: 5, bold: true });
+  items.push({
+    type: "text",
+    x: PAGE.w - margin,
+    y: margin + 2,
+    text: date.toLocaleDateString(intlLocale()),
+    size: 3,
+    anchor: "end",
+    fill: MUTED,
+  });
+
+  // Drawing area (leave room for dimension lines around it)
+  const area = { x: margin + 8, y: margin + 22, w: PAGE.w - 2 * margin - 8, h: 95 };
+  const totalW = Math.max(1, layout.totalWidthCm);
+  const maxH = Math.max(1, layout.stackHeightCm);
+  const s = Math.min(area.w / totalW, area.h / maxH); // page mm per cm (isotropic, true to scale)
+  const originX = area.x + (area.w - totalW * s) / 2;
+  const baseY = area.y + area.h; // bottom edge of the lowest row
+
+  // Total width dimension (matches PlatesSummary)
+  const topY = baseY - maxH * s - 6;
+  hDimension(items, originX, originX + totalW * s, topY, t(layout.seamsCm > 0 ? "spec.totalWidthSeams" : "spec.totalWidth", { length: formatLength(layout.totalWidthCm, unit) }));
+  if (layout.rows.length > 1) {
+    vDimension(items, originX - 4, baseY - maxH * s, baseY, t("spec.totalHeight", { length: formatLength(layout.stackHeightCm, unit) }));
+  }
+
+  for (const it of layout.items) {
+    const x = originX + it.xCm * s;
+    const w = it.widthCm * s;
+    const h = it.heightCm * s;
+    const y = baseY - (it.bottomCm + it.heightCm) * s;
+
+    items.push({ type: "rect", x, y, w, h, stroke: STROKE, width: 0.35 });
+
+    // Plate number (matches PlateItem's index badge)
+    const r = Math.min(3, w / 4, h / 4);
+    items.push({ type: "circle", cx: x + w / 2, cy: y + r + 2, r, stroke: STROKE, width: 0.25 });
+    items.push({ type: "text", x: x + w / 2, y: y + r + 2 + r * 0.35, text: String(it.index + 1), size: r, anchor: "middle", bold: true });
+
+    // Width below (inside the plate above the bottom row), height inside along the left edge
+    hDimension(items, x, x + w, it.row === 0 ? baseY + 6 : y + h - 3, formatLength(it.widthCm, unit));
+    vDimension(items, x + 4, y, y + h, formatLength(it.heightCm, unit));
+
+    for (const c of cutouts[it.index] || []) {
+      const cx = x + c.xCm * s;
+      const cy = y + h - c.yCm * s;
+      const cw = c.widthCm * s;
+      const ch = c.heightCm * s;
+      if (c.shape === "round") {
+        items.push({ type: "circle", cx, cy, r: cw / 2, stroke: CUTOUT, width: 0.25, fill: "none", dash: DASH });
+      } else {
+        items.push({ type: "rect", x: cx - cw / 2, y: cy - ch / 2, w: cw, h: ch, stroke: CUTOUT, width: 0.25, dash: DASH });
+      }
+      const pos = `${c.label ? `${c.label}: ` : ""}${formatLength(c.xCm, unit)} / ${formatLength(c.yCm, unit)}`;
+      items.push({ type: "text", x: cx, y: cy + ch / 2 + 2.2, text: pos, size: 1.8, anchor: "middle", fill: CUTOUT });
+    }
+  }
+
+  // Scale note (1 : N, rounded)
+  const ratio = Math.round(10 / s);
+  const seamWidths = [...new Set(layout.joints.map((j) => Math.round(j.widthCm * 10)))].sort((a, b) => a - b);
+  const seamNote = seamWidths.length ? ` · ${t("spec.seams", { widths: seamWidths.join(" / ") })}` : "";
+  items.push({ type: "text", x: margin, y: baseY + 14, text: `${t("spec.scale", { ratio, unit: UNIT_LABELS[unit] })}${seamNote}`, size: 2.8, fill: MUTED });
+  if (Object.keys(cutouts).length > 0) {
+    items.push({
+      type: "text",
+      x: PAGE.w - margin,
+      y: baseY + 14,
+      text: t("spec.cutouts"),
+      size: 2.4,
+      anchor: "end",
+      fill: CUTOUT,
+    });
+  }
+
+  // Bottom block: motif thumbnails (left) and plate table (right)
+  const blockY = baseY + 20;
+  let tx = margin;
+  for (const thumb of thumbnails) {
+    const th = 30;
+    const tw = Math.min(70, th * (thumb.aspect || 1));
+    items.push({ type: "image", x: tx, y: blockY, w: tw, h: th, href: thumb.dataUrl });
+    items.push({ type: "rect", x: tx, y: blockY, w: tw, h: th, stroke: MUTED, width: 0.2 });
+    items.push({ type: "text", x: tx, y: blockY + th + 4, text: thumb.label, size: 2.6, fill: MUTED });
+    tx += tw + 6;
+  }
+
+  const tableX = Math.max(tx + 4, PAGE.w - margin - 95);
+  const priceX = PAGE.w - margin; // right-aligned price column
+  const fmt = (n) => formatPrice(n, price?.currency);
+  const extras = price
+    ? price.customMotifs.total + price.addOns.reduce((s, a) => s + a.total, 0)
+    : 0;
+  const tableRows = 1 + layout.items.length + (price ? (extras > 0 ? 2 : 1) : 0);
+  const rowH = Math.min(4.5, (PAGE.h - margin / 2 - blockY - 3) / tableRows);
+
+  items.push({ type: "text", x: tableX, y: blockY + 3, text: t("spec.nr"), size: 2.8, bold: true });
+  items.push({ type: "text", x: tableX + 8, y: blockY + 3, text: t("spec.width"), size: 2.8, bold: true });
+  items.push({ type: "text", x: tableX + 28, y: blockY + 3, text: t("spec.height"), size: 2.8, bold: true });
+  items.push({ type: "text", x: tableX + 48, y: blockY + 3, text: t("spec.material"), size: 2.8, bold: true });
+  if (price) items.push({ type: "text", x: priceX, y: blockY + 3, text: t("spec.price"), size: 2.8, bold: true, anchor: "end" });
+  layout.items.forEach((it, i) => {
+    const y = blockY + 3 + (i + 1) * rowH;
+    items.push({ type: "text", x: tableX, y, text: String(it.index + 1), size: 2.8 });
+    items.push({ type: "text", x: tableX + 8, y, text: formatLength(it.widthCm, unit), size: 2.8 });
+    items.push({ type: "text", x: tableX + 28, y, text: formatLength(it.heightCm, unit), size: 2.8 });
+    const material = materialLabel(it.plate.materialId, { short: true });
+    items.push({ type: "text", x: tableX + 48, y, text: `${material} ${formatNumber(it.plate.thicknessMm)} mm`, size: 2.8 });
+    const p = price?.plates[i];
+    if (p) items.push({ type: "text", x: priceX, y, text: fmt(p.base), size: 2.8, anchor: "end" });
+  });
+
+  if (price) {
+    let y = blockY + 3 + (layout.items.length + 1) * rowH;
+    if (extras > 0) {
+      items.push({ type: "text", x: tableX, y, text: t("spec.extras"), size: 2.8 });
+      items.push({ type: "text", x: priceX, y, text: fmt(extras), size: 2.8, anchor: "end" });
+      y += rowH;
+    }
+    items.push({ type: "line", x1: tableX, y1: y - rowH + 1, x2: priceX, y2: y - rowH + 1, stroke: MUTED, width: 0.15 });
+    items.push({ type: "text", x: tableX, y, text: t("spec.total"), size: 2.8, bold: true });
+    items.push({ type: "text", x: priceX, y, text: fmt(price.total), size: 2.8, bold: true, anchor: "end" });
+  }
+
+  return { width: PAGE.w, height: PAGE.h, items };
+}
+
+// --- Renderers --------------------------------------------------------------
+
+const svgDash = (it) => (it.dash ? ` stroke-dasharray="${it.dash.join(" ")}"` : "");
+
+const esc = (str) =>
+  String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/** Render a sheet model to an SVG string (1 user unit = 1 mm). */
+export function renderSpecSheetSvg(sheet) {
+  const parts = sheet.items.map((it) => {
+    switch (it.type) {
+      case "rect":
+        return `<rect x="${it.x}" y="${it.y}" width="${it.w}" height="${it.h}" fill="none" stroke="${it.stroke}" stroke-width="${it.width}"${svgDash(it)}/>`;
+      case "line":
+        return `<line x1="${it.x1}" y1="${it.y1}" x2="${it.x2}" y2="${it.y2}" stroke="${it.stroke}" stroke-width="${it.width}"/>`;
+      case "circle":
+        return `<circle cx="${it.cx}" cy="${it.cy}" r="${it.r}" fill="${it.fill || "#ffffff"}" stroke="${it.stroke}" stroke-width="${it.width}"${svgDash(it)}/>`;
+      case "image":
+        return `<image x="${it.x}" y="${it.y}" width="${it.w}" height="${it.h}" href="${esc(it.href)}" preserveAspectRatio="xMidYMid slice"/>`;
+      case "text": {
+        const rotate = it.rotate ? ` transform="rotate(${it.rotate} ${it.x} ${it.y})"` : "";
+        return `<text x="${it.x}" y="${it.y}" font-size="${it.size}" text-anchor="${it.anchor || "start"}" fill="${it.fill || STROKE}"${it.bold ? ' font-weight="bold"' : ""}${rotate}>${esc(it.text)}</text>`;
+      }
+      default:
+        return "";
+    }
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${sheet.width}mm" height="${sheet.height}mm" viewBox="0 0 ${sheet.width} ${sheet.height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${sheet.width}" height="${sheet.height}" fill="#ffffff"/>`,
+    ...parts,
+    "</svg>",
+  ].join("\n");
+}
+
+// jsPDF's standard fonts are WinAnsi: swap characters it cannot encode
+const pdfText = (str) => String(str).replace(/–/g, "-");
+const PT_PER_MM = 72 / 25.4;
+
+/** Render a sheet model to a jsPDF document (A4 landscape, mm). */
+export function renderSpecSheetPdf(sheet) {
+  const doc = new jsPDF({ orientation: "landscape", unit: "mm", format: "a4" });
+
+  for (const it of sheet.items) {
+    switch (it.type) {
+      case "rect":
+        doc.setDrawColor(it.stroke);
+        doc.setLineWidth(it.width);
+        doc.setLineDashPattern(it.dash || [], 0);
+        doc.rect(it.x, it.y, it.w, it.h, "S");
+        doc.setLineDashPattern([], 0);
+        break;
+      case "line":
+        doc.setDrawColor(it.stroke);
+        doc.setLineWidth(it.width);
+        doc.line(it.x1, it.y1, it.x2, it.y2);
+        break;
+      case "circle":
+        doc.setDrawColor(it.stroke);
+        doc.setLineWidth(it.width);
+        doc.setLineDashPattern(it.dash || [], 0);
+        if (it.fill === "none") {
+          doc.circle(it.cx, it.cy, it.r, "S");
+        } else {
+          doc.setFillColor(it.fill || "#ffffff");
+          doc.circle(it.cx, it.cy, it.r, "FD");
+        }
+        doc.setLineDashPattern([], 0);
+        break;
+      case "image":
+        doc.addImage(it.href, "JPEG", it.x, it.y, it.w, it.h);
+        break;
+      case "text": {
+        const text = pdfText(it.text);
+        doc.setFont("helvetica", it.bold ? "bold" : "normal");
+        doc.setFontSize(it.size * PT_PER_MM);
+        doc.setTextColor(it.fill || STROKE);
+        if (it.rotate) {
+          // jsPDF ignores `align` for rotated text: shift the start point
+          // back along the text direction by half its width instead
+          const angle = -it.rotate; // jsPDF: counter-clockwise degrees
+          const rad = (angle * Math.PI) / 180;
+          const half = it.anchor === "middle" ? doc.getTextWidth(text) / 2 : 0;
+          doc.text(text, it.x - Math.cos(rad) * half, it.y + Math.sin(rad) * half, { angle });
+        } else {
+          const align = it.anchor === "middle" ? "center" : it.anchor === "end" ? "right" : "left";
+          doc.text(text, it.x, it.y, { align });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return doc;
+}
+
+// --- Thumbnails + download ----------------------------------------------------
+
+/**
+ * Motif thumbnails as JPEG data URLs, rendered with the real crop, fill and
+ * adjustments.
+ * Span mode: one thumbnail of the whole motif area. Individual mode: one
+ * per distinct motif, labelled with the plates that use it.
+ */
+export async function buildMotifThumbnails({ plates, rows, seams, motifMode, motifUrl, motifCrop, motifFill, motifAdjust }) {
+  const layout = computePlateLayout(plates, rows, seams);
+  const PX_PER_CM = 2;
+  const fill = fillLabel(normalizeFill(motifFill).mode);
+
+  const groups = [];
+  if (motifMode === MOTIF_MODE_INDIVIDUAL) {
+    for (const it of layout.items) {
+      const url = it.plate.motifUrl || motifUrl;
+      const group = groups.find((g) => g.url === url);
+      if (group) group.items.push(it);
+      else groups.push({ url, items: [it] });
+    }
+  } else {
+    groups.push({ url: motifUrl, items: layout.items });
+  }
+
+  const thumbs = [];
+  for (const g of groups) {
+    try {
+      const img = await loadImage(g.url);
+      const isIndividual = motifMode === MOTIF_MODE_INDIVIDUAL;
+      const first = g.items[0];
+      const wCm = isIndividual ? first.widthCm : layout.motifWidthCm;
+      const hCm = isIndividual ? first.heightCm : layout.motifHeightCm;
+      const canvas = renderMotifAreaCanvas({
+        img,
+        widthPx: wCm * PX_PER_CM,
+        heightPx: hCm * PX_PER_CM,
+        crop: isIndividual ? first.plate.motifCrop : motifCrop,
+        fill: motifFill,
+        adjust: motifAdjust,
+        pxPerCm: PX_PER_CM,
+      });
+      thumbs.push({
+        dataUrl: canvas.toDataURL("image/jpeg", 0.85),
+        aspect: canvas.width / canvas.height,
+        label: isIndividual
+          ? t("spec.motifPlates", { plates: g.items.map((it) => it.index + 1).join(", "), fill })
+          : t("spec.motif", { fill }),
+      });
+    } catch (err) {
+      // Missing CORS etc.: the drawing is still useful without a thumbnail
+      Logger.warn("Spec sheet: motif thumbnail skipped", err);
+    }
+  }
+  return thumbs;
+}
+
+/**
+ * Build and download the spec sheet as "svg" or "pdf".
+ */
+export async function exportSpecSheet({ format, plates, rows, seams, price, obstacles, unit, motifMode, motifUrl, motifCrop, motifFill, motifAdjust, filename = "Rueckwand-Zeichnung" }) {
+  const thumbnails = await buildMotifThumbnails({ plates, rows, seams, motifMode, motifUrl, motifCrop, motifFill, motifAdjust });
+  const sheet = buildSpecSheet({ plates, rows, seams, unit, thumbnails, price, obstacles });
+
+  if (format === "pdf") {
+    downloadBlob(renderSpecSheetPdf(sheet).output("blob"), `${filename}.pdf`);
+  } else {
+    const svg = renderSpecSheetSvg(sheet);
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), `${filename}.svg`);
+  }
+  Logger.info("Spec sheet export completed", { format, unit, plates: plates.length });
+}
@@ -0,0 +1,168 @@
+// src/utils/units.js
+import { formatNumber, parseLocaleNumber } from "./number.js";
+
+/**
+ * Length units. Plates, walls and obstacles are always stored in cm; the
+ * unit only changes how lengths are shown and typed.
+ * - "cm", "mm": decimal numbers with the locale's separator
+ * - "in": inches with fractions, e.g. 51 1/2"
+ * - "ft": feet and inches with fractions, e.g. 4' 3 1/2"
+ *
+ * Rounding (display only):
+ * - imperial values are shown to the nearest 1/16" (exact halves round up)
+ * - cm to 0.01 in input fields and 0.1 in labels, mm to 0.1 / 1
+ * - range limits are rounded inwards (min up, max down), so a limit shown
+ *   to the user is always accepted when typed back in
+ *
+ * Conversion back to cm is lossless: typed values convert exactly
+ * (1" = 2.54 cm, nothing is rounded to the 1/16" grid) and a field whose
+ * text is unchanged keeps its stored cm value (parseLengthInput in
+ * lengthExpression.js), so switching units or leaving a field never
+ * changes a size.
+ */
+
+export const UNITS = ["cm", "mm", "in", "ft"];
+
+/** Short label per unit (toggle buttons, field suffixes). */
+export const UNIT_LABELS = { cm: "cm", mm: "mm", in: "in", ft: "ft/in" };
+
+export const CM_PER_IN = 2.54;
+
+/** Finest imperial fraction shown (1/16"). */
+export const INCH_FRACTION = 16;
+
+const CM_PER = { mm: 0.1, cm: 1, m: 100, in: CM_PER_IN, ft: 12 * CM_PER_IN };
+
+// Unit suffixes accepted in input ("4' 3 1/2"", "51 1/2in", "1295mm", ...)
+const SUFFIXES = {
+  mm: "mm",
+  cm: "cm",
+  m: "m",
+  in: "in",
+  inch: "in",
+  inches: "in",
+  '"': "in",
+  "''": "in",
+  "″": "in",
+  ft: "ft",
+  foot: "ft",
+  feet: "ft",
+  "'": "ft",
+  "′": "ft",
+};
+
+// One term: fraction ("1/2"), decimal ("12,5") or whole + fraction
+// ("3 1/2"), optionally followed by a suffix
+const TERM = /^(?:(\d+)\s*\/\s*(\d+)|(\d+(?:[.,]\d+)*)(?:\s+(\d+)\s*\/\s*(\d+))?)\s*(mm|cm|inches|inch|in|feet|foot|ft|m|''|["″'′])?\s*/i;
+
+// Vulgar fraction characters as typed on some keyboards ("51½")
+const VULGAR = { "½": "1/2", "¼": "1/4", "¾": "3/4", "⅛": "1/8", "⅜": "3/8", "⅝": "5/8", "⅞": "7/8" };
+
+const ROUND = { nearest: Math.round, up: Math.ceil, down: Math.floor };
+
+// Strip binary float noise (51.50000000000001) before rounding / comparing
+const tidy = (n) => Math.round(n * 1e9) / 1e9;
+
+/** True for the imperial units ("in", "ft"). */
+export function isImperial(unit) {
+  return unit === "in" || unit === "ft";
+}
+
+/** cm per one `unit` (ruler steps, conversions); "ft" counts in feet. */
+export function cmPerUnit(unit) {
+  return CM_PER[unit] ?? 1;
+}
+
+function fraction(num, den) {
+  const d = Number(den);
+  return d > 0 ? Number(num) / d : NaN;
+}
+
+/**
+ * Parse a typed length into cm (NaN if invalid).
+ * - Terms may carry their own unit and are added up: `4' 3 1/2"`,
+ *   `51 1/2in`, `1295mm`, `1m 20cm`.
+ * - Terms without a unit use `unit`; in "ft" a bare term after a feet term
+ *   counts as inches (`4' 3` = 4 ft 3 in).
+ * - Decimals follow the UI locale (see parseLocaleNumber); a leading "-"
+ *   negates the whole length.
+ */
+export function parseLength(text, unit = "cm") {
+  if (typeof text !== "string") return NaN;
+  let rest = text.trim().replace(/[½¼¾⅛⅜⅝⅞]/g, (c) => ` ${VULGAR[c]}`);
+  let sign = 1;
+  if (/^[-−]/.test(rest)) {
+    sign = -1;
+    rest = rest.slice(1).trim();
+  }
+  if (!rest) return NaN;
+
+  let cm = 0;
+  let sawFeet = false;
+  while (rest) {
+    const m = TERM.exec(rest);
+    if (!m) return NaN;
+    let value;
+    if (m[1] !== undefined) {
+      value = fraction(m[1], m[2]);
+    } else {
+      value = parseLocaleNumber(m[3]);
+      // "3,5 1/2" mixes decimals and fractions
+      if (m[4] !== undefined) value = /[.,]/.test(m[3]) ? NaN : value + fraction(m[4], m[5]);
+    }
+    if (!Number.isFinite(value)) return NaN;
+
+    const suffix = m[6] ? SUFFIXES[m[6].toLowerCase()] : unit === "ft" && sawFeet ? "in" : unit;
+    if (!CM_PER[suffix]) return NaN;
+    if (suffix === "ft") sawFeet = true;
+    cm += value * CM_PER[suffix];
+    rest = rest.slice(m[0].length);
+  }
+  return sign * tidy(cm);
+}
+
+// "51 1/2" (no unit mark) for a length in inches on the 1/16" grid
+function inchText(sixteenths) {
+  const whole = Math.floor(sixteenths / INCH_FRACTION);
+  let num = sixteenths % INCH_FRACTION;
+  let den = INCH_FRACTION;
+  while (num && num % 2 === 0) {
+    num /= 2;
+    den /= 2;
+  }
+  if (!num) return String(whole);
+  return whole ? `${whole} ${num}/${den}` : `${num}/${den}`;
+}
+
+function imperialText(cm, unit, round) {
+  const sixteenths = ROUND[round](tidy((Math.abs(cm) / CM_PER_IN) * INCH_FRACTION));
+  const sign = cm < 0 && sixteenths > 0 ? "-" : "";
+  if (unit === "in") return `${sign}${inchText(sixteenths)}`;
+  const perFoot = 12 * INCH_FRACTION;
+  const feet = Math.floor(sixteenths / perFoot);
+  const inches = `${inchText(sixteenths % perFoot)}"`;
+  return `${sign}${feet ? `${feet}' ${inches}` : inches}`;
+}
+
+/**
+ * Length (cm) as label text with unit: "130,8 cm", "1308 mm", 51 1/2",
+ * 4' 3 1/2".
+ * - round: "nearest" (default) | "up" | "down" (for range limits)
+ */
+export function formatLength(cm, unit, { round = "nearest" } = {}) {
+  const n = Number(cm) || 0;
+  const r = ROUND[round] || ROUND.nearest;
+  if (unit === "mm") return `${formatNumber(r(tidy(n * 10)))} mm`;
+  if (unit === "in") return `${imperialText(n, "in", round)}"`;
+  if (unit === "ft") return imperialText(n, "ft", round);
+  return `${formatNumber(r(tidy(n * 10)) / 10)} cm`;
+}
+
+/** Length (cm) as input field text in `unit` (unit mark only for ft). */
+export function formatLengthInput(cm, unit) {
+  const n = Number(cm);
+  if (!Number.isFinite(n)) return "";
+  if (unit === "mm") return formatNumber(Math.round(tidy(n * 100)) / 10);
+  if (isImperial(unit)) return imperialText(n, unit, "nearest");
+  return formatNumber(Math.round(tidy(n * 100)) / 100);
+}
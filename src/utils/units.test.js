@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatLength, formatLengthInput, parseLength } from "./units.js";
+
+// Typed text -> cm (German UI: decimal comma)
+const PARSE = [
+  ["64,5", "cm", 64.5],
+  ["1295mm", "cm", 129.5],
+  ["1m 20cm", "cm", 120],
+  ["1.234,5", "mm", 123.45],
+  ["-12", "cm", -12],
+  ["51 1/2in", "cm", 130.81],
+  ["51½", "in", 130.81],
+  ["4'", "ft", 121.92],
+  ["4' 3", "ft", 129.54],
+  ["4 3", "ft", 129.54], // a bare term after feet counts as inches
+  ["3,5 1/2", "cm", NaN],
+  ["12x", "cm", NaN],
+  ["", "cm", NaN],
+];
+
+// cm -> input text / label
+const FORMAT = [
+  [64.5, "cm", "64,5", "64,5 cm"],
+  [129.5, "mm", "1295", "1295 mm"],
+  [130.81, "in", "51 1/2", '51 1/2"'],
+  [129.54, "ft", `4' 3"`, `4' 3"`],
+];
+
+test("parseLength", () => {
+  for (const [text, unit, cm] of PARSE) assert.equal(parseLength(text, unit), cm, `${text} (${unit})`);
+});
+
+test("formatLengthInput / formatLength", () => {
+  for (const [cm, unit, input, label] of FORMAT) {
+    assert.equal(formatLengthInput(cm, unit), input, `${cm} cm as ${unit}`);
+    assert.equal(formatLength(cm, unit), label, `${cm} cm as ${unit}`);
+  }
+});
+
+test("input text reads back as the same length", () => {
+  for (const [cm, unit, input] of FORMAT) assert.equal(parseLength(input, unit), cm, `${input} (${unit})`);
+});
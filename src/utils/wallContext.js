@@ -0,0 +1,130 @@
+// src/utils/wallContext.js
+import { CUTOUT_MIN_EDGE_CM, DEFAULT_WALL } from "../constants/config.js";
+import { listMessage, message } from "../i18n/index.js";
+
+/**
+ * Wall context: the wall the plates are mounted on, with obstacles
+ * (sockets, switches, pipes, ...) that need cutouts.
+ *
+ * Wall coordinates are cm with the origin at the wall's bottom-left corner,
+ * which is also where the plate row starts. Obstacles are rectangles or
+ * circles (diameter = widthCm) given by their centre.
+ *
+ * Cutouts are expressed relative to the plate they fall on: centre from the
+ * plate's left and bottom edge, plus the remaining distance to each edge.
+ */
+
+const SHAPES = ["rect", "round"];
+const num = (v, d) => (Number.isFinite(+v) ? +v : d);
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/** Sanitize a stored wall object (missing fields fall back to DEFAULT_WALL). */
+export function normalizeWall(wall) {
+  const w = wall && typeof wall === "object" ? wall : {};
+  return {
+    enabled: w.enabled === true,
+    widthCm: Math.max(1, num(w.widthCm, DEFAULT_WALL.widthCm)),
+    heightCm: Math.max(1, num(w.heightCm, DEFAULT_WALL.heightCm)),
+    obstacles: (Array.isArray(w.obstacles) ? w.obstacles : []).map((o) => {
+      const shape = SHAPES.includes(o?.shape) ? o.shape : "rect";
+      const widthCm = Math.max(0.5, num(o?.widthCm, 8));
+      return {
+        id: typeof o?.id === "string" ? o.id : crypto.randomUUID(),
+        shape,
+        label: typeof o?.label === "string" ? o.label : "",
+        xCm: num(o?.xCm, 0),
+        yCm: num(o?.yCm, 0),
+        widthCm,
+        // round obstacles are circles: height = diameter
+        heightCm: shape === "round" ? widthCm : Math.max(0.5, num(o?.heightCm, 8)),
+      };
+    }),
+  };
+}
+
+// Bounding box of an obstacle in wall coordinates (bottom-left origin)
+function obstacleBox(o) {
+  return {
+    left: o.xCm - o.widthCm / 2,
+    right: o.xCm + o.widthCm / 2,
+    bottom: o.yCm - o.heightCm / 2,
+    top: o.yCm + o.heightCm / 2,
+  };
+}
+
+/**
+ * Place every obstacle on the plate layout (utils/plateLayout).
+ *
+ * Returns [{
+ *   obstacle,
+ *   plateIndexes: [index...],      // plates it overlaps (empty = none)
+ *   cutouts: [{ plateIndex, shape, xCm, yCm, widthCm, heightCm,
+ *               edges: { left, right, bottom, top }, minEdgeCm }],
+ *   warnings: [message]           // user-facing, i18n `translate` them
+ * }]
+ * `xCm` / `yCm` of a cutout: its centre from the plate's left / bottom edge.
+ */
+export function locateObstacles(layout, wall) {
+  const obstacles = normalizeWall(wall).obstacles;
+  return obstacles.map((obstacle) => {
+    const box = obstacleBox(obstacle);
+    const cutouts = [];
+    for (const item of layout.items) {
+      const plateBottom = layout.frameHeightCm - (item.yCm + item.heightCm);
+      const plate = {
+        left: item.xCm,
+        right: item.xCm + item.widthCm,
+        bottom: plateBottom,
+        top: plateBottom + item.heightCm,
+      };
+      const overlaps =
+        box.left < plate.right && box.right > plate.left && box.bottom < plate.top && box.top > plate.bottom;
+      if (!overlaps) continue;
+      const edges = {
+        left: round1(box.left - plate.left),
+        right: round1(plate.right - box.right),
+        bottom: round1(box.bottom - plate.bottom),
+        top: round1(plate.top - box.top),
+      };
+      cutouts.push({
+        plateIndex: item.index,
+        shape: obstacle.shape,
+        xCm: round1(obstacle.xCm - plate.left),
+        yCm: round1(obstacle.yCm - plate.bottom),
+        widthCm: obstacle.widthCm,
+        heightCm: obstacle.heightCm,
+        edges,
+        minEdgeCm: Math.min(edges.left, edges.right, edges.bottom, edges.top),
+      });
+    }
+
+    const warnings = [];
+    if (cutouts.length > 1) {
+      warnings.push(message("wall.warnSeam", { plates: listMessage(cutouts.map((c) => c.plateIndex + 1)) }));
+    } else if (cutouts.length === 1 && cutouts[0].minEdgeCm < 0) {
+      warnings.push(message("wall.warnOutside", { nr: cutouts[0].plateIndex + 1 }));
+    } else if (cutouts.length === 1 && cutouts[0].minEdgeCm < CUTOUT_MIN_EDGE_CM) {
+      warnings.push(
+        message("wall.warnEdge", { dist: cutouts[0].minEdgeCm, nr: cutouts[0].plateIndex + 1, min: CUTOUT_MIN_EDGE_CM })
+      );
+    }
+
+    return {
+      obstacle,
+      plateIndexes: cutouts.map((c) => c.plateIndex),
+      cutouts,
+      warnings,
+    };
+  });
+}
+
+/** Cutouts grouped by plate index: { [plateIndex]: [{ ...cutout, label }] }. */
+export function cutoutsByPlate(located) {
+  const out = {};
+  for (const { obstacle, cutouts } of located) {
+    for (const c of cutouts) {
+      (out[c.plateIndex] ||= []).push({ ...c, label: obstacle.label });
+    }
+  }
+  return out;
+}
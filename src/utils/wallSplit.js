@@ -0,0 +1,145 @@
+// src/utils/wallSplit.js
+import { MAX_PLATES } from "../constants/limits.js";
+import { getMaterial, materialLabel } from "./materials.js";
+import { formatNumber } from "./number.js";
+import { t } from "../i18n/index.js";
+
+/**
+ * Fill-wall assistant: split a wall of `widthCm` × `heightCm` into plates
+ * that fit the material's size range (which lies within limits.js) and
+ * the plate limit.
+ *
+ * Strategies (per row):
+ * - equal:  equal widths, the fewest that fit (or `count` plates)
+ * - fewest: as many full-width plates as possible plus one remainder plate
+ *           (the last two are balanced if the remainder would be too narrow)
+ * - seams:  seams at the given positions (cm from the left wall edge,
+ *           measured to the middle of the seam)
+ *
+ * Walls taller than the material allows are stacked in equal-height rows.
+ * The joint gap (`seamWidthMm`, see plateLayout) is taken off the plates,
+ * so plates plus gaps add up to the wall exactly. All sizes are whole mm.
+ *
+ * Returns { plates: [{ widthCm, heightCm, row }], rows, perRow } or
+ * { error } with a user-facing (translated) message.
+ */
+
+// Labels: "split.<strategy>" in src/i18n/messages
+export const SPLIT_STRATEGIES = ["equal", "fewest", "seams"];
+
+const fmt = (mm) => formatNumber(mm / 10);
+
+/** Split `total` mm into `n` parts that differ by at most 1 mm. */
+export function equalParts(total, n) {
+  const base = Math.floor(total / n);
+  return Array.from({ length: n }, (_, i) => base + (i < total - base * n ? 1 : 0));
+}
+
+// Widths (mm) of one row, or { error }
+function rowWidths({ strategy, widthMm, gapMm, minMm, maxMm, count, seamPositionsMm }) {
+  if (strategy === "seams") {
+    const positions = [...seamPositionsMm].sort((a, b) => a - b);
+    if (positions.some((p) => p <= 0 || p >= widthMm)) {
+      return { error: t("split.seamsOutside", { max: fmt(widthMm) }) };
+    }
+    // Plate i runs from just right of seam i-1 to just left of seam i
+    const starts = [0, ...positions.map((p) => p + Math.floor(gapMm / 2))];
+    const ends = [...positions.map((p) => p - Math.ceil(gapMm / 2)), widthMm];
+    return { widths: starts.map((start, i) => ends[i] - start) };
+  }
+
+  // Fewest plates: n full-width plates leave at most one remainder
+  const fewest = Math.max(1, Math.ceil((widthMm + gapMm) / (maxMm + gapMm)));
+  if (strategy === "fewest") {
+    const widths = [];
+    let rest = widthMm;
+    for (let i = 0; i < fewest - 1; i++) {
+      widths.push(maxMm);
+      rest -= maxMm + gapMm;
+    }
+    widths.push(rest);
+    // A too narrow last plate takes width from its neighbour
+    if (widths.length > 1 && rest < minMm) {
+      widths[widths.length - 2] -= minMm - rest;
+      widths[widths.length - 1] = minMm;
+    }
+    return { widths };
+  }
+
+  const n = count ?? fewest;
+  return { widths: equalParts(widthMm - (n - 1) * gapMm, n) };
+}
+
+/**
+ * Proposed split (see module comment).
+ * - widthCm / heightCm: wall size
+ * - strategy: one of SPLIT_STRATEGIES
+ * - count: optional plate count per row for "equal"
+ * - seamPositionsCm: seam positions for "seams"
+ * - seamWidthMm: joint gap between plates and rows
+ * - materialId: material whose size range applies
+ * - maxPlates: plate limit (default MAX_PLATES)
+ */
+export function splitWall({
+  widthCm,
+  heightCm,
+  strategy = "equal",
+  count,
+  seamPositionsCm = [],
+  seamWidthMm = 0,
+  materialId,
+  maxPlates = MAX_PLATES,
+}) {
+  const m = getMaterial(materialId);
+  const widthMm = Math.round(Number(widthCm) * 10);
+  const heightMm = Math.round(Number(heightCm) * 10);
+  const gapMm = Math.max(0, Math.round(Number(seamWidthMm) || 0));
+  const [minW, maxW] = [m.widthMin * 10, m.widthMax * 10];
+  const [minH, maxH] = [m.heightMin * 10, m.heightMax * 10];
+
+  if (!(widthMm >= minW)) return { error: t("split.minWidth", { min: m.widthMin }) };
+  if (!(heightMm >= minH)) return { error: t("split.minHeight", { min: m.heightMin }) };
+  if (!SPLIT_STRATEGIES.includes(strategy)) return { error: t("split.unknown", { strategy }) };
+  if (count !== undefined && !(Number.isInteger(count) && count >= 1)) {
+    return { error: t("split.badCount") };
+  }
+
+  // Rows: as few as the material height allows, equal heights
+  const rowCount = Math.max(1, Math.ceil((heightMm + gapMm) / (maxH + gapMm)));
+  const heights = equalParts(heightMm - (rowCount - 1) * gapMm, rowCount);
+  if (heights.some((h) => h < minH || h > maxH)) {
+    return { error: t("split.badHeight", { min: m.heightMin, max: m.heightMax }) };
+  }
+
+  const result = rowWidths({
+    strategy,
+    widthMm,
+    gapMm,
+    minMm: minW,
+    maxMm: maxW,
+    count,
+    seamPositionsMm: seamPositionsCm.map((p) => Math.round(Number(p) * 10)),
+  });
+  if (result.error) return result;
+
+  const { widths } = result;
+  const bad = widths.find((w) => w < minW || w > maxW);
+  if (bad !== undefined) {
+    return {
+      error: t("split.badWidth", { width: fmt(bad), material: materialLabel(m.id), min: m.widthMin, max: m.widthMax }),
+    };
+  }
+  if (widths.length * rowCount > maxPlates) {
+    return {
+      error: t("split.tooMany", { count: widths.length * rowCount, max: maxPlates }),
+    };
+  }
+
+  return {
+    plates: heights.flatMap((h, row) =>
+      widths.map((w) => ({ widthCm: w / 10, heightCm: h / 10, row }))
+    ),
+    rows: rowCount,
+    perRow: widths.length,
+  };
+}
@@ -1,7 +1,62 @@
-import { defineConfig } from 'vite'
+import { build, defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+
+// Host element for shop pages (see src/r24-configurator.js)
+const HOST_SCRIPT = 'r24-configurator.js'
+const hostScriptEntry = fileURLToPath(new URL('./src/r24-configurator.js', import.meta.url))
+
+// Shop pages load the host script cross-origin as a classic <script>, so it
+// is bundled on its own into one IIFE file instead of an ES module chunk
+async function bundleHostScript() {
+  const result = await build({
+    configFile: false,
+    logLevel: 'silent',
+    build: {
+      write: false,
+      copyPublicDir: false,
+      lib: { entry: hostScriptEntry, formats: ['iife'], name: 'R24Configurator', fileName: () => HOST_SCRIPT },
+    },
+  })
+  const [{ output }] = Array.isArray(result) ? result : [result]
+  return output[0].code
+}
+
+// Serves /r24-configurator.js in dev and writes it to dist/ on build
+function hostScript() {
+  return {
+    name: 'r24-host-script',
+    configureServer(server) {
+      server.middlewares.use(`/${HOST_SCRIPT}`, (req, res, next) => {
+        bundleHostScript()
+          .then((code) => {
+            res.setHeader('Content-Type', 'text/javascript')
+            res.end(code)
+          })
+          .catch(next)
+      })
+    },
+    async generateBundle() {
+      this.emitFile({ type: 'asset', fileName: HOST_SCRIPT, source: await bundleHostScript() })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), hostScript()],
+  server: {
+    // Checkout in dev: the mock cart (npm run mock:cart, see mock-server/)
+    proxy: { '/api': 'http://127.0.0.1:8787' },
+  },
+  build: {
+    rollupOptions: {
+      // Standalone app + embeddable widget (see src/embed.jsx); the mock
+      // shop page embed-demo.html is only served in dev
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        embed: fileURLToPath(new URL('./embed.html', import.meta.url)),
+      },
+    },
+  },
 })